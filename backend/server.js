@@ -2,353 +2,2380 @@
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
+const cors = require('cors');
 const fs = require('fs');
 const csv = require('csv-parser');
 const path = require('path');
-const { MongoClient } = require('mongodb');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { createStorage } = require('./storage');
 
-// --- MongoDB Atlas Setup ---
-// IMPORTANT: Set this in your Render Environment Variables
-const mongoUri = process.env.MONGO_URI;
-if (!mongoUri) {
-  console.error("FATAL ERROR: MONGO_URI environment variable is not set.");
-}
-const client = new MongoClient(mongoUri);
-const db = client.db("auctionDB"); // Name your database
-const stateCollection = db.collection("state");
-const STATE_DOC_ID = "current_auction"; // ID to find our one state document
+// --- Persistence Setup ---
+// STORAGE_BACKEND picks mongo, file or memory; see storage.js. MongoDB is used whenever MONGO_URI is set.
+const storage = createStorage();
 
 const app = express();
 const server = http.createServer(app);
-const io = socketIo(server, { 
-  cors: { 
-    origin: process.env.NODE_ENV === 'production' ? false : '*',
-    methods: ['GET', 'POST']
-  } 
-});
+const corsOptions = {
+  origin: process.env.NODE_ENV === 'production' ? false : '*',
+  methods: ['GET', 'POST']
+};
+const io = socketIo(server, { cors: corsOptions });
 
 // --- Static assets ---
+app.use('/api', cors(corsOptions));
 app.use(express.static(path.join(__dirname, 'client', 'dist')));
 app.use('/photos', express.static(path.join(__dirname, 'client', 'public', 'photos')));
 
-// --- Auction State Variables (will be loaded from DB) ---
-let players = [];
-let allPlayers = [];
-let unsold = [];
-let currentPlayerIndex = 0;
-let sets = [[], [], []];
-let currentBid = 0;
-let currentBidTeam = null;
-let isReAuction = false;
-let reAuctionUnsold = [];
-let auctioneerConnected = false;
-let connectedTeams = new Set();
-let auctionHistory = [];
-const MAX_HISTORY_SIZE = 50;
-
-let teams = Array.from({ length: 8 }, (_, i) => ({
-  id: i + 1,
-  name: `Team ${i + 1}`,
-  budget: 450000000,
-  remaining: 450000000,
-  spent: 0,
-  players: [],
-  synergy: 0,
-  isConnected: false,
-  socketId: null
-}));
-
-// --- Synergy Rules & Helpers (No changes needed here) ---
-const synergyRules = {
-  positive: { 'AO-AN': 20, 'BA-FI': 15, 'AN-WK': 15, 'BA-BO': 20, 'PA-SP': 25, 'PA-PA': 10, 'CS-PA': 20, 'CS-SP': 15, 'BA-CS': 10, 'BO-CS': 10, },
-  negative: { 'AO-AO': -15, 'FI-FI': -10, 'SP-SP': -5, 'BA-BA': -5, 'WK-WK': -10, 'CS-CS': -10, 'BO-BO': -5, },
+// --- Auctions ---
+// Every auction (room) owns its own state object, keyed by a short join code. Auctions are
+// created over the socket and loaded lazily from storage the first time someone joins them.
+const auctions = new Map();
+const ROOM_CODE_LENGTH = 6;
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I, codes get read out loud
+
+// Fields written to the auction's storage document. The event log is the source of truth: every other
+// piece of auction state is rebuilt from it by replay, and connection/clock state is per-process.
+// `draftPool` is the player list being prepared on the setup screen, before it is committed to the log.
+// `teamIdentities` is team branding: kept outside the log so an undo never reverts a rename.
+const PERSISTED_FIELDS = ['code', 'createdAt', 'rules', 'seatPins', 'events', 'draftPool', 'teamIdentities'];
+
+// State derived from the event log, copied across when an auction is rebuilt after an undo
+const REPLAYED_FIELDS = [
+  'players', 'allPlayers', 'unsold', 'currentPlayerIndex', 'sets', 'currentBid', 'currentBidTeam', 'lotBids',
+  'isReAuction', 'reAuctionUnsold', 'finalStandings', 'phase', 'poolSeed', 'setBreak', 'trades', 'retentionPool', 'rtmOffer', 'sealedBids',
+];
+
+// --- Seat Authentication ---
+// Each auction issues a PIN for the auctioneer seat and one per team seat when it is created.
+// Observers are read-only and join without one.
+const SEAT_PIN_LENGTH = 6;
+const SEAT_PIN_FORMAT = new RegExp(`^\\d{${SEAT_PIN_LENGTH}}$`);
+const MAX_PIN_FAILURES = 5; // Per seat and client address, before that client is locked out of the seat
+const PIN_LOCKOUT_MS = 30 * 1000; // Doubles with each lockout in a row, up to the max
+const MAX_PIN_LOCKOUT_MS = 60 * 60 * 1000;
+
+// --- Bid Countdown (transient, never persisted) ---
+// Each auction's length comes from rules.bidTimerSeconds; 0 turns the countdown off and leaves every
+// lot to the auctioneer. BID_TIMER_SECONDS sets the built-in default for new auctions.
+const MAX_BID_TIMER_SECONDS = 600;
+const BID_TIMER_SECONDS = Number.isFinite(parseInt(process.env.BID_TIMER_SECONDS, 10)) ? Math.min(Math.max(0, parseInt(process.env.BID_TIMER_SECONDS, 10)), MAX_BID_TIMER_SECONDS) : 30;
+
+function createTeams(rules, identities = {}) {
+  return Array.from({ length: rules.teamCount }, (_, i) => ({
+    id: i + 1,
+    ...getTeamIdentity(identities, i + 1),
+    budget: rules.budget,
+    remaining: rules.budget,
+    spent: 0,
+    players: [],
+    synergy: 0,
+    rtmCards: rules.rtm ? rules.rtm.cardsPerTeam : 0,
+    isConnected: false,
+    socketId: null
+  }));
+}
+
+function createBidTimer(rules) {
+  const duration = (rules.bidTimerSeconds ?? BUILT_IN_RULES.bidTimerSeconds) * 1000; // Auctions saved before the rule existed use the default
+  return { duration, remaining: duration, endsAt: null, paused: true };
+}
+
+function createAuctionState(code, rules = DEFAULT_RULES, teamIdentities = {}) {
+  return {
+    code, createdAt: Date.now(), rules, teamIdentities,
+    players: [], allPlayers: [], unsold: [], currentPlayerIndex: 0, sets: [], poolSeed: null, setBreak: false,
+    currentBid: 0, currentBidTeam: null, lotBids: [], isReAuction: false, reAuctionUnsold: [], trades: [], retentionPool: null, rtmOffer: null, sealedBids: [], events: [],
+    teams: createTeams(rules, teamIdentities), seatPins: null, finalStandings: null,
+    // 'setup' until a player pool is committed, 'retention' while teams pick retentions, then 'live';
+    // 'trading' while the trade window is open
+    phase: 'setup', draftPool: null,
+    // Transient connection, clock and persistence state. `logos` caches team logos from storage.
+    logos: {}, auctioneerConnected: false, auctioneerSocketId: null, connectedTeams: new Set(), bidTimer: createBidTimer(rules), bidTimerHandle: null, rtmWindowHandle: null, rtmWindowEndsAt: null, sealedWindowHandle: null, sealedWindowEndsAt: null,
+    saveQueue: Promise.resolve(),
+  };
+}
+
+// --- Team Identities ---
+// Teams can be given a name, short code, colour, captain and logo by the auctioneer, or by the team
+// itself on first join. Unset teams keep their defaults. Logos are stored as data URLs apart from the
+// auction document (which is rewritten on every bid) and served from /api/auctions/:code/teams/:id/logo,
+// so the identity and every update only carry a version stamp.
+const TEAM_COLORS = ['#ec4899', '#f97316', '#10b981', '#3b82f6', '#8b5cf6', '#eab308', '#14b8a6', '#ef4444', '#6366f1', '#84cc16'];
+const MAX_TEAM_NAME_LENGTH = 30;
+const MAX_CAPTAIN_LENGTH = 40;
+const MAX_LOGO_LENGTH = 200000; // Characters of data URL, roughly 150 KB of image
+const LOGO_DATA_URL = /^data:(image\/(?:png|jpeg|webp|gif));base64,([A-Za-z0-9+/]+={0,2})$/;
+
+function getTeamIdentity(identities, teamId) {
+  const saved = identities?.[teamId];
+  return {
+    name: saved?.name || `Team ${teamId}`,
+    code: saved?.code || `T${teamId}`,
+    color: saved?.color || TEAM_COLORS[(teamId - 1) % TEAM_COLORS.length],
+    captain: saved?.captain || '',
+    logoVersion: saved?.logoVersion || null,
+    customised: Boolean(saved),
+  };
+}
+
+// Teams may brand themselves until they have done so once; after that, and once bidding opens,
+// only the auctioneer can change it
+function canTeamEditIdentity(auction, teamId) { return auction.phase === 'setup' || !auction.teamIdentities[teamId]; }
+
+// Check a submitted identity against the team's current one. A missing `logo` keeps the current
+// logo and `null` removes it. Names and codes must be unique across the auction. Returns the identity
+// to keep and, apart from it, the logo to store: undefined when it is unchanged.
+function normalizeTeamIdentity(auction, teamId, input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { identity: null, errors: ['Team details are missing'] };
+  const current = auction.teamIdentities[teamId] || {};
+  const errors = [];
+  const name = sanitizeString(input.name);
+  const code = sanitizeString(input.code).toUpperCase();
+  const color = sanitizeString(input.color).toLowerCase();
+  const captain = sanitizeString(input.captain);
+  const { logo } = input;
+  const others = auction.teams.filter(team => team.id !== teamId);
+
+  if (!name || name.length > MAX_TEAM_NAME_LENGTH) errors.push(`Name must be 1–${MAX_TEAM_NAME_LENGTH} characters`);
+  else if (others.some(team => team.name.toLowerCase() === name.toLowerCase())) errors.push(`Another team is already called "${name}"`);
+  if (!/^[A-Z0-9]{2,4}$/.test(code)) errors.push('Short code must be 2–4 letters or digits');
+  else if (others.some(team => team.code === code)) errors.push(`Another team already uses the code ${code}`);
+  if (!/^#[0-9a-f]{6}$/.test(color)) errors.push('Colour must be a hex colour such as #ec4899');
+  if (captain.length > MAX_CAPTAIN_LENGTH) errors.push(`Captain must be at most ${MAX_CAPTAIN_LENGTH} characters`);
+  if (logo !== undefined && logo !== null && (typeof logo !== 'string' || !LOGO_DATA_URL.test(logo))) errors.push('Logo must be a PNG, JPEG, WebP or GIF image');
+  else if (logo && logo.length > MAX_LOGO_LENGTH) errors.push('Logo is too large; use an image under 150 KB');
+
+  if (errors.length > 0) return { identity: null, errors };
+  const logoVersion = logo === undefined ? current.logoVersion || null : logo && Date.now();
+  return { identity: { name, code, color, captain, logoVersion }, logo, errors };
+}
+
+function generatePin() { return crypto.randomInt(0, 10 ** SEAT_PIN_LENGTH).toString().padStart(SEAT_PIN_LENGTH, '0'); }
+
+function createSeatPins(rules) {
+  const teams = {};
+  createTeams(rules).forEach(team => { teams[team.id] = generatePin(); });
+  return { auctioneer: generatePin(), teams };
+}
+
+// Constant-time comparison so PINs can't be recovered from response timing. Anything that isn't
+// a PIN-shaped string of digits is rejected first: timingSafeEqual needs equal byte lengths.
+function checkSeatPin(auction, seat, pin) {
+  if (!auction.seatPins) return false;
+  const expected = seat === 'auctioneer' ? auction.seatPins.auctioneer : auction.seatPins.teams[seat];
+  const given = sanitizeString(pin);
+  if (!expected || !SEAT_PIN_FORMAT.test(given) || given.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+}
+
+// Failed PIN attempts (transient), per auction seat and requesting address. Keyed on the address
+// rather than the socket so a guesser can't get a fresh allowance by reconnecting, and not on the
+// seat alone so a guesser can't lock the real holder out of it.
+const pinFailures = new Map();
+const pinAttemptKey = (auction, seat, requester) => `${auction.code}:${seat}:${requester}`;
+
+// Check a PIN from `requester`. Every MAX_PIN_FAILURES wrong PINs in a row lock that requester out of
+// the seat for twice as long as the last time. Returns { ok: true }, or { ok: false } with
+// attemptsLeft, or lockedMs (plus justLocked when this attempt caused the lockout).
+function attemptSeatPin(auction, seat, pin, requester) {
+  const key = pinAttemptKey(auction, seat, requester);
+  const entry = pinFailures.get(key) || { failures: 0, lockouts: 0, lockedUntil: 0 };
+  if (entry.lockedUntil > Date.now()) return { ok: false, lockedMs: entry.lockedUntil - Date.now() };
+  if (checkSeatPin(auction, seat, pin)) {
+    pinFailures.delete(key);
+    return { ok: true };
+  }
+  entry.failures++;
+  pinFailures.set(key, entry);
+  if (entry.failures < MAX_PIN_FAILURES) return { ok: false, attemptsLeft: MAX_PIN_FAILURES - entry.failures };
+  const lockedMs = Math.min(PIN_LOCKOUT_MS * 2 ** entry.lockouts, MAX_PIN_LOCKOUT_MS);
+  entry.lockedUntil = Date.now() + lockedMs;
+  entry.lockouts++;
+  entry.failures = 0;
+  return { ok: false, lockedMs, justLocked: true };
+}
+
+function generateRoomCode() {
+  let code;
+  do {
+    code = Array.from({ length: ROOM_CODE_LENGTH }, () => ROOM_CODE_ALPHABET[Math.floor(Math.random() * ROOM_CODE_ALPHABET.length)]).join('');
+  } while (auctions.has(code));
+  return code;
+}
+
+function normalizeRoomCode(code) { return sanitizeString(code).toUpperCase(); }
+function isValidRoomCode(code) { return typeof code === 'string' && new RegExp(`^[${ROOM_CODE_ALPHABET}]{${ROOM_CODE_LENGTH}}$`).test(code); }
+
+// Socket.IO room names. The bare code reaches everyone in the auction.
+function roomFor(auction, seat) { return seat ? `${auction.code}:${seat}` : auction.code; }
+
+// --- Auction Rules ---
+// Everything that shapes an auction lives in one rules object, stored per auction and sent to
+// every client in the update payload. Auctions are created with DEFAULT_RULES (or the JSON file
+// in AUCTION_RULES_FILE) plus whatever overrides the organiser submits.
+const DEFAULT_RTM_WINDOW_SECONDS = 15;
+const MAX_RTM_WINDOW_SECONDS = 120;
+
+const BUILT_IN_RULES = {
+  teamCount: 8,
+  budget: 450000000, // ₹45 Cr
+  squadSize: 8,
+  setCount: 3, // Used when `sets` is null: the pool is shuffled and cut into this many equal sets
+  // Named sets, auctioned in this order: [{ name, tiers, roles, archetypes, players, order, format, pricing }].
+  // A player joins the first set whose filters they all match (or whose `players` list has their S.No);
+  // `order` is 'fixed', 'random' or 'price' (highest base price first). `format` is 'open' (ascending
+  // bids) or 'sealed', and a sealed set's `pricing` is 'first-price' or 'vickrey' (second price).
+  sets: null,
+  bidTimerSeconds: BID_TIMER_SECONDS, // Per-lot countdown, restarted by every bid; 0 turns it off
+  sealedBidSeconds: 60, // How long teams have to submit a sealed bid
+  seed: null, // Fix the shuffle seed to regenerate the same lot order; null picks a fresh one per auction
+  // Pre-auction retentions: { maxPerTeam, players: [{ sNo, teamId, price }] }. Each listed player may be
+  // kept by that team at that price, up to maxPerTeam per team, before the first lot opens. null skips the phase.
+  retention: null,
+  // Right to match: { cardsPerTeam, windowSeconds }. A player's Previous_Team (from the pool CSV) may match
+  // the winning bid within windowSeconds (default 15), once per card. null turns RTM off.
+  rtm: null,
+  // Bid increments by current bid: the first slab whose `below` exceeds the bid applies; the last slab has no limit
+  increments: [
+    { below: 5000000, step: 500000 },   // under ₹50L: +₹5L
+    { below: 10000000, step: 1000000 }, // under ₹1Cr: +₹10L
+    { below: 20000000, step: 2000000 }, // under ₹2Cr: +₹20L
+    { below: null, step: 5000000 },     // above: +₹50L
+  ],
+  // Squad composition, matched on the CSV Role column (and optionally Archetype). A player counts
+  // towards every requirement they match; `max: null` means no cap.
+  composition: [
+    { label: 'Wicketkeeper', roles: ['Wicketkeeper'], archetypes: ['WK'], min: 1, max: null },
+    { label: 'Bowler', roles: ['Bowler'], archetypes: [], min: 2, max: null },
+    { label: 'Batsman', roles: ['Batsman'], archetypes: [], min: 0, max: 4 },
+  ],
+  // Base price tiers by Base_Score, as published on the rules page. A player's tier sets their base
+  // price; a CSV price that disagrees is flagged on the setup screen, and a blank one is filled in.
+  tiers: [
+    { name: 'Elite', minScore: 91, maxScore: 100, basePrice: 40000000 }, // ₹4 Cr
+    { name: 'Premium', minScore: 81, maxScore: 90, basePrice: 20000000 }, // ₹2 Cr
+    { name: 'Solid', minScore: 66, maxScore: 80, basePrice: 7000000 },   // ₹70 L
+    { name: 'Budget', minScore: 50, maxScore: 65, basePrice: 3000000 },  // ₹30 L
+  ],
+  // Archetype codes a player's CSV Archetype column may use, with the names shown in the UI
+  archetypes: {
+    BA: 'Batting All-Rounder', WK: 'Wicket-Keeper', AO: 'Aggressive Opener', AN: 'Anchor', FI: 'Finisher',
+    PA: 'Pace Bowler', SP: 'Spin Bowler', CS: 'Containment Specialist', BO: 'Bowling All-Rounder',
+  },
+  // Archetype pair keys are alphabetical, e.g. 'AN-AO' not 'AO-AN'
+  synergy: {
+    positive: { 'AN-AO': 20, 'BA-FI': 15, 'AN-WK': 15, 'BA-BO': 20, 'PA-SP': 25, 'PA-PA': 10, 'CS-PA': 20, 'CS-SP': 15, 'BA-CS': 10, 'BO-CS': 10, },
+    negative: { 'AO-AO': -15, 'FI-FI': -10, 'SP-SP': -5, 'BA-BA': -5, 'WK-WK': -10, 'CS-CS': -10, 'BO-BO': -5, },
+  },
 };
-function isValidTeamId(teamId) { return Number.isInteger(teamId) && teamId >= 1 && teamId <= 8; }
-function sanitizeString(str) { return str ? str.toString().trim() : ''; }
 
-// --- Database Persistence Functions ---
+const SET_ORDERS = ['fixed', 'random', 'price'];
+const SET_FORMATS = ['open', 'sealed'];
+const SEALED_PRICING = ['first-price', 'vickrey'];
+const MAX_NAMED_SETS = 20;
 
-// Helper to connect to the DB on startup
-async function connectToDb() {
-  if (!mongoUri) return;
+function isPositiveInteger(value) { return Number.isInteger(value) && value > 0; }
+
+// Sort a synergy pair key into the order calculateSynergy looks it up in ('AO-AN' -> 'AN-AO').
+function normalizeSynergyKey(key) {
+  const parts = sanitizeString(key).toUpperCase().split('-').map(sanitizeString);
+  if (parts.length !== 2 || !parts[0] || !parts[1]) return null;
+  return parts.sort().join('-');
+}
+
+// Merge overrides onto a base rule set and validate the result. Returns { rules, errors }.
+function normalizeRules(overrides = {}, base = BUILT_IN_RULES) {
+  const errors = [];
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) return { rules: null, errors: ['Rules must be an object'] };
+  const rules = {
+    ...base, ...overrides,
+    synergy: { ...base.synergy, ...(overrides.synergy || {}) },
+  };
+
+  if (!isPositiveInteger(rules.teamCount) || rules.teamCount < 2 || rules.teamCount > 20) errors.push('teamCount must be a whole number from 2 to 20');
+  if (!isPositiveInteger(rules.budget)) errors.push('budget must be a positive whole number of rupees');
+  if (!isPositiveInteger(rules.squadSize) || rules.squadSize > 30) errors.push('squadSize must be a whole number from 1 to 30');
+  if (!isPositiveInteger(rules.setCount) || rules.setCount > 10) errors.push('setCount must be a whole number from 1 to 10');
+  if (!Number.isInteger(rules.bidTimerSeconds) || rules.bidTimerSeconds < 0 || rules.bidTimerSeconds > MAX_BID_TIMER_SECONDS) errors.push(`bidTimerSeconds must be a whole number from 0 (off) to ${MAX_BID_TIMER_SECONDS}`);
+  if (!isPositiveInteger(rules.sealedBidSeconds) || rules.sealedBidSeconds < 5 || rules.sealedBidSeconds > 600) errors.push('sealedBidSeconds must be a whole number from 5 to 600');
+
+  if (!Array.isArray(rules.increments) || rules.increments.length === 0) {
+    errors.push('increments must be a non-empty list of { below, step } slabs');
+  } else {
+    rules.increments.forEach((slab, index) => {
+      const isLast = index === rules.increments.length - 1;
+      if (!slab || !isPositiveInteger(slab.step)) errors.push(`increments[${index}].step must be a positive whole number`);
+      if (isLast && slab && slab.below !== null && slab.below !== undefined) errors.push('The last increment slab must have no upper limit (below: null)');
+      if (!isLast && !(slab && isPositiveInteger(slab.below))) errors.push(`increments[${index}].below must be a positive whole number`);
+      if (index > 0 && !isLast && slab && rules.increments[index - 1] && slab.below <= rules.increments[index - 1].below) errors.push('increments must be listed in ascending order of below');
+    });
+    rules.increments = rules.increments.map((slab, index) => ({ below: index === rules.increments.length - 1 ? null : slab?.below, step: slab?.step }));
+  }
+
+  if (!Array.isArray(rules.composition)) {
+    errors.push('composition must be a list of { label, roles, archetypes, min, max } requirements');
+  } else {
+    rules.composition = rules.composition.map((req, index) => {
+      const label = sanitizeString(req?.label);
+      const min = req?.min ?? 0;
+      const max = req?.max ?? null;
+      const roles = Array.isArray(req?.roles) ? req.roles.map(sanitizeString).filter(Boolean) : [];
+      const archetypes = Array.isArray(req?.archetypes) ? req.archetypes.map(a => sanitizeString(a).toUpperCase()).filter(Boolean) : [];
+      if (!label) errors.push(`composition[${index}].label is required`);
+      if (roles.length === 0 && archetypes.length === 0) errors.push(`composition[${index}] must list at least one role or archetype`);
+      if (!Number.isInteger(min) || min < 0) errors.push(`composition[${index}].min must be a whole number of zero or more`);
+      if (max !== null && (!Number.isInteger(max) || max < min)) errors.push(`composition[${index}].max must be a whole number no smaller than min`);
+      return { label, roles, archetypes, min, max };
+    });
+    const totalMin = rules.composition.reduce((sum, req) => sum + (Number.isInteger(req.min) ? req.min : 0), 0);
+    if (isPositiveInteger(rules.squadSize) && totalMin > rules.squadSize) errors.push('composition minimums add up to more than squadSize');
+  }
+
+  if (!Array.isArray(rules.tiers)) {
+    errors.push('tiers must be a list of { name, minScore, maxScore, basePrice }');
+  } else {
+    rules.tiers = rules.tiers.map((tier, index) => {
+      const name = sanitizeString(tier?.name);
+      const { minScore, maxScore, basePrice } = tier || {};
+      if (!name) errors.push(`tiers[${index}].name is required`);
+      if (!isPositiveInteger(minScore) || !isPositiveInteger(maxScore) || maxScore < minScore) errors.push(`tiers[${index}] needs whole-number minScore and maxScore with minScore <= maxScore`);
+      if (!isPositiveInteger(basePrice)) errors.push(`tiers[${index}].basePrice must be a positive whole number of rupees`);
+      return { name, minScore, maxScore, basePrice };
+    });
+    rules.tiers.forEach((tier, index) => {
+      rules.tiers.slice(index + 1).forEach(other => {
+        if (tier.name && tier.name === other.name) errors.push(`tiers has two tiers named "${tier.name}"`);
+        else if (tier.minScore <= other.maxScore && other.minScore <= tier.maxScore) errors.push(`tiers "${tier.name}" and "${other.name}" overlap`);
+      });
+    });
+  }
+
+  if (rules.sets !== null && rules.sets !== undefined) {
+    if (!Array.isArray(rules.sets) || rules.sets.length > MAX_NAMED_SETS) {
+      errors.push(`sets must be null or a list of up to ${MAX_NAMED_SETS} { name, tiers, roles, archetypes, players, order } sets`);
+    } else {
+      const tierNames = Array.isArray(rules.tiers) ? rules.tiers.map(tier => tier.name) : [];
+      rules.sets = rules.sets.map((set, index) => {
+        const list = (key) => (Array.isArray(set?.[key]) ? set[key].map(sanitizeString).filter(Boolean) : []);
+        const definition = {
+          name: sanitizeString(set?.name), tiers: list('tiers'), roles: list('roles'),
+          archetypes: list('archetypes').map(code => code.toUpperCase()), players: list('players'), order: set?.order ?? 'random',
+          format: set?.format ?? 'open',
+        };
+        if (definition.format === 'sealed') definition.pricing = set?.pricing ?? 'first-price';
+        if (!definition.name) errors.push(`sets[${index}].name is required`);
+        if (!SET_ORDERS.includes(definition.order)) errors.push(`sets[${index}].order must be one of ${SET_ORDERS.join(', ')}`);
+        if (!SET_FORMATS.includes(definition.format)) errors.push(`sets[${index}].format must be one of ${SET_FORMATS.join(', ')}`);
+        if (definition.pricing && !SEALED_PRICING.includes(definition.pricing)) errors.push(`sets[${index}].pricing must be one of ${SEALED_PRICING.join(', ')}`);
+        if (['tiers', 'roles', 'archetypes', 'players'].every(key => definition[key].length === 0)) errors.push(`sets[${index}] must list tiers, roles, archetypes or players`);
+        definition.tiers.filter(tier => !tierNames.includes(tier)).forEach(tier => errors.push(`sets[${index}] refers to unknown tier "${tier}"`));
+        return definition;
+      });
+      const names = rules.sets.map(set => set.name).filter(Boolean);
+      if (new Set(names).size !== names.length) errors.push('sets must have unique names');
+    }
+  }
+
+  if (rules.retention !== null && rules.retention !== undefined) {
+    const { maxPerTeam, players } = rules.retention;
+    if (!isPositiveInteger(maxPerTeam) || (isPositiveInteger(rules.squadSize) && maxPerTeam > rules.squadSize)) errors.push('retention.maxPerTeam must be a whole number from 1 to squadSize');
+    if (!Array.isArray(players) || players.length === 0) {
+      errors.push('retention.players must be a non-empty list of { sNo, teamId, price }');
+    } else {
+      rules.retention = {
+        maxPerTeam,
+        players: players.map((entry, index) => {
+          const candidate = { sNo: sanitizeString(entry?.sNo), teamId: entry?.teamId, price: entry?.price };
+          if (!candidate.sNo) errors.push(`retention.players[${index}].sNo is required`);
+          if (!Number.isInteger(candidate.teamId) || candidate.teamId < 1 || candidate.teamId > rules.teamCount) errors.push(`retention.players[${index}].teamId must be a team from 1 to teamCount`);
+          if (!isPositiveInteger(candidate.price)) errors.push(`retention.players[${index}].price must be a positive whole number of rupees`);
+          return candidate;
+        }),
+      };
+      const listed = rules.retention.players.map(candidate => candidate.sNo).filter(Boolean);
+      if (new Set(listed).size !== listed.length) errors.push('retention.players lists a player more than once');
+    }
+  } else rules.retention = null;
+
+  if (rules.rtm !== null && rules.rtm !== undefined) {
+    const { cardsPerTeam, windowSeconds = DEFAULT_RTM_WINDOW_SECONDS } = rules.rtm;
+    if (!isPositiveInteger(cardsPerTeam)) errors.push('rtm.cardsPerTeam must be a positive whole number');
+    if (!isPositiveInteger(windowSeconds) || windowSeconds > MAX_RTM_WINDOW_SECONDS) errors.push(`rtm.windowSeconds must be a whole number of seconds from 1 to ${MAX_RTM_WINDOW_SECONDS}`);
+    rules.rtm = { cardsPerTeam, windowSeconds };
+    // A sealed sale has no open winning bid for the previous team to match, so the two don't mix
+    if (Array.isArray(rules.sets) && rules.sets.some(set => set.format === 'sealed')) errors.push('rtm cannot be combined with sealed-bid sets');
+  } else rules.rtm = null;
+
+  if (rules.seed === undefined || rules.seed === null || rules.seed === '') rules.seed = null;
+  else if (!['string', 'number'].includes(typeof rules.seed) || !sanitizeString(rules.seed) || String(rules.seed).length > 64) errors.push('seed must be null or text of up to 64 characters');
+  else rules.seed = sanitizeString(rules.seed);
+
+  if (!rules.archetypes || typeof rules.archetypes !== 'object' || Array.isArray(rules.archetypes) || Object.keys(rules.archetypes).length === 0) {
+    errors.push('archetypes must be an object of code: name');
+  } else {
+    const archetypes = {};
+    Object.entries(rules.archetypes).forEach(([code, name]) => {
+      const key = sanitizeString(code).toUpperCase();
+      if (!/^[A-Z]{1,4}$/.test(key)) errors.push(`archetypes code "${code}" must be 1-4 letters`);
+      else if (!sanitizeString(name)) errors.push(`archetypes["${code}"] needs a name`);
+      else archetypes[key] = sanitizeString(name);
+    });
+    rules.archetypes = archetypes;
+  }
+
+  ['positive', 'negative'].forEach(kind => {
+    const table = rules.synergy[kind];
+    if (!table || typeof table !== 'object' || Array.isArray(table)) { errors.push(`synergy.${kind} must be an object of pair: points`); return; }
+    const normalized = {};
+    Object.entries(table).forEach(([key, points]) => {
+      const pairKey = normalizeSynergyKey(key);
+      if (!pairKey) errors.push(`synergy.${kind} key "${key}" must look like "AO-AN"`);
+      else if (typeof points !== 'number' || !Number.isFinite(points)) errors.push(`synergy.${kind}["${key}"] must be a number`);
+      else if (kind === 'positive' ? points < 0 : points > 0) errors.push(`synergy.${kind}["${key}"] must be ${kind === 'positive' ? 'zero or more' : 'zero or less'}`);
+      else normalized[pairKey] = points;
+    });
+    rules.synergy[kind] = normalized;
+  });
+
+  return { rules: errors.length === 0 ? rules : null, errors };
+}
+
+// Server-wide defaults, optionally replaced by a JSON file so organisers don't have to edit code
+function loadDefaultRules() {
+  const rulesPath = process.env.AUCTION_RULES_FILE;
+  if (!rulesPath) return BUILT_IN_RULES;
   try {
-    await client.connect();
-    console.log("✅ Successfully connected to MongoDB Atlas.");
+    const { rules, errors } = normalizeRules(JSON.parse(fs.readFileSync(rulesPath, 'utf8')));
+    if (rules) {
+      console.log(`📏 Loaded default auction rules from ${rulesPath}`);
+      return rules;
+    }
+    console.error(`❌ Invalid rules in ${rulesPath}, using built-in rules:\n - ${errors.join('\n - ')}`);
   } catch (error) {
-    console.error("❌ Failed to connect to MongoDB:", error);
+    console.error(`❌ Failed to read ${rulesPath}, using built-in rules:`, error.message);
   }
+  return BUILT_IN_RULES;
+}
+const DEFAULT_RULES = loadDefaultRules();
+
+function isValidTeamId(auction, teamId) { return Number.isInteger(teamId) && teamId >= 1 && teamId <= auction.teams.length; }
+function sanitizeString(str) { return str ? str.toString().trim() : ''; }
+
+// --- Database Persistence Functions ---
+
+// Helper to connect to the configured store on startup
+async function connectToDb() {
+  await storage.connect();
 }
 
-// Save the current state to MongoDB
-async function saveState() {
-  if (!client.topology || !client.topology.isConnected()) {
-    console.warn("⚠️ Cannot save state: Not connected to MongoDB.");
+// Save one auction's state to its storage document. Writes are queued per auction so an older
+// copy of the event log can never land after a newer one.
+async function saveState(auction) {
+  if (!storage.isReady()) {
+    console.warn(`⚠️ Cannot save auction ${auction.code}: ${storage.name} storage is not available.`);
     return;
   }
-  try {
-    const state = {
-      players, allPlayers, unsold, currentPlayerIndex, sets, currentBid, currentBidTeam,
-      isReAuction, reAuctionUnsold, auctionHistory,
-      teams: teams.map(t => ({ ...t, socketId: null, isConnected: false })),
-    };
-    await stateCollection.updateOne({ _id: STATE_DOC_ID }, { $set: state }, { upsert: true });
-    console.log('💾 Auction state saved to MongoDB.');
-  } catch (error) {
-    console.error('Error saving state to MongoDB:', error);
+  const state = {};
+  PERSISTED_FIELDS.forEach(field => { state[field] = auction[field]; });
+  state.events = [...auction.events];
+  auction.saveQueue = auction.saveQueue.then(async () => {
+    try {
+      await storage.save(auction.code, state);
+      console.log(`💾 Auction ${auction.code} saved (${storage.name}, ${state.events.length} events).`);
+    } catch (error) {
+      console.error(`Error saving auction ${auction.code} to ${storage.name} storage:`, error);
+    }
+  });
+  await auction.saveQueue;
+}
+
+// Team logos live in storage apart from the auction document, cached on the auction once read
+async function saveTeamLogo(auction, teamId, logo) {
+  auction.logos[teamId] = logo;
+  if (!storage.isReady()) {
+    console.warn(`⚠️ Cannot save team ${teamId}'s logo in auction ${auction.code}: ${storage.name} storage is not available.`);
+    return;
   }
+  await storage.saveLogo(auction.code, teamId, logo);
+}
+
+async function loadTeamLogo(auction, teamId) {
+  if (auction.logos[teamId] === undefined && storage.isReady()) auction.logos[teamId] = await storage.loadLogo(auction.code, teamId);
+  return auction.logos[teamId] || null;
 }
 
-// Load state from MongoDB on startup
-async function loadState() {
-  if (!client.topology || !client.topology.isConnected()) return false;
+// Load one auction from storage, or null if it has never been saved
+async function loadState(code) {
+  if (!storage.isReady()) return null;
   try {
-    const savedState = await stateCollection.findOne({ _id: STATE_DOC_ID });
+    const savedState = await storage.load(code);
     if (savedState) {
-      players = savedState.players || [];
-      allPlayers = savedState.allPlayers || [];
-      unsold = savedState.unsold || [];
-      currentPlayerIndex = savedState.currentPlayerIndex || 0;
-      sets = savedState.sets || [[], [], []];
-      currentBid = savedState.currentBid || 0;
-      currentBidTeam = savedState.currentBidTeam || null;
-      isReAuction = savedState.isReAuction || false;
-      reAuctionUnsold = savedState.reAuctionUnsold || [];
-      teams = savedState.teams || teams;
-      auctionHistory = savedState.auctionHistory || [];
-      console.log('🔄 Auction state loaded successfully from MongoDB.');
-      return true;
+      const auction = createAuctionState(code, savedState.rules);
+      PERSISTED_FIELDS.forEach(field => {
+        if (savedState[field] !== undefined && savedState[field] !== null) auction[field] = savedState[field];
+      });
+      rebuildFromEvents(auction);
+      let upgraded = false;
+      // Auctions saved before seat PINs existed get them now; the server log is the only place they are shown
+      if (!auction.seatPins) {
+        auction.seatPins = createSeatPins(auction.rules);
+        upgraded = true;
+        console.log(`🔐 Auction ${code} had no seat PINs; issued them now. Auctioneer PIN: ${auction.seatPins.auctioneer}`);
+      }
+      // Logos saved inside the auction document by older versions move out to their own storage
+      for (const [teamId, { logo, ...identity }] of Object.entries(auction.teamIdentities)) {
+        if (logo === undefined) continue;
+        if (logo) await saveTeamLogo(auction, teamId, logo);
+        auction.teamIdentities = { ...auction.teamIdentities, [teamId]: identity };
+        upgraded = true;
+      }
+      if (upgraded) await saveState(auction);
+      startRtmWindow(auction);
+      startSealedWindow(auction);
+      console.log(`🔄 Auction ${code} loaded successfully from ${storage.name} storage.`);
+      return auction;
     }
   } catch (error) {
-    console.error('Error loading state from MongoDB:', error);
+    console.error(`Error loading auction ${code} from ${storage.name} storage:`, error);
+  }
+  return null;
+}
+
+// Resolve a room code to a live auction, pulling it from the DB on first use. Requests that arrive
+// while it is loading share the one load, so nobody ends up on an orphaned copy.
+const pendingLoads = new Map();
+async function getAuction(code) {
+  if (!isValidRoomCode(code)) return null;
+  if (auctions.has(code)) return auctions.get(code);
+  if (!pendingLoads.has(code)) {
+    pendingLoads.set(code, loadState(code)
+      .then(auction => { if (auction) auctions.set(code, auction); return auction; })
+      .finally(() => pendingLoads.delete(code)));
   }
-  return false;
+  return pendingLoads.get(code);
 }
 
-// --- Player & Auction Logic (No changes needed here unless specified) ---
+// --- Player & Auction Logic ---
+
+// Recompute a reshaped squad's synergy, and each player's share of it
+function rescoreTeam(team, synergyRules) {
+  team.players = team.players.map(p => ({ ...p, individualSynergy: calculatePlayerSynergy(p, team.players, synergyRules) }));
+  team.synergy = calculateSynergy(team.players, synergyRules);
+}
 
-function updatePlayerStatus(playerSNo, status, soldToTeam = null, soldPrice = null) {
-  const playerIndex = allPlayers.findIndex(p => p.sNo === playerSNo);
+function updatePlayerStatus(auction, playerSNo, status, soldToTeam = null, soldPrice = null) {
+  const playerIndex = auction.allPlayers.findIndex(p => p.sNo === playerSNo);
   if (playerIndex !== -1) {
-    allPlayers[playerIndex].status = status;
-    if (soldToTeam) allPlayers[playerIndex].soldToTeam = soldToTeam;
-    if (soldPrice) allPlayers[playerIndex].soldPrice = soldPrice;
+    auction.allPlayers[playerIndex].status = status;
+    if (soldToTeam) auction.allPlayers[playerIndex].soldToTeam = soldToTeam;
+    if (soldPrice) auction.allPlayers[playerIndex].soldPrice = soldPrice;
   }
 }
 
-function createAuctionSnapshot(action, playerData = null) {
-  const snapshot = {
-    timestamp: Date.now(), action, playerData,
-    state: {
-      currentPlayerIndex, currentBid, currentBidTeam, isReAuction,
-      unsold: [...unsold], reAuctionUnsold: [...reAuctionUnsold],
-      teams: teams.map(team => ({ ...team, players: [...team.players], socketId: undefined })),
-      allPlayers: allPlayers.map(p => ({ ...p }))
-    }
-  };
-  auctionHistory.push(snapshot);
-  if (auctionHistory.length > MAX_HISTORY_SIZE) auctionHistory.shift();
-  console.log(`Snapshot created: ${action}`);
+// --- Event Log ---
+// Every change to an auction is an event appended to `auction.events` and applied by applyEvent().
+// Replaying the log from an empty auction rebuilds the same state, which is how auctions are loaded
+// and how undo works: an undo event voids a range of earlier events and the state is replayed
+// without them. Events are never removed, so the log doubles as the audit trail.
+//   { seq, type, at, actor, data }   actor: 'auctioneer' | 'team-<id>' | 'timer' | 'system'
+
+// Append an event and apply it to the live state
+function recordEvent(auction, type, actor, data = {}) {
+  const event = { seq: auction.events.length + 1, type, at: Date.now(), actor, data };
+  auction.events.push(event);
+  applyEvent(auction, event);
+  return event;
 }
 
-function restoreAuctionSnapshot(snapshot) {
-  try {
-    currentPlayerIndex = snapshot.state.currentPlayerIndex;
-    currentBid = snapshot.state.currentBid;
-    currentBidTeam = snapshot.state.currentBidTeam;
-    isReAuction = snapshot.state.isReAuction;
-    unsold = [...snapshot.state.unsold];
-    reAuctionUnsold = [...snapshot.state.reAuctionUnsold];
-    allPlayers = snapshot.state.allPlayers.map(p => ({ ...p }));
-    snapshot.state.teams.forEach((savedTeam, index) => {
-      if (teams[index]) {
-        const currentSocketId = teams[index].socketId;
-        const currentIsConnected = teams[index].isConnected;
-        teams[index] = { ...savedTeam, socketId: currentSocketId, isConnected: currentIsConnected };
+// Undo events that a later redo has cancelled
+function getCancelledUndos(events) {
+  return new Set(events.filter(event => event.type === 'redo').map(event => event.data.undoSeq));
+}
+
+// Sequence numbers removed from the auction by undo events still in effect. Undo and redo events
+// themselves always stand, so undoing twice voids two ranges rather than cancelling out.
+function getVoidedSeqs(events) {
+  const cancelled = getCancelledUndos(events);
+  const voided = new Set();
+  events.forEach(event => {
+    if (event.type !== 'undo' || cancelled.has(event.seq)) return;
+    for (let seq = event.data.from; seq <= event.data.to; seq++) voided.add(seq);
+  });
+  events.forEach(event => { if (event.type === 'undo' || event.type === 'redo') voided.delete(event.seq); });
+  return voided;
+}
+
+// Closing the last lot of a set pauses the main auction until the auctioneer opens the next set
+function closeLot(auction) {
+  auction.currentPlayerIndex++; auction.currentBid = 0; auction.currentBidTeam = null; auction.lotBids = []; auction.rtmOffer = null; auction.sealedBids = [];
+  if (!auction.isReAuction) { const position = getSetPosition(auction); auction.setBreak = Boolean(position && position.index > 0 && position.lot === 0); }
+}
+
+// Apply one event to an auction's state. No I/O here: the live handlers emit to clients themselves.
+function applyEvent(auction, event) {
+  const { data } = event;
+  switch (event.type) {
+    case 'poolLoaded': {
+      auction.players = data.players.map(p => ({ ...p }));
+      // Players retained before the lots were drawn are already on their teams
+      const retained = auction.teams.flatMap(team => team.players.map(p => ({ ...p, status: 'sold', soldToTeam: team.id, soldPrice: p.boughtPrice })));
+      retained.forEach(p => { delete p.boughtPrice; delete p.individualSynergy; });
+      auction.allPlayers = [...data.players.map(p => ({ ...p })), ...retained];
+      auction.retentionPool = null;
+      // Logs from before named sets store each set as a bare list of S.No
+      auction.sets = data.sets.map((set, index) => {
+        const { name, players, format, pricing } = Array.isArray(set) ? { name: `Set ${index + 1}`, players: set } : set;
+        return { name, players: players.map(sNo => auction.players.find(p => p.sNo === sNo)).filter(Boolean), ...(format ? { format, pricing } : {}) };
+      });
+      auction.poolSeed = data.seed || null;
+      auction.phase = 'live';
+      break;
+    }
+    case 'bid':
+      auction.currentBid = data.amount;
+      auction.currentBidTeam = data.teamId;
+      auction.lotBids.push({ seq: event.seq, teamId: data.teamId, amount: data.amount, at: event.at });
+      break;
+    case 'bidReset':
+      auction.currentBid = 0;
+      auction.currentBidTeam = null;
+      auction.lotBids.push({ seq: event.seq, reset: true, at: event.at });
+      break;
+    case 'sold': {
+      const team = auction.teams[data.teamId - 1], player = getCurrentPlayer(auction);
+      if (!team || !player || player.sNo !== data.playerSNo) { console.warn(`⚠️ Event ${event.seq} in ${auction.code} does not match the lot on the block`); break; }
+      team.remaining -= data.amount;
+      team.spent += data.amount;
+      if (data.rtm) team.rtmCards--;
+      team.players.push({ ...player, boughtPrice: data.amount, individualSynergy: calculatePlayerSynergy(player, [...team.players, player], auction.rules.synergy) });
+      team.synergy = calculateSynergy(team.players, auction.rules.synergy);
+      updatePlayerStatus(auction, player.sNo, 'sold', data.teamId, data.amount);
+      closeLot(auction);
+      break;
+    }
+    case 'sealedBid':
+      auction.sealedBids.push({ seq: event.seq, teamId: data.teamId, amount: data.amount });
+      break;
+    case 'rtmOffered':
+      auction.rtmOffer = { seq: event.seq, playerSNo: data.playerSNo, teamId: data.teamId, winnerTeamId: data.winnerTeamId, amount: data.amount };
+      break;
+    case 'skipped': {
+      const player = getCurrentPlayer(auction);
+      if (!player || player.sNo !== data.playerSNo) { console.warn(`⚠️ Event ${event.seq} in ${auction.code} does not match the lot on the block`); break; }
+      auction.unsold.push(player);
+      updatePlayerStatus(auction, player.sNo, 'available');
+      closeLot(auction);
+      break;
+    }
+    case 'phase':
+      if (data.phase === 'reAuction') {
+        auction.reAuctionUnsold = data.order.map(sNo => auction.unsold.find(p => p.sNo === sNo)).filter(Boolean);
+        auction.currentPlayerIndex = 0;
+        auction.isReAuction = true;
+      } else if (data.phase === 'retention') {
+        auction.phase = 'retention';
+        auction.retentionPool = data.players.map(p => ({ ...p }));
+      } else if (data.phase === 'trading') {
+        auction.phase = 'trading';
+      } else if (data.phase === 'complete') {
+        // Also closes the trade window; anything still under negotiation lapses
+        if (auction.phase === 'trading') {
+          auction.phase = 'live';
+          auction.trades.forEach(trade => { if (isTradeOpen(trade)) trade.status = 'expired'; });
+        }
+        auction.finalStandings = buildStandings(auction);
       }
+      break;
+    case 'retained': {
+      const team = auction.teams[data.teamId - 1], player = auction.retentionPool?.find(p => p.sNo === data.sNo);
+      if (!team || !player) { console.warn(`⚠️ Event ${event.seq} in ${auction.code} retains a player outside the retention pool`); break; }
+      team.players.push({ ...player, boughtPrice: data.price, retained: true });
+      team.remaining -= data.price;
+      team.spent += data.price;
+      rescoreTeam(team, auction.rules.synergy);
+      break;
+    }
+    case 'released': {
+      const team = auction.teams[data.teamId - 1];
+      if (!team || !team.players.some(p => p.sNo === data.sNo)) break;
+      team.players = team.players.filter(p => p.sNo !== data.sNo);
+      team.remaining += data.price;
+      team.spent -= data.price;
+      rescoreTeam(team, auction.rules.synergy);
+      break;
+    }
+    case 'tradeProposed':
+      auction.trades.push({ id: data.tradeId, from: data.from, to: data.to, give: data.give, receive: data.receive, cash: data.cash, cashFrom: data.cashFrom, status: 'proposed' });
+      break;
+    case 'tradeResponded':
+    case 'tradeCancelled':
+    case 'tradeDecided': {
+      const trade = auction.trades.find(t => t.id === data.tradeId);
+      if (!trade) { console.warn(`⚠️ Event ${event.seq} in ${auction.code} refers to unknown trade ${data.tradeId}`); break; }
+      if (event.type === 'tradeCancelled') trade.status = 'cancelled';
+      else if (event.type === 'tradeResponded') trade.status = data.accepted ? 'accepted' : 'rejected';
+      else if (!data.approved) trade.status = 'declined';
+      else { trade.status = 'approved'; executeTrade(auction, trade); }
+      break;
+    }
+    case 'nextSet':
+      auction.setBreak = false;
+      break;
+    case 'reset': {
+      const previousTeams = auction.teams;
+      Object.assign(auction, {
+        players: [], allPlayers: [], unsold: [], reAuctionUnsold: [], currentPlayerIndex: 0, sets: [], poolSeed: null, setBreak: false,
+        currentBid: 0, currentBidTeam: null, lotBids: [], isReAuction: false, finalStandings: null, phase: 'setup', trades: [], retentionPool: null, rtmOffer: null, sealedBids: [],
+      });
+      auction.teams = createTeams(auction.rules, auction.teamIdentities).map((team, index) => ({
+        ...team, isConnected: previousTeams[index].isConnected, socketId: previousTeams[index].socketId
+      }));
+      break;
+    }
+    default:
+      break; // auctionCreated, join, leave, timer, teamIdentity and undo events are audit-only
+  }
+}
+
+// One-line, human-readable summary of an event. `lot` is the player on the block before it applied.
+function describeEvent(auction, event, lot) {
+  const { data } = event;
+  const teamName = (teamId) => auction.teams[teamId - 1]?.name || `Team ${teamId}`;
+  const retentionName = (sNo) => auction.allPlayers.find(p => p.sNo === sNo)?.name || auction.retentionPool?.find(p => p.sNo === sNo)?.name || sNo;
+  switch (event.type) {
+    case 'poolLoaded': return `Player pool loaded: ${data.players.length} players in ${data.sets.length} sets${data.seed ? ` (seed ${data.seed})` : ''}`;
+    case 'bid': return `${teamName(data.teamId)} bids ${formatPrice(data.amount)} for ${lot?.name || 'the player'}`;
+    case 'bidReset': return `Bid reset on ${lot?.name || 'the player'}`;
+    case 'sold': {
+      const premium = lot?.basePrice ? Math.round(((data.amount - lot.basePrice) / lot.basePrice) * 100) : 0;
+      return `SOLD ${lot?.name || 'player'} to ${teamName(data.teamId)} for ${formatPrice(data.amount)} (base ${formatPrice(lot?.basePrice || 0)}, ${premium >= 0 ? '+' : ''}${premium}%)${data.rtm ? ' with an RTM card' : ''}${data.sealed ? ` by ${data.sealed.pricing} sealed bid (${data.sealed.bids.length} bids)` : ''}`;
+    }
+    case 'sealedBid': return `${teamName(data.teamId)} submits a sealed bid for ${lot?.name || 'the player'}`;
+    case 'rtmOffered': return `${teamName(data.teamId)} may use an RTM card to match ${teamName(data.winnerTeamId)}'s ${formatPrice(data.amount)} for ${lot?.name || 'the player'}`;
+    case 'skipped': return `UNSOLD ${lot?.name || 'player'}${data.sealed ? ' (no sealed bids)' : ''}`;
+    case 'phase':
+      if (data.phase === 'reAuction') return `Re-auction opens with ${data.order.length} unsold players`;
+      if (data.phase === 'retention') return 'Retentions open';
+      return data.phase === 'trading' ? 'Trade window opens' : 'Auction complete';
+    case 'retained': return `${teamName(data.teamId)} retains ${retentionName(data.sNo)} for ${formatPrice(data.price)}`;
+    case 'released': return `${teamName(data.teamId)} releases ${retentionName(data.sNo)}`;
+    case 'tradeProposed': return `Trade #${data.tradeId} proposed: ${describeTrade(auction, { ...data, id: data.tradeId })}`;
+    case 'tradeResponded': return `Trade #${data.tradeId} ${data.accepted ? 'accepted' : 'rejected'} by ${teamName(auction.trades.find(t => t.id === data.tradeId)?.to)}`;
+    case 'tradeCancelled': return `Trade #${data.tradeId} withdrawn`;
+    case 'tradeDecided': return `Trade #${data.tradeId} ${data.approved ? 'approved' : 'declined'} by the auctioneer`;
+    case 'nextSet': return `Set ${data.setIndex + 1} (${auction.sets[data.setIndex]?.name || 'next set'}) opens`;
+    case 'reset': return 'Auction reset';
+    case 'undo': return `Undo back to before event #${data.from}`;
+    case 'redo': return `Redo of undo #${data.undoSeq}`;
+    default: return event.type;
+  }
+}
+
+// Events that change what an observer sees; the replay gets one frame per event of these types
+const REPLAY_FRAME_TYPES = new Set(['retained', 'released', 'poolLoaded', 'bid', 'bidReset', 'sealedBid', 'rtmOffered', 'sold', 'skipped', 'nextSet', 'phase', 'tradeDecided', 'reset']);
+
+// Frames for the replay viewer: the board as it looked after each visible event, voided events left out
+function buildReplayFrames(auction) {
+  const replay = createAuctionState(auction.code, auction.rules, auction.teamIdentities);
+  const voided = getVoidedSeqs(auction.events);
+  const frames = [];
+  auction.events.forEach(event => {
+    if (voided.has(event.seq)) return;
+    const lot = getCurrentPlayer(replay);
+    applyEvent(replay, event);
+    if (!REPLAY_FRAME_TYPES.has(event.type)) return;
+    frames.push({
+      seq: event.seq, at: event.at, type: event.type, actor: event.actor, label: describeEvent(replay, event, lot),
+      state: {
+        teams: replay.teams.map(team => ({ ...team, socketId: undefined, isConnected: undefined, players: [...team.players] })),
+        ...getLotState(replay),
+      },
     });
-    console.log(`Auction state restored to: ${snapshot.action}`);
-    return true;
-  } catch (error) {
-    console.error('Error restoring auction snapshot:', error);
-    return false;
+  });
+  return frames;
+}
+
+// Build an auction's state from scratch out of its event log
+function replayEvents(code, rules, events, teamIdentities) {
+  const auction = createAuctionState(code, rules, teamIdentities);
+  const voided = getVoidedSeqs(events);
+  events.forEach(event => { if (!voided.has(event.seq)) applyEvent(auction, event); });
+  return auction;
+}
+
+// Replace an auction's derived state with a fresh replay, keeping its sockets and clock
+function rebuildFromEvents(auction) {
+  const rebuilt = replayEvents(auction.code, auction.rules, auction.events, auction.teamIdentities);
+  REPLAYED_FIELDS.forEach(field => { auction[field] = rebuilt[field]; });
+  auction.teams = rebuilt.teams.map((team, index) => ({
+    ...team, isConnected: auction.teams[index]?.isConnected || false, socketId: auction.teams[index]?.socketId || null
+  }));
+}
+
+// Sales and skips still in effect since the last reset, newest first. These are the points the
+// auctioneer can undo or jump back to; undo never reaches back past a reset or an approved trade,
+// since voiding the sales before a trade would quietly reverse the trade too.
+function getUndoPoints(auction) {
+  const voided = getVoidedSeqs(auction.events);
+  const points = [];
+  for (let i = auction.events.length - 1; i >= 0; i--) {
+    const event = auction.events[i];
+    if (voided.has(event.seq)) continue;
+    if (event.type === 'reset' || (event.type === 'tradeDecided' && event.data.approved)) break;
+    if (event.type === 'sold' || event.type === 'skipped') points.push(event);
   }
+  return points;
 }
 
-function loadPlayers() {
+function findUndoTarget(auction) { return getUndoPoints(auction)[0] || null; }
+
+// Events that change the auction. Any of them recorded after an undo clears the redo stack.
+const ACTION_EVENT_TYPES = new Set(['retained', 'released', 'poolLoaded', 'bid', 'bidReset', 'sealedBid', 'rtmOffered', 'sold', 'skipped', 'nextSet', 'phase', 'tradeProposed', 'tradeResponded', 'tradeCancelled', 'tradeDecided', 'reset']);
+
+// Undos that can still be redone, most recent first
+function getRedoStack(auction) {
+  const cancelled = getCancelledUndos(auction.events);
+  const stack = [];
+  for (let i = auction.events.length - 1; i >= 0; i--) {
+    const event = auction.events[i];
+    if (ACTION_EVENT_TYPES.has(event.type)) break;
+    if (event.type === 'undo' && !cancelled.has(event.seq)) stack.push(event);
+  }
+  return stack;
+}
+
+// Roll the auction back to just before `target`, voiding it and everything after it. A sale that
+// went through an RTM offer rolls back to before the offer, with the winning bid standing again.
+function undoToEvent(auction, target, actor) {
+  recordEvent(auction, 'undo', actor, { from: target.data.rtmOfferSeq || target.seq, to: auction.events.length, target: target.seq, action: target.type, playerSNo: target.data.playerSNo });
+  rebuildFromEvents(auction);
+  stopBidTimer(auction);
+  startRtmWindow(auction);
+  startSealedWindow(auction);
+}
+
+// Cancel an undo, bringing back everything it voided
+function redoUndo(auction, undo, actor) {
+  recordEvent(auction, 'redo', actor, { undoSeq: undo.seq });
+  rebuildFromEvents(auction);
+  stopBidTimer(auction);
+  startRtmWindow(auction);
+  startSealedWindow(auction);
+}
+
+// The auctioneer's history panel: recent sales and skips with their labels, plus undo/redo availability
+const HISTORY_PANEL_SIZE = 30;
+function getActionHistory(auction) {
+  const points = getUndoPoints(auction);
+  const redoStack = getRedoStack(auction);
+  const describe = (event) => describeEvent(auction, event, auction.allPlayers.find(p => p.sNo === event.data.playerSNo));
+  return {
+    entries: points.slice(0, HISTORY_PANEL_SIZE).map(event => ({ seq: event.seq, type: event.type, at: event.at, actor: event.actor, label: describe(event) })),
+    canUndo: points.length > 0,
+    undoLabel: points.length > 0 ? describe(points[0]) : null,
+    canRedo: redoStack.length > 0,
+    redoLabel: redoStack.length > 0 ? describe(auction.events[(redoStack[0].data.target || redoStack[0].data.from) - 1]) : null,
+  };
+}
+
+// --- Player Pool ---
+// New auctions open in a setup phase with a draft pool read from PLAYERS_CSV. The auctioneer can
+// upload another CSV and edit rows before committing; committing shuffles the pool into the log.
+const POOL_COLUMNS = { sNo: 'S.No', name: 'Name', role: 'Role', archetype: 'Archetype', baseScore: 'Base_Score', basePrice: 'Base_Price' };
+const OPTIONAL_POOL_COLUMNS = { previousTeam: 'Previous_Team' }; // The team holding an RTM claim on the player
+const MAX_POOL_ROWS = 500;
+
+// Draft rows keep every cell as text so bad values can be shown and fixed, not silently dropped
+function toPoolRow(row) {
+  const poolRow = {};
+  Object.keys({ ...POOL_COLUMNS, ...OPTIONAL_POOL_COLUMNS }).forEach(field => { poolRow[field] = sanitizeString(row?.[field]); });
+  poolRow.archetype = poolRow.archetype.toUpperCase();
+  return poolRow;
+}
+
+function readPoolRows(stream) {
   return new Promise((resolve, reject) => {
-    const csvPath = process.env.PLAYERS_CSV || path.join(__dirname, 'players.csv');
-    if (!fs.existsSync(csvPath)) return reject(new Error('CSV file not found'));
-    players = [];
-    allPlayers = [];
-    fs.createReadStream(csvPath).pipe(csv())
+    const rows = [];
+    let missingColumns = [];
+    stream.pipe(csv({ mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim() }))
+      .on('headers', (headers) => { missingColumns = Object.values(POOL_COLUMNS).filter(column => !headers.includes(column)); })
       .on('data', (row) => {
-        try {
-          const player = {
-            sNo: sanitizeString(row['S.No']), name: sanitizeString(row.Name), role: sanitizeString(row.Role),
-            archetype: sanitizeString(row.Archetype), baseScore: parseInt(row.Base_Score) || 0,
-            basePrice: (parseInt(row.Base_Price) || 0) * 100000, status: 'available',
-            soldToTeam: null, soldPrice: null
-          };
-          if (player.name && player.archetype && player.baseScore > 0 && player.basePrice > 0) {
-            players.push(player);
-            allPlayers.push({ ...player });
-          }
-        } catch (error) { console.error(`Error processing player row: ${error.message}`); }
-      })
-      .on('end', () => {
-        if (players.length === 0) return reject(new Error('No valid players loaded'));
-        players = players.sort(() => Math.random() - 0.5);
-        const playersPerSet = Math.ceil(players.length / 3);
-        sets = [players.slice(0, playersPerSet), players.slice(playersPerSet, playersPerSet * 2), players.slice(playersPerSet * 2)];
-        allPlayers = allPlayers.sort((a, b) => {
-          const aIndex = players.findIndex(p => p.sNo === a.sNo);
-          const bIndex = players.findIndex(p => p.sNo === b.sNo);
-          return aIndex - bIndex;
-        });
-        console.log(`Successfully loaded ${players.length} players`);
-        emitUpdate();
-        resolve();
+        if (rows.length >= MAX_POOL_ROWS) return;
+        rows.push(toPoolRow(Object.fromEntries(Object.entries({ ...POOL_COLUMNS, ...OPTIONAL_POOL_COLUMNS }).map(([field, column]) => [field, row[column]]))));
       })
+      .on('end', () => (missingColumns.length > 0 ? reject(new Error(`Missing column${missingColumns.length > 1 ? 's' : ''}: ${missingColumns.join(', ')}`)) : resolve(rows)))
       .on('error', (err) => reject(err));
   });
 }
 
-// ... other helper functions like calculateSynergy, getCurrentPlayer, getIncrement, etc. remain the same ...
-function calculateSynergy(roster) { if (!Array.isArray(roster) || roster.length === 0) return 0; let baseTotal=0, positive=0, negative=0; for (const player of roster) { if (player && typeof player.baseScore==='number') baseTotal += player.baseScore; } for (let i=0; i < roster.length; i++) { for (let j=i + 1; j < roster.length; j++) { const p1=roster[i], p2=roster[j]; if (!p1?.archetype || !p2?.archetype) continue; let a1=sanitizeString(p1.archetype), a2=sanitizeString(p2.archetype); if (!a1 || !a2) continue; if (a1 > a2) [a1, a2]=[a2, a1]; const key=`${a1}-${a2}`; positive += synergyRules.positive[key] || 0; negative += synergyRules.negative[key] || 0; } } return baseTotal + positive + negative; }
-function calculatePlayerSynergy(targetPlayer, roster) { if (!targetPlayer || !Array.isArray(roster) || roster.length===0) return 0; const playerIndex=roster.findIndex(p => p.sNo===targetPlayer.sNo); if (playerIndex===-1) return 0; let playerSynergy=targetPlayer.baseScore || 0, positiveBonus=0, negativePenalty=0; for (let i=0; i < roster.length; i++) { if (i===playerIndex) continue; const otherPlayer=roster[i]; if (!otherPlayer?.archetype || !targetPlayer?.archetype) continue; let a1=sanitizeString(targetPlayer.archetype), a2=sanitizeString(otherPlayer.archetype); if (!a1 || !a2) continue; if (a1 > a2) [a1, a2]=[a2, a1]; const key=`${a1}-${a2}`; positiveBonus += synergyRules.positive[key] || 0; negativePenalty += synergyRules.negative[key] || 0; } return playerSynergy + positiveBonus + negativePenalty; }
-function getCurrentPlayer() { if (isReAuction) return reAuctionUnsold[currentPlayerIndex] || null; const totalPlayers=players.length; if (currentPlayerIndex >= totalPlayers) return null; const playersPerSet=Math.ceil(totalPlayers / 3); const setIndex=Math.floor(currentPlayerIndex / playersPerSet); const indexInSet=currentPlayerIndex % playersPerSet; if (!sets[setIndex] || !sets[setIndex][indexInSet]) return null; return sets[setIndex][indexInSet]; }
-function getIncrement(bid) { if (bid < 5000000) return 500000; if (bid < 10000000) return 1000000; if (bid < 20000000) return 2000000; return 5000000; }
-function validateBid(teamId, newBid) { if (!isValidTeamId(teamId)) return { valid: false, reason: 'Invalid team ID' }; const team=teams[teamId - 1], player=getCurrentPlayer(); if (!player) return { valid: false, reason: 'No player available' }; if (team.players.length >= 8) return { valid: false, reason: 'Team roster is full (8 players)' }; if (team.remaining < newBid) return { valid: false, reason: 'Insufficient team budget' }; if (newBid <= 0) return { valid: false, reason: 'Bid must be positive' }; return { valid: true }; }
-function handleReAuction() { const needyTeams = teams.filter(t => t.players.length < 8); if (needyTeams.length === 0 || unsold.length === 0) { declareWinner(); return; } reAuctionUnsold = [...unsold].sort(() => Math.random() - 0.5); currentPlayerIndex = 0; isReAuction = true; io.emit('reAuctionStart', { unsoldCount: reAuctionUnsold.length, needyTeams: needyTeams.map(t => t.name) }); emitUpdate(); }
-function declareWinner() { const sortedTeams = [...teams].sort((a, b) => (b.synergy || 0) - (a.synergy || 0) || b.remaining - a.remaining); io.emit('auctionComplete', { winner: sortedTeams[0], standings: sortedTeams }); }
+async function loadDefaultDraftPool(auction) {
+  const csvPath = process.env.PLAYERS_CSV || path.join(__dirname, 'players.csv');
+  if (!fs.existsSync(csvPath)) throw new Error('CSV file not found');
+  setDraftPool(auction, path.basename(csvPath), await readPoolRows(fs.createReadStream(csvPath)));
+}
+
+// The tier a score falls in, or null when it is outside every tier
+function getTier(score, rules) {
+  return (rules.tiers || BUILT_IN_RULES.tiers).find(tier => score >= tier.minScore && score <= tier.maxScore) || null;
+}
+
+// Row-level problems in a draft pool as { errors, warnings }, each [{ row, field, message }] where row
+// is the index in `rows`. Errors block the commit; warnings (tier mismatches) only need a look.
+function validatePoolRows(rows, rules) {
+  const errors = [];
+  const warnings = [];
+  const archetypes = rules.archetypes || BUILT_IN_RULES.archetypes;
+  const seen = new Map();
+  if (rows.length === 0) errors.push({ row: null, field: null, message: 'The pool has no players' });
+  rows.forEach((row, index) => {
+    const fail = (field, message) => errors.push({ row: index, field, message });
+    if (!row.sNo) fail('sNo', 'S.No is missing');
+    else if (seen.has(row.sNo)) fail('sNo', `Duplicate S.No ${row.sNo} (also row ${seen.get(row.sNo) + 1})`);
+    else seen.set(row.sNo, index);
+    if (!row.name) fail('name', 'Name is missing');
+    if (!row.role) fail('role', 'Role is missing');
+    if (!row.archetype) fail('archetype', 'Archetype is missing');
+    else if (!archetypes[row.archetype]) fail('archetype', `Unknown archetype code "${row.archetype}"`);
+    if (!row.baseScore) fail('baseScore', 'Base_Score is missing');
+    else if (!/^\d+$/.test(row.baseScore) || parseInt(row.baseScore, 10) <= 0) fail('baseScore', `Base_Score "${row.baseScore}" is not a positive number`);
+    const tier = /^\d+$/.test(row.baseScore) ? getTier(parseInt(row.baseScore, 10), rules) : null;
+    if (row.baseScore && /^\d+$/.test(row.baseScore) && !tier) warnings.push({ row: index, field: 'baseScore', message: `Base_Score ${row.baseScore} is outside every tier` });
+    if (!row.basePrice) {
+      if (!tier) fail('basePrice', 'Base_Price is missing and there is no tier to take it from');
+    } else if (!/^\d+$/.test(row.basePrice) || parseInt(row.basePrice, 10) <= 0) {
+      fail('basePrice', `Base_Price "${row.basePrice}" is not a positive number of lakh`);
+    } else if (tier && parseInt(row.basePrice, 10) * 100000 !== tier.basePrice) {
+      warnings.push({ row: index, field: 'basePrice', message: `Base_Price ${formatPrice(parseInt(row.basePrice, 10) * 100000)} does not match the ${tier.name} tier price of ${formatPrice(tier.basePrice)}` });
+    }
+    if (row.previousTeam && (!/^\d+$/.test(row.previousTeam) || parseInt(row.previousTeam, 10) < 1 || parseInt(row.previousTeam, 10) > rules.teamCount)) {
+      fail('previousTeam', `Previous_Team "${row.previousTeam}" is not a team from 1 to ${rules.teamCount}`);
+    }
+  });
+  return { errors, warnings };
+}
+
+// A validated draft row as an auction player. Base_Price in the CSV is in lakh; a blank one comes from the tier.
+function toPoolPlayer(row, rules) {
+  const baseScore = parseInt(row.baseScore, 10);
+  const tier = getTier(baseScore, rules);
+  return {
+    sNo: row.sNo, name: row.name, role: row.role, archetype: row.archetype, baseScore,
+    basePrice: row.basePrice ? parseInt(row.basePrice, 10) * 100000 : tier.basePrice, tier: tier ? tier.name : null,
+    previousTeam: row.previousTeam ? parseInt(row.previousTeam, 10) : null,
+    status: 'available', soldToTeam: null, soldPrice: null
+  };
+}
+
+// The draft pool plus its problems and, once it is valid, how it would split into sets
+function setDraftPool(auction, source, rows) {
+  const { errors, warnings } = validatePoolRows(rows, auction.rules);
+  const setPlan = errors.length > 0 ? null
+    : buildLotOrder(rows.map(row => toPoolPlayer(row, auction.rules)), auction.rules, 'preview').map(set => ({ name: set.name, order: set.order, pricing: set.pricing || null, count: set.players.length }));
+  auction.draftPool = { source, rows, errors, warnings, setPlan, version: (auction.draftPool?.version || 0) + 1 };
+}
+
+// Order a pool into sets and start the auction with it
+function loadPlayers(auction, pool, actor = 'system') {
+  const seed = auction.rules.seed || generateSeed();
+  const sets = buildLotOrder(pool.map(p => ({ ...p, status: 'available', soldToTeam: null, soldPrice: null })), auction.rules, seed);
+  const players = sets.flatMap(set => set.players);
+  // The resulting order goes into the log so replay rebuilds the same lots
+  const formats = (set) => (set.format === 'sealed' ? { format: set.format, pricing: set.pricing } : {});
+  recordEvent(auction, 'poolLoaded', actor, { players, sets: sets.map(set => ({ name: set.name, players: set.players.map(p => p.sNo), ...formats(set) })), seed });
+  startSealedWindow(auction);
+  console.log(`Successfully loaded ${players.length} players in ${sets.length} sets for auction ${auction.code} (seed ${seed})`);
+  emitUpdate(auction);
+}
+
+// --- Lot Order ---
+// The pool is grouped into named sets (rules.sets) and each set is put in order. Every shuffle is
+// driven by a seed recorded in the poolLoaded event, so a given auction's order can be regenerated.
+
+// Deterministic PRNG (mulberry32) seeded from any string
+function createSeededRandom(seed) {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Fisher–Yates shuffle of a copy of `items`
+function seededShuffle(items, random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+function generateSeed() { return crypto.randomBytes(4).toString('hex'); }
+
+// A set takes the players on its explicit list, plus anyone matching all of its tier/role/archetype filters
+function matchesSet(player, definition) {
+  if (definition.players.includes(player.sNo)) return true;
+  const filters = [['tiers', player.tier], ['roles', player.role], ['archetypes', player.archetype]].filter(([key]) => definition[key].length > 0);
+  return filters.length > 0 && filters.every(([key, value]) => definition[key].includes(value));
+}
+
+function orderSet(set, random) {
+  switch (set.order) {
+    case 'fixed': {
+      // Explicitly listed players in list order, then everyone else in pool order
+      const rank = (player) => { const index = set.players.indexOf(player.sNo); return index === -1 ? set.players.length : index; };
+      return [...set.members].sort((a, b) => rank(a) - rank(b));
+    }
+    case 'price': return [...set.members].sort((a, b) => b.basePrice - a.basePrice || b.baseScore - a.baseScore);
+    default: return seededShuffle(set.members, random);
+  }
+}
+
+// The pool as ordered sets: [{ name, order, players }]. Each player joins the first named set they match
+// and anyone left over goes in a final "Remaining" set. Without named sets the shuffled pool is cut into
+// setCount equal sets.
+function buildLotOrder(pool, rules, seed) {
+  const random = createSeededRandom(seed);
+  if (!rules.sets || rules.sets.length === 0) {
+    const shuffled = seededShuffle(pool, random);
+    const playersPerSet = Math.ceil(shuffled.length / rules.setCount);
+    return Array.from({ length: rules.setCount }, (_, i) => ({ name: `Set ${i + 1}`, order: 'random', players: shuffled.slice(i * playersPerSet, (i + 1) * playersPerSet) }))
+      .filter(set => set.players.length > 0);
+  }
+  const groups = [...rules.sets, { name: 'Remaining', order: 'random', players: [] }].map(definition => ({ ...definition, members: [] }));
+  pool.forEach(player => { (groups.slice(0, -1).find(group => matchesSet(player, group)) || groups[groups.length - 1]).members.push(player); });
+  return groups.filter(group => group.members.length > 0).map(group => ({
+    name: group.name, order: group.order, players: orderSet(group, random), ...(group.format === 'sealed' ? { format: 'sealed', pricing: group.pricing } : {}),
+  }));
+}
+
+// Where the main auction is: the set on the block and the lot's position in it
+function getSetPosition(auction) {
+  let offset = auction.currentPlayerIndex;
+  for (let index = 0; index < auction.sets.length; index++) {
+    const set = auction.sets[index];
+    if (offset < set.players.length) return { index, set, lot: offset };
+    offset -= set.players.length;
+  }
+  return null;
+}
+
+function calculateSynergy(roster, synergyRules) { return calculateSynergyBreakdown(roster, synergyRules).total; }
+
+// Final score parts as the rulebook defines them: base scores plus positive and negative pair synergy.
+// `pairs` lists every roster pair that hit a rule, so teams can see exactly where their points came from.
+function calculateSynergyBreakdown(roster, synergyRules) {
+  const breakdown = { baseTotal: 0, positive: 0, negative: 0, total: 0, pairs: [] };
+  if (!Array.isArray(roster) || roster.length === 0) return breakdown;
+  for (const player of roster) {
+    if (player && typeof player.baseScore === 'number') breakdown.baseTotal += player.baseScore;
+  }
+  for (let i = 0; i < roster.length; i++) {
+    for (let j = i + 1; j < roster.length; j++) {
+      const p1 = roster[i], p2 = roster[j];
+      if (!p1?.archetype || !p2?.archetype) continue;
+      let a1 = sanitizeString(p1.archetype), a2 = sanitizeString(p2.archetype);
+      if (!a1 || !a2) continue;
+      if (a1 > a2) [a1, a2] = [a2, a1];
+      const key = `${a1}-${a2}`;
+      const players = [p1.sNo, p2.sNo];
+      const bonus = synergyRules.positive[key] || 0, penalty = synergyRules.negative[key] || 0;
+      if (bonus) breakdown.pairs.push({ key, points: bonus, type: 'positive', players });
+      if (penalty) breakdown.pairs.push({ key, points: penalty, type: 'negative', players });
+      breakdown.positive += bonus;
+      breakdown.negative += penalty;
+    }
+  }
+  breakdown.total = breakdown.baseTotal + breakdown.positive + breakdown.negative;
+  return breakdown;
+}
+function calculatePlayerSynergy(targetPlayer, roster, synergyRules) { if (!targetPlayer || !Array.isArray(roster) || roster.length===0) return 0; const playerIndex=roster.findIndex(p => p.sNo===targetPlayer.sNo); if (playerIndex===-1) return 0; let playerSynergy=targetPlayer.baseScore || 0, positiveBonus=0, negativePenalty=0; for (let i=0; i < roster.length; i++) { if (i===playerIndex) continue; const otherPlayer=roster[i]; if (!otherPlayer?.archetype || !targetPlayer?.archetype) continue; let a1=sanitizeString(targetPlayer.archetype), a2=sanitizeString(otherPlayer.archetype); if (!a1 || !a2) continue; if (a1 > a2) [a1, a2]=[a2, a1]; const key=`${a1}-${a2}`; positiveBonus += synergyRules.positive[key] || 0; negativePenalty += synergyRules.negative[key] || 0; } return playerSynergy + positiveBonus + negativePenalty; }
+function getCurrentPlayer(auction) { if (auction.isReAuction) return auction.reAuctionUnsold[auction.currentPlayerIndex] || null; if (auction.setBreak) return null; const position = getSetPosition(auction); return position ? position.set.players[position.lot] : null; }
+function getIncrement(bid, increments) { const slab = increments.find(s => s.below === null || bid < s.below); return slab ? slab.step : increments[increments.length - 1].step; }
+function getNextBidAmount(auction, player) { return auction.currentBid === 0 ? player.basePrice : auction.currentBid + getIncrement(auction.currentBid, auction.rules.increments); }
+function formatLakh(amount) { return `₹${amount / 100000}L`; }
+function formatPrice(amount) { return amount >= 10000000 ? `₹${amount / 10000000}Cr` : formatLakh(amount); }
+function validateBid(auction, teamId, newBid) { if (!isValidTeamId(auction, teamId)) return { valid: false, reason: 'Invalid team ID' }; if (auction.rtmOffer) return { valid: false, reason: 'Bidding is closed while an RTM card is being decided' }; const { squadSize } = auction.rules; const team=auction.teams[teamId - 1], player=getCurrentPlayer(auction); if (!player) return { valid: false, reason: 'No player available' }; if (team.players.length >= squadSize) return { valid: false, reason: `Team roster is full (${squadSize} players)` }; if (team.remaining < newBid) return { valid: false, reason: 'Insufficient team budget' }; if (newBid <= 0) return { valid: false, reason: 'Bid must be positive' }; const composition=checkSquadComposition(team.players, player, auction.rules); if (!composition.valid) return composition; const maxBid=getMaxBid(auction, team, player); if (newBid > maxBid) return { valid: false, reason: `Bid exceeds max bid of ${formatLakh(Math.max(0, maxBid))} (money is reserved to fill the remaining squad slots at base price)` }; return { valid: true }; }
+
+// --- Squad Composition Helpers ---
+
+function matchesRequirement(player, requirement) {
+  return requirement.roles.includes(player.role) || requirement.archetypes.includes(player.archetype);
+}
+
+// How far a roster is from each composition requirement
+function getSquadRequirements(roster, rules) {
+  return rules.composition.map(req => {
+    const count = roster.filter(p => matchesRequirement(p, req)).length;
+    return { label: req.label, min: req.min, max: req.max, count, needed: Math.max(0, req.min - count) };
+  });
+}
+
+// Would buying `player` still leave room for a legal squad? Each open slot can cover one
+// outstanding minimum, so the minimums still needed must fit into the slots that remain.
+function checkSquadComposition(roster, player, rules) { return checkRosterComposition([...roster, player], rules); }
+
+// The same check for a whole roster, e.g. one reshaped by a trade
+function checkRosterComposition(after, rules) {
+  const requirements = getSquadRequirements(after, rules);
+  const overCap = requirements.find(r => r.max !== null && r.count > r.max);
+  if (overCap) return { valid: false, reason: `Squad can have at most ${overCap.max} ${overCap.label} player(s)` };
+  const slotsLeft = rules.squadSize - after.length;
+  const outstanding = requirements.filter(r => r.needed > 0);
+  const needed = outstanding.reduce((sum, r) => sum + r.needed, 0);
+  if (needed > slotsLeft) {
+    return { valid: false, reason: `Squad still needs ${outstanding.map(r => `${r.needed} ${r.label}`).join(', ')} but would have only ${slotsLeft} slot(s) left` };
+  }
+  return { valid: true };
+}
+
+function getAvailablePool(auction, excludeSNo) { return auction.allPlayers.filter(p => p.status !== 'sold' && p.sNo !== excludeSNo); }
+
+// Cheapest cost of filling `slots` places from the pool: outstanding minimums first, then anyone.
+function getFillCost(pool, roster, slots, rules) {
+  if (slots <= 0) return 0;
+  const available = [...pool].sort((a, b) => a.basePrice - b.basePrice);
+  const chosen = new Set();
+  let cost = 0;
+  const take = (player) => { chosen.add(player.sNo); cost += player.basePrice; };
+  getSquadRequirements(roster, rules).forEach((status, index) => {
+    let needed = status.needed;
+    for (const player of available) {
+      if (needed === 0 || chosen.size >= slots) break;
+      if (!chosen.has(player.sNo) && matchesRequirement(player, rules.composition[index])) { take(player); needed--; }
+    }
+  });
+  for (const player of available) {
+    if (chosen.size >= slots) break;
+    if (!chosen.has(player.sNo)) take(player);
+  }
+  return cost;
+}
+
+// The most a team can pay for `player` and still afford base price for every slot left after it
+function getMaxBid(auction, team, player) {
+  const slotsAfter = auction.rules.squadSize - team.players.length - 1;
+  return team.remaining - getFillCost(getAvailablePool(auction, player.sNo), [...team.players, player], slotsAfter, auction.rules);
+}
+
+// Per-team summary for the update payload: outstanding requirements and limits on the current lot
+function getSquadStatus(auction, team) {
+  const player = getCurrentPlayer(auction);
+  const slotsLeft = auction.rules.squadSize - team.players.length;
+  const status = { requirements: getSquadRequirements(team.players, auction.rules), slotsLeft, maxBid: null, blockedReason: null };
+  if (player && slotsLeft > 0) {
+    status.maxBid = Math.max(0, getMaxBid(auction, team, player));
+    const composition = checkSquadComposition(team.players, player, auction.rules);
+    if (!composition.valid) status.blockedReason = composition.reason;
+  }
+  return status;
+}
+
+// --- Countdown Helpers ---
+
+// (Re)start a full countdown for the lot on the block. Called when a lot opens and on every bid.
+function startBidTimer(auction) {
+  clearTimeout(auction.bidTimerHandle);
+  auction.bidTimerHandle = null;
+  startSealedWindow(auction); // Sealed lots run on their own deadline instead
+  if (auction.bidTimer.duration === 0 || !getCurrentPlayer(auction) || getSealedPricing(auction)) { stopBidTimer(auction); return; }
+  auction.bidTimer = { ...auction.bidTimer, remaining: auction.bidTimer.duration, endsAt: Date.now() + auction.bidTimer.duration, paused: false };
+  auction.bidTimerHandle = setTimeout(() => onBidTimerExpired(auction), auction.bidTimer.duration);
+}
+
+// Halt the countdown and rewind it to full; the auctioneer resumes it when ready.
+function stopBidTimer(auction) {
+  clearTimeout(auction.bidTimerHandle);
+  auction.bidTimerHandle = null;
+  auction.bidTimer = { ...auction.bidTimer, remaining: auction.bidTimer.duration, endsAt: null, paused: true };
+}
+
+function pauseBidTimer(auction) {
+  if (auction.bidTimer.paused) return false;
+  clearTimeout(auction.bidTimerHandle);
+  auction.bidTimerHandle = null;
+  auction.bidTimer = { ...auction.bidTimer, remaining: Math.max(0, auction.bidTimer.endsAt - Date.now()), endsAt: null, paused: true };
+  return true;
+}
+
+function resumeBidTimer(auction) {
+  if (!auction.bidTimer.paused || auction.bidTimer.duration === 0 || !getCurrentPlayer(auction) || auction.rtmOffer || getSealedPricing(auction)) return false;
+  auction.bidTimer = { ...auction.bidTimer, endsAt: Date.now() + auction.bidTimer.remaining, paused: false };
+  auction.bidTimerHandle = setTimeout(() => onBidTimerExpired(auction), auction.bidTimer.remaining);
+  return true;
+}
+
+// Snapshot for the update payload. `remaining` is computed here so clients never depend on their own clock.
+function getBidTimerState(auction) {
+  const { bidTimer } = auction;
+  const remaining = bidTimer.paused ? bidTimer.remaining : Math.max(0, bidTimer.endsAt - Date.now());
+  return { duration: bidTimer.duration, remaining, paused: bidTimer.paused, enabled: bidTimer.duration > 0 };
+}
+
+async function onBidTimerExpired(auction) {
+  auction.bidTimerHandle = null;
+  if (auction.bidTimer.paused) return;
+  auction.bidTimer = { ...auction.bidTimer, remaining: 0, endsAt: null, paused: true };
+  io.to(roomFor(auction)).emit('timerExpired', { hasBid: Boolean(auction.currentBidTeam) });
+  recordEvent(auction, 'timerExpired', 'timer');
+  try {
+    const { currentBid, currentBidTeam } = auction;
+    if (!currentBidTeam || currentBid === 0) await skipCurrentPlayer(auction, 'timer');
+    else if (!(await sellCurrentPlayer(auction, 'timer'))) {
+      // The sale was refused, e.g. the leader can no longer pay; don't leave the lot stuck on an expired clock
+      console.warn(`⏱️ Auction ${auction.code}: timer could not sell ${getCurrentPlayer(auction)?.name} to ${auction.teams[currentBidTeam - 1]?.name} for ${formatPrice(currentBid)}; marking unsold`);
+      await skipCurrentPlayer(auction, 'timer');
+    }
+  } catch (error) {
+    console.error(`Error closing lot on timer expiry in auction ${auction.code}:`, error);
+  }
+}
+
+// A team's own bid names the lot and the amount it saw as the next bid. Two teams racing for the same
+// step both send that amount; whichever arrives second finds it already taken and is told it was outbid.
+function checkTeamBid(auction, teamId, bid) {
+  const { teams, currentBid, currentBidTeam } = auction;
+  const player = getCurrentPlayer(auction);
+  if (!player) return { valid: false, reason: 'No player is up for auction' };
+  if (!bid || bid.playerSNo !== player.sNo) return { valid: false, reason: `Bidding has moved on to ${player.name}` };
+  if (getSealedPricing(auction)) return { valid: false, reason: `${player.name} is sold by sealed bid: submit one hidden bid instead` };
+  if (currentBidTeam === teamId) return { valid: false, reason: 'You already hold the highest bid' };
+  const newBid = getNextBidAmount(auction, player);
+  if (bid.amount !== newBid) {
+    return { valid: false, reason: currentBidTeam
+      ? `Outbid: ${teams[currentBidTeam - 1].name} already bid ${formatLakh(currentBid)}. Next bid is ${formatLakh(newBid)}`
+      : `Bid must open at the base price of ${formatLakh(newBid)}` };
+  }
+  const validation = validateBid(auction, teamId, newBid);
+  return validation.valid ? { valid: true, amount: newBid } : validation;
+}
+
+// Single entry point for accepting a bid, shared by the auctioneer and team sockets.
+function commitBid(auction, teamId, newBid, player, actor) {
+  recordEvent(auction, 'bid', actor, { teamId, amount: newBid, playerSNo: player.sNo });
+  startBidTimer(auction);
+  io.to(roomFor(auction)).emit('bidPlaced', { teamId, teamName: auction.teams[teamId - 1].name, amount: newBid, playerName: player.name });
+  saveState(auction);
+  emitUpdate(auction);
+}
+
+// Open whatever follows the lot that just closed: the next lot, the re-auction or the final standings.
+// Phase changes are logged with the re-auction order so replay never re-rolls the shuffle.
+function advanceLot(auction) {
+  // Finishing a set of the main auction sends everyone its summary
+  if (!auction.isReAuction) {
+    const completedSet = auction.setBreak ? getSetPosition(auction).index - 1 : auction.currentPlayerIndex >= auction.players.length ? auction.sets.length - 1 : -1;
+    if (completedSet >= 0) io.to(roomFor(auction)).emit('setSummary', buildSetSummary(auction, completedSet));
+  }
+  const needyTeams = auction.teams.filter(t => t.players.length < auction.rules.squadSize);
+  if (auction.currentPlayerIndex >= auction.players.length && !auction.isReAuction) {
+    if (needyTeams.length === 0 || auction.unsold.length === 0) declareWinner(auction);
+    else {
+      const order = seededShuffle(auction.unsold, createSeededRandom(`${auction.poolSeed || generateSeed()}:reAuction`)).map(p => p.sNo);
+      recordEvent(auction, 'phase', 'system', { phase: 'reAuction', order });
+      io.to(roomFor(auction)).emit('reAuctionStart', { unsoldCount: auction.reAuctionUnsold.length, needyTeams: needyTeams.map(t => t.name) });
+    }
+  } else if (auction.isReAuction && auction.currentPlayerIndex >= auction.reAuctionUnsold.length) declareWinner(auction);
+  startBidTimer(auction);
+}
+
+// Shared by the auctioneer's soldPlayer event and the countdown expiring with a leading bid.
+// A player's previous team with an RTM card gets the chance to match before the sale goes through.
+async function sellCurrentPlayer(auction, actor) {
+  const { currentBid, currentBidTeam } = auction;
+  if (!currentBidTeam || currentBid === 0 || auction.rtmOffer) return false;
+  const team = auction.teams[currentBidTeam - 1], player = getCurrentPlayer(auction);
+  if (!player || !team || team.remaining < currentBid) return false;
+  const rtmTeamId = getRtmTeamId(auction, player, currentBidTeam, currentBid);
+  if (rtmTeamId) await offerRtm(auction, player, rtmTeamId, actor);
+  else await completeSale(auction, actor, { playerSNo: player.sNo, teamId: currentBidTeam, amount: currentBid });
+  return true;
+}
+
+async function completeSale(auction, actor, sale) {
+  recordEvent(auction, 'sold', actor, sale);
+  const team = auction.teams[sale.teamId - 1];
+  const playerWithSynergy = team.players[team.players.length - 1];
+  io.to(roomFor(auction)).emit('playerSold', { player: playerWithSynergy, teamId: sale.teamId, teamName: team.name, amount: sale.amount, rtm: Boolean(sale.rtm) });
+  advanceLot(auction);
+  await saveState(auction); // Save state after action
+  emitUpdate(auction);
+}
+
+// Shared by the auctioneer's skipPlayer event and the countdown expiring with no bid.
+async function skipCurrentPlayer(auction, actor, details = {}) {
+  const player = getCurrentPlayer(auction);
+  if (!player || auction.rtmOffer) return false;
+  recordEvent(auction, 'skipped', actor, { playerSNo: player.sNo, ...details });
+  io.to(roomFor(auction)).emit('playerSkipped', { player });
+  advanceLot(auction);
+  await saveState(auction); // Save state after action
+  emitUpdate(auction);
+  return true;
+}
+
+// --- Sealed Bids ---
+// A named set with format 'sealed' sells each of its lots by sealed bid instead of open outcry. Every
+// team may submit one hidden bid, from the base price up to its max bid, until the deadline
+// (rules.sealedBidSeconds) or until every team that can bid has done so. All bids are then revealed at
+// once. The highest bid wins, ties going to the team with more purse left. Under 'first-price' pricing
+// the winner pays its own bid; under 'vickrey' it pays the runner-up's, or the base price if unopposed.
+
+// The pricing of the sealed-bid lot on the block, or null for an open lot. Re-auctions are always open.
+function getSealedPricing(auction) {
+  if (auction.isReAuction || auction.setBreak) return null;
+  const position = getSetPosition(auction);
+  return position?.set.format === 'sealed' ? position.set.pricing : null;
+}
+
+function stopSealedWindow(auction) {
+  clearTimeout(auction.sealedWindowHandle);
+  auction.sealedWindowHandle = null;
+  auction.sealedWindowEndsAt = null;
+}
+
+// Give the sealed lot on the block a full deadline; on an open lot this just clears the old one
+function startSealedWindow(auction) {
+  stopSealedWindow(auction);
+  const player = getCurrentPlayer(auction);
+  if (!player || !getSealedPricing(auction)) return;
+  const duration = auction.rules.sealedBidSeconds * 1000;
+  auction.sealedWindowEndsAt = Date.now() + duration;
+  auction.sealedWindowHandle = setTimeout(() => {
+    auction.sealedWindowHandle = null;
+    if (getCurrentPlayer(auction)?.sNo !== player.sNo || !getSealedPricing(auction)) return;
+    revealSealedBids(auction, 'timer').catch(error => console.error(`Error revealing sealed bids in auction ${auction.code}:`, error));
+  }, duration);
+}
+
+// Nobody left to wait for: every team has bid or could not make even the base price
+function allSealedBidsIn(auction, player) {
+  const submitted = new Set(auction.sealedBids.map(bid => bid.teamId));
+  return auction.teams.every(team => submitted.has(team.id) || !validateBid(auction, team.id, player.basePrice).valid);
+}
+
+async function revealSealedBids(auction, actor) {
+  const player = getCurrentPlayer(auction), pricing = getSealedPricing(auction);
+  stopSealedWindow(auction);
+  const remaining = (teamId) => auction.teams[teamId - 1].remaining;
+  const ranked = [...auction.sealedBids].sort((a, b) => b.amount - a.amount || remaining(b.teamId) - remaining(a.teamId) || a.seq - b.seq);
+  const sealed = { pricing, bids: ranked.map(({ teamId, amount }) => ({ teamId, amount })) };
+  const winner = ranked[0];
+  const price = winner && (pricing === 'vickrey' ? (ranked[1]?.amount ?? player.basePrice) : winner.amount);
+  console.log(`🔓 Sealed bids for ${player.name} in ${auction.code}: ${ranked.length} bid(s)${winner ? `, ${auction.teams[winner.teamId - 1].name} pays ${formatPrice(price)}` : ''}`);
+  io.to(roomFor(auction)).emit('sealedBidsRevealed', {
+    playerName: player.name, pricing, price: price || null, winnerTeamId: winner?.teamId || null, winnerTeamName: winner ? auction.teams[winner.teamId - 1].name : null,
+    bids: sealed.bids.map(bid => ({ ...bid, teamName: auction.teams[bid.teamId - 1].name })),
+  });
+  if (winner) await completeSale(auction, actor, { playerSNo: player.sNo, teamId: winner.teamId, amount: price, sealed });
+  else await skipCurrentPlayer(auction, actor, { sealed });
+}
+
+// --- Right to Match ---
+// With rules.rtm set, a sale to anyone but the player's Previous_Team is held open for
+// rtm.windowSeconds when that team has an RTM card left and could have made the winning bid itself.
+// Matching spends a card and buys the player at the winning bid; declining, or letting the window
+// run out, completes the sale to the winner. Bidding, skipping and the countdown wait meanwhile.
+
+// The team that may match this sale, if any
+function getRtmTeamId(auction, player, winnerTeamId, amount) {
+  if (!auction.rules.rtm || !player.previousTeam || player.previousTeam === winnerTeamId) return null;
+  const team = auction.teams[player.previousTeam - 1];
+  if (!team || team.rtmCards <= 0 || !validateBid(auction, team.id, amount).valid) return null;
+  return team.id;
+}
+
+function stopRtmWindow(auction) {
+  clearTimeout(auction.rtmWindowHandle);
+  auction.rtmWindowHandle = null;
+  auction.rtmWindowEndsAt = null;
+}
+
+// Give a pending offer a full window. Called when it is made, and again whenever a rebuild or
+// restart finds one pending; with nothing pending it just clears the window.
+function startRtmWindow(auction) {
+  stopRtmWindow(auction);
+  if (!auction.rtmOffer) return;
+  const { seq } = auction.rtmOffer, duration = auction.rules.rtm.windowSeconds * 1000;
+  auction.rtmWindowEndsAt = Date.now() + duration;
+  auction.rtmWindowHandle = setTimeout(() => {
+    auction.rtmWindowHandle = null;
+    if (auction.rtmOffer?.seq !== seq) return;
+    resolveRtm(auction, false, 'timer').catch(error => console.error(`Error closing the RTM window in auction ${auction.code}:`, error));
+  }, duration);
+}
+
+async function offerRtm(auction, player, teamId, actor) {
+  const { currentBid, currentBidTeam } = auction;
+  stopBidTimer(auction);
+  recordEvent(auction, 'rtmOffered', actor, { playerSNo: player.sNo, teamId, winnerTeamId: currentBidTeam, amount: currentBid });
+  startRtmWindow(auction);
+  const team = auction.teams[teamId - 1], winner = auction.teams[currentBidTeam - 1];
+  console.log(`🃏 ${team.name} may match ${formatPrice(currentBid)} for ${player.name} in ${auction.code}`);
+  io.to(roomFor(auction)).emit('rtmOffered', { playerName: player.name, teamId, teamName: team.name, winnerTeamId: currentBidTeam, winnerTeamName: winner.name, amount: currentBid, seconds: auction.rules.rtm.windowSeconds });
+  await saveState(auction);
+  emitUpdate(auction);
+}
+
+// Close a pending offer: the previous team takes the player at the winning bid, or the winner does
+async function resolveRtm(auction, matched, actor) {
+  const offer = auction.rtmOffer;
+  stopRtmWindow(auction);
+  const team = auction.teams[offer.teamId - 1], winner = auction.teams[offer.winnerTeamId - 1];
+  const playerName = getCurrentPlayer(auction)?.name;
+  console.log(`🃏 ${team.name} ${matched ? 'matched' : 'passed on'} ${playerName} in ${auction.code}`);
+  io.to(roomFor(auction)).emit('rtmResult', { matched, playerName, teamId: team.id, teamName: team.name, winnerTeamId: winner.id, winnerTeamName: winner.name, amount: offer.amount, timedOut: actor === 'timer' });
+  await completeSale(auction, actor, { playerSNo: offer.playerSNo, teamId: matched ? team.id : winner.id, amount: offer.amount, rtmOfferSeq: offer.seq, ...(matched ? { rtm: true } : {}) });
+}
+
+// How a set of the main auction went: spend and buys per team, the best-value and most expensive buys,
+// and the leaderboard so far. Best value is the most base score per crore paid.
+function buildSetSummary(auction, setIndex) {
+  const set = auction.sets[setIndex];
+  const inSet = new Set(set.players.map(p => p.sNo));
+  const buys = auction.teams.flatMap(team => team.players.filter(p => inSet.has(p.sNo)).map(p => ({
+    sNo: p.sNo, name: p.name, teamId: team.id, team: team.name, price: p.boughtPrice, baseScore: p.baseScore,
+    pointsPerCr: Math.round((p.baseScore / (p.boughtPrice / 10000000)) * 10) / 10,
+  })));
+  const next = auction.sets[setIndex + 1];
+  return {
+    setIndex, name: set.name, setCount: auction.sets.length, lots: set.players.length, sold: buys.length, unsold: set.players.length - buys.length,
+    teams: auction.teams.map(team => {
+      const bought = buys.filter(buy => buy.teamId === team.id);
+      return { id: team.id, name: team.name, spent: bought.reduce((sum, buy) => sum + buy.price, 0), players: bought.map(({ sNo, name, price }) => ({ sNo, name, price })) };
+    }),
+    bestBuy: buys.reduce((best, buy) => (!best || buy.pointsPerCr > best.pointsPerCr ? buy : best), null),
+    mostExpensive: buys.reduce((top, buy) => (!top || buy.price > top.price ? buy : top), null),
+    leaderboard: auction.teams
+      .map(team => ({ id: team.id, name: team.name, score: calculateSynergy(team.players, auction.rules.synergy), playerCount: team.players.length, remaining: team.remaining }))
+      .sort((a, b) => b.score - a.score || b.remaining - a.remaining)
+      .map((entry, index) => ({ ...entry, rank: index + 1 })),
+    nextSet: next ? { index: setIndex + 1, name: next.name, lots: next.players.length } : null,
+  };
+}
+
+// Rulebook: teams short of a full squad at the end are disqualified and rank below every complete
+// team. Ties on score go to the team with more budget left.
+function buildStandings(auction) {
+  const { squadSize, synergy } = auction.rules;
+  return auction.teams
+    .map(team => {
+      const score = calculateSynergyBreakdown(team.players, synergy);
+      const disqualified = team.players.length < squadSize;
+      return {
+        id: team.id, name: team.name, players: team.players, playerCount: team.players.length,
+        remaining: team.remaining, spent: team.spent, synergy: score.total, score, disqualified,
+        disqualificationReason: disqualified ? `Finished with ${team.players.length} of ${squadSize} players` : null,
+      };
+    })
+    .sort((a, b) => Number(a.disqualified) - Number(b.disqualified) || b.score.total - a.score.total || b.remaining - a.remaining)
+    .map((entry, index) => ({ ...entry, rank: index + 1 }));
+}
+
+function declareWinner(auction) {
+  recordEvent(auction, 'phase', 'system', { phase: 'complete' });
+  const winner = auction.finalStandings.find(entry => !entry.disqualified) || null;
+  io.to(roomFor(auction)).emit('auctionComplete', { winner, standings: auction.finalStandings });
+}
+
+// --- Retention ---
+// With rules.retention set, committing the pool opens a retention phase before the first lot. Each
+// team may keep up to maxPerTeam of the players listed for it, at the listed price: the player joins
+// the squad and the price comes off the purse straight away. Locking retentions builds the lot order
+// from everyone else, so retained players never come up in a set.
+
+// The rules' retention candidates whose player is in the pool
+function getRetentionCandidates(rules, pool) {
+  if (!rules.retention) return [];
+  return rules.retention.players.filter(candidate => pool.some(p => p.sNo === candidate.sNo));
+}
+
+// Commit a pool: open retentions if any listed player is in it, otherwise go straight to the lots
+function startAuction(auction, pool, actor = 'system') {
+  const fresh = pool.map(p => ({ ...p, status: 'available', soldToTeam: null, soldPrice: null, retained: false }));
+  if (getRetentionCandidates(auction.rules, fresh).length === 0) { loadPlayers(auction, fresh, actor); return; }
+  recordEvent(auction, 'phase', actor, { phase: 'retention', players: fresh });
+  console.log(`📌 Retentions open in ${auction.code} for ${getRetentionCandidates(auction.rules, fresh).length} listed players`);
+  emitUpdate(auction);
+}
+
+// Can the team keep this candidate? Beyond the per-team limit, the price must leave enough to fill
+// the rest of the squad at base price, the same reserve the max bid keeps.
+function validateRetention(auction, team, candidate) {
+  const { maxPerTeam } = auction.rules.retention;
+  const player = auction.retentionPool.find(p => p.sNo === candidate.sNo);
+  if (team.players.some(p => p.sNo === candidate.sNo)) return { valid: false, reason: `${player.name} is already retained` };
+  if (team.players.filter(p => p.retained).length >= maxPerTeam) return { valid: false, reason: `${team.name} has already retained ${maxPerTeam} player(s)` };
+  const composition = checkSquadComposition(team.players, player, auction.rules);
+  if (!composition.valid) return composition;
+  const taken = new Set(auction.teams.flatMap(t => t.players.map(p => p.sNo)));
+  const pool = auction.retentionPool.filter(p => p.sNo !== candidate.sNo && !taken.has(p.sNo));
+  const reserve = getFillCost(pool, [...team.players, player], auction.rules.squadSize - team.players.length - 1, auction.rules);
+  if (team.remaining - candidate.price < reserve) return { valid: false, reason: `${team.name} cannot afford ${formatPrice(candidate.price)} and still fill its squad` };
+  return { valid: true };
+}
+
+// Every team's candidates and choices, for the update payload while retentions are open
+function getRetentionState(auction) {
+  const candidates = getRetentionCandidates(auction.rules, auction.retentionPool).map(candidate => {
+    const player = auction.retentionPool.find(p => p.sNo === candidate.sNo);
+    return { ...candidate, name: player.name, role: player.role, archetype: player.archetype, baseScore: player.baseScore, basePrice: player.basePrice, tier: player.tier,
+      retained: auction.teams[candidate.teamId - 1].players.some(p => p.sNo === candidate.sNo) };
+  });
+  return { maxPerTeam: auction.rules.retention.maxPerTeam, candidates };
+}
+
+// Locking is the moment the lots are drawn, from everyone who was not retained
+function lockRetentions(auction, actor) {
+  const retained = new Set(auction.teams.flatMap(team => team.players.map(p => p.sNo)));
+  loadPlayers(auction, auction.retentionPool.filter(p => !retained.has(p.sNo)), actor);
+}
+
+// --- Trade Window ---
+// Once the auction is complete the auctioneer can open a trade window. A team proposes a trade to
+// another team: players either way plus optional cash from one side. The other team accepts or
+// rejects, then the auctioneer approves or declines. Every step is logged, so trades replay like sales.
+//   { id, from, to, give: [sNo], receive: [sNo], cash, cashFrom, status }
+// status: proposed → accepted | rejected | cancelled, then accepted → approved | declined. Trades still
+// open are 'expired' when the window closes, and 'superseded' once another trade moves one of their players.
+const OPEN_TRADE_STATUSES = ['proposed', 'accepted'];
+
+function isTradeOpen(trade) { return OPEN_TRADE_STATUSES.includes(trade.status); }
+
+// A team's roster as it would be after the trade
+function getRosterAfterTrade(auction, trade, teamId) {
+  const [outgoing, incoming, otherId] = teamId === trade.from ? [trade.give, trade.receive, trade.to] : [trade.receive, trade.give, trade.from];
+  return [
+    ...auction.teams[teamId - 1].players.filter(p => !outgoing.includes(p.sNo)),
+    ...auction.teams[otherId - 1].players.filter(p => incoming.includes(p.sNo)),
+  ];
+}
+
+// Check a trade against the rosters and purses as they stand now. Cash may not exceed the payer's
+// purse, neither squad may outgrow squadSize or break the composition rules, and a team may not trade
+// itself out of a squad it already has.
+function validateTrade(auction, trade) {
+  const { from, to, give, receive, cash, cashFrom } = trade;
+  if (!isValidTeamId(auction, from) || !isValidTeamId(auction, to) || from === to) return { valid: false, reason: 'Pick another team to trade with' };
+  if (give.length + receive.length === 0) return { valid: false, reason: 'A trade must move at least one player' };
+  const fromTeam = auction.teams[from - 1], toTeam = auction.teams[to - 1];
+  const missing = [...give.filter(sNo => !fromTeam.players.some(p => p.sNo === sNo)), ...receive.filter(sNo => !toTeam.players.some(p => p.sNo === sNo))];
+  if (missing.length > 0) {
+    const names = missing.map(sNo => auction.allPlayers.find(p => p.sNo === sNo)?.name || `#${sNo}`);
+    return { valid: false, reason: `${names.join(', ')} ${names.length === 1 ? 'is' : 'are'} not on the expected team` };
+  }
+  if (!Number.isInteger(cash) || cash < 0) return { valid: false, reason: 'Cash must be zero or a positive amount' };
+  if (cash > 0) {
+    if (cashFrom !== from && cashFrom !== to) return { valid: false, reason: 'Cash must be paid by one of the two teams' };
+    const payer = auction.teams[cashFrom - 1];
+    if (payer.remaining < cash) return { valid: false, reason: `${payer.name} has only ${formatPrice(payer.remaining)} left` };
+  }
+  const { squadSize } = auction.rules;
+  for (const team of [fromTeam, toTeam]) {
+    const after = getRosterAfterTrade(auction, trade, team.id);
+    if (after.length > squadSize) return { valid: false, reason: `${team.name} would have more than ${squadSize} players` };
+    if (after.length < team.players.length && after.length < squadSize) return { valid: false, reason: `${team.name} would be left with ${after.length} of ${squadSize} players` };
+    const composition = checkRosterComposition(after, auction.rules);
+    if (!composition.valid) return { valid: false, reason: `${team.name}: ${composition.reason}` };
+  }
+  return { valid: true };
+}
+
+// Move the players and the cash, refresh both squads' synergy and the standings. Runs inside
+// applyEvent, so it only touches state.
+function executeTrade(auction, trade) {
+  const { synergy } = auction.rules;
+  const rosters = [trade.from, trade.to].map(teamId => [auction.teams[teamId - 1], getRosterAfterTrade(auction, trade, teamId)]);
+  rosters.forEach(([team, roster]) => {
+    team.players = roster;
+    rescoreTeam(team, synergy);
+    team.players.forEach(p => updatePlayerStatus(auction, p.sNo, 'sold', team.id));
+  });
+  if (trade.cash > 0) {
+    const payer = auction.teams[trade.cashFrom - 1], payee = auction.teams[(trade.cashFrom === trade.from ? trade.to : trade.from) - 1];
+    payer.remaining -= trade.cash; payer.spent += trade.cash;
+    payee.remaining += trade.cash; payee.spent -= trade.cash;
+  }
+  const moved = new Set([...trade.give, ...trade.receive]);
+  auction.trades.forEach(other => {
+    if (other !== trade && isTradeOpen(other) && [...other.give, ...other.receive].some(sNo => moved.has(sNo))) other.status = 'superseded';
+  });
+  if (auction.finalStandings) auction.finalStandings = buildStandings(auction);
+}
+
+function describeTrade(auction, trade) {
+  const teamName = (teamId) => auction.teams[teamId - 1]?.name || `Team ${teamId}`;
+  const names = (sNos) => sNos.map(sNo => auction.allPlayers.find(p => p.sNo === sNo)?.name || `#${sNo}`).join(', ');
+  const side = (teamId, sNos) => [sNos.length > 0 ? names(sNos) : null, trade.cash > 0 && trade.cashFrom === teamId ? formatPrice(trade.cash) : null].filter(Boolean).join(' + ') || 'nothing';
+  return `${teamName(trade.from)} sends ${side(trade.from, trade.give)} to ${teamName(trade.to)} for ${side(trade.to, trade.receive)}`;
+}
+
+// Which trades a seat can see: the auctioneer sees every trade, a team its own plus every approved
+// one, and observers only the approved ones
+function getVisibleTrades(auction, seat) {
+  return auction.trades.filter(trade => seat === 'auctioneer' || trade.status === 'approved' || trade.from === seat || trade.to === seat)
+    .map(trade => ({ ...trade, label: describeTrade(auction, trade) }));
+}
 
 // --- Socket.IO Event Handlers ---
 
-function emitUpdate() {
+// Where the auction stands on the current lot; shared by live updates and replay frames
+function getLotState(auction) {
+  const { currentBid, currentBidTeam, isReAuction, currentPlayerIndex } = auction;
+  const finalStandings = auction.finalStandings && auction.finalStandings.map(entry => ({ ...entry, name: auction.teams[entry.id - 1]?.name || entry.name }));
+  const currentPlayer = getCurrentPlayer(auction);
+  const computeNextFrom = currentBid || (currentPlayer ? currentPlayer.basePrice : 0);
+  const nextIncrement = currentPlayer ? getIncrement(computeNextFrom, auction.rules.increments) : 0;
+  const totalPlayers = isReAuction ? auction.reAuctionUnsold.length : auction.players.length;
+  const position = isReAuction ? null : getSetPosition(auction);
+  const setBreak = position && auction.setBreak ? buildSetSummary(auction, position.index - 1) : null;
+  const currentSet = position && !auction.setBreak ? { index: position.index, name: position.set.name, setCount: auction.sets.length, lot: position.lot, lots: position.set.players.length } : null;
+  // Every bid on the lot so far, oldest first, with a marker where the auctioneer reset the bidding
+  const bids = currentPlayer ? [...auction.lotBids] : [];
+  const rtmOffer = auction.rtmOffer && { ...auction.rtmOffer, remaining: auction.rtmWindowEndsAt ? Math.max(0, auction.rtmWindowEndsAt - Date.now()) : null };
+  // A sealed lot shows who has bid, never how much, until the reveal
+  const pricing = currentPlayer && getSealedPricing(auction);
+  const sealed = pricing ? {
+    pricing, submitted: auction.sealedBids.map(bid => bid.teamId), duration: auction.rules.sealedBidSeconds * 1000,
+    remaining: auction.sealedWindowEndsAt ? Math.max(0, auction.sealedWindowEndsAt - Date.now()) : null,
+  } : null;
+  const lastLot = getRunEvents(auction, ['sold', 'skipped']).pop();
+  const sealedReveal = lastLot?.data.sealed ? {
+    seq: lastLot.seq, playerSNo: lastLot.data.playerSNo, name: auction.allPlayers.find(p => p.sNo === lastLot.data.playerSNo)?.name,
+    ...lastLot.data.sealed, teamId: lastLot.type === 'sold' ? lastLot.data.teamId : null, price: lastLot.type === 'sold' ? lastLot.data.amount : null,
+  } : null;
+  return { currentPlayer, currentBid, currentBidTeam, bids, rtmOffer, sealed, sealedReveal, isReAuction, currentPlayerIndex, totalPlayers, nextIncrement, finalStandings, currentSet, setBreak };
+}
+
+function emitUpdate(auction) {
   try {
-    const currentPlayer = getCurrentPlayer();
-    const computeNextFrom = currentBid || (currentPlayer ? currentPlayer.basePrice : 0);
-    const nextIncrement = currentPlayer ? getIncrement(computeNextFrom) : 0;
-    const totalPlayers = isReAuction ? reAuctionUnsold.length : players.length;
+    const { teams } = auction;
     const baseUpdateData = {
-      teams: teams.map(t => ({ ...t, socketId: undefined, synergy: Number.isFinite(t.synergy) ? t.synergy : 0 })),
-      currentPlayer, currentBid, currentBidTeam, isReAuction, currentPlayerIndex, totalPlayers,
-      connectedTeams: Array.from(connectedTeams), auctioneerConnected, nextIncrement, allPlayers
+      code: auction.code, rules: auction.rules, phase: auction.phase,
+      teams: teams.map(t => ({ ...t, socketId: undefined, synergy: Number.isFinite(t.synergy) ? t.synergy : 0, squad: getSquadStatus(auction, t), synergyBreakdown: calculateSynergyBreakdown(t.players, auction.rules.synergy) })),
+      ...getLotState(auction),
+      connectedTeams: Array.from(auction.connectedTeams), auctioneerConnected: auction.auctioneerConnected,
+      allPlayers: auction.allPlayers, timer: getBidTimerState(auction),
+      retention: auction.phase === 'retention' ? getRetentionState(auction) : null,
     };
-    io.to('auctioneer').emit('update', baseUpdateData);
+    io.to(roomFor(auction, 'auctioneer')).emit('update', { ...baseUpdateData, history: getActionHistory(auction), setup: auction.phase === 'setup' ? auction.draftPool : null, trades: getVisibleTrades(auction, 'auctioneer') });
     teams.forEach(team => {
-      if (team.socketId) io.to(team.socketId).emit('update', { ...baseUpdateData, myTeam: { ...team, socketId: undefined, synergy: Number.isFinite(team.synergy) ? team.synergy : 0 } });
+      if (!team.socketId) return;
+      const sealed = baseUpdateData.sealed && { ...baseUpdateData.sealed, myBid: auction.sealedBids.find(bid => bid.teamId === team.id)?.amount ?? null };
+      io.to(team.socketId).emit('update', { ...baseUpdateData, sealed, myTeam: baseUpdateData.teams[team.id - 1], trades: getVisibleTrades(auction, team.id) });
     });
-    io.to('observers').emit('update', baseUpdateData);
+    io.to(roomFor(auction, 'observers')).emit('update', { ...baseUpdateData, trades: getVisibleTrades(auction, null) });
   } catch (error) { console.error('Error in emitUpdate:', error); }
 }
 
-async function resetAuction() {
-  console.log('Starting auction reset...');
-  auctionHistory = []; unsold = []; reAuctionUnsold = []; currentPlayerIndex = 0;
-  currentBid = 0; currentBidTeam = null; isReAuction = false;
-  teams = Array.from({ length: 8 }, (_, i) => ({
-    id: i + 1, name: `Team ${i + 1}`, budget: 450000000, remaining: 450000000,
-    spent: 0, players: [], synergy: 0, isConnected: false, socketId: null
-  }));
-  await loadPlayers();
-  await saveState(); // Save the fresh state to DB
-  console.log('Auction reset completed successfully');
-  io.emit('auctionReset', { message: 'Auction has been reset by Auctioneer' });
+// A seat was opened on another device: tell the old one why, then drop it so it can't act for the seat
+function displaceSocket(socketId, reason) {
+  io.to(socketId).emit('forceDisconnect', reason);
+  io.sockets.sockets.get(socketId)?.disconnect(true);
+}
+
+function emitConnectionStatus(auction) {
+  io.to(roomFor(auction)).emit('connectionStatus', { auctioneerConnected: auction.auctioneerConnected, connectedTeams: Array.from(auction.connectedTeams) });
+}
+
+// Resets are logged like everything else, so the audit trail survives them. The committed pool is
+// reshuffled; a reset during setup leaves the draft alone. While retentions are open the committed
+// pool is still waiting in retentionPool, so that is what gets restarted.
+async function resetAuction(auction) {
+  console.log(`Starting reset of auction ${auction.code}...`);
+  const pool = auction.allPlayers.length > 0 ? auction.allPlayers : auction.retentionPool || [];
+  recordEvent(auction, 'reset', 'auctioneer');
+  stopBidTimer(auction);
+  stopRtmWindow(auction);
+  stopSealedWindow(auction);
+  if (pool.length > 0) startAuction(auction, pool);
+  else emitUpdate(auction);
+  await saveState(auction); // Save the fresh state to DB
+  console.log(`Auction ${auction.code} reset completed successfully`);
+  io.to(roomFor(auction)).emit('auctionReset', { message: 'Auction has been reset by Auctioneer' });
 }
 
 io.on('connection', (socket) => {
   console.log('Client connected:', socket.id);
 
-  socket.on('joinAsAuctioneer', () => { /* ... unchanged ... */ if (auctioneerConnected) { socket.emit('forceDisconnect', 'Another auctioneer is already connected'); socket.disconnect(); return; } socket.join('auctioneer'); auctioneerConnected = true; socket.isAuctioneer = true; emitUpdate(); io.emit('connectionStatus', { auctioneerConnected, connectedTeams: Array.from(connectedTeams) }); });
-  socket.on('joinAsTeam', (teamId) => { /* ... unchanged ... */ if (!isValidTeamId(teamId)) { socket.emit('error', 'Invalid team ID'); return; } const existingTeam = teams[teamId - 1]; if (existingTeam.socketId && existingTeam.socketId !== socket.id) { io.to(existingTeam.socketId).emit('forceDisconnect', 'Another device connected'); } socket.join(`team-${teamId}`); socket.teamId = teamId; teams[teamId - 1].isConnected = true; teams[teamId - 1].socketId = socket.id; connectedTeams.add(teamId); emitUpdate(); io.emit('connectionStatus', { auctioneerConnected, connectedTeams: Array.from(connectedTeams) }); });
-  socket.on('joinAsObserver', () => { /* ... unchanged ... */ socket.join('observers'); socket.isObserver = true; emitUpdate(); });
+  // Register a handler that can't take the server down: one process hosts every room, so an
+  // error in one request is logged and reported to that client instead of going unhandled.
+  const on = (event, handler) => socket.on(event, async (...args) => {
+    try {
+      await handler(...args);
+    } catch (error) {
+      console.error(`Error handling ${event} from ${socket.id}:`, error);
+      socket.emit('error', 'Something went wrong; the request was not completed.');
+    }
+  });
+
+  // The auction this socket has joined; every action below is scoped to it.
+  const getJoinedAuction = () => (socket.auctionCode ? auctions.get(socket.auctionCode) : null);
+
+  // Is this socket still the device holding its team's seat? A displaced device keeps its teamId.
+  const holdsTeamSeat = (auction) => Boolean(socket.teamId) && auction.teams[socket.teamId - 1]?.socketId === socket.id;
+
+  // Resolve a join request's code, or tell the client it does not exist.
+  const resolveJoin = async (payload) => {
+    if (socket.auctionCode) { socket.emit('error', `Already joined auction ${socket.auctionCode}`); return null; }
+    const code = normalizeRoomCode(payload?.code);
+    const auction = await getAuction(code);
+    if (!auction) { socket.emit('auctionNotFound', { code }); return null; }
+    return auction;
+  };
+
+  // Reject a join with the wrong PIN; repeated failures lock this client out of the seat and drop the socket.
+  const authorizeSeat = (auction, seat, pin) => {
+    const result = attemptSeatPin(auction, seat, pin, socket.handshake.address);
+    if (result.ok) return true;
+    if (result.justLocked) {
+      console.warn(`🔒 Locked ${socket.handshake.address} out of ${seat === 'auctioneer' ? 'the auctioneer seat' : `team ${seat}`} in auction ${auction.code}`);
+      socket.emit('forceDisconnect', `Too many incorrect PIN attempts; try again in ${Math.ceil(result.lockedMs / 1000)}s`);
+      socket.disconnect();
+      return false;
+    }
+    if (result.lockedMs) {
+      socket.emit('authFailed', { seat, reason: `Too many incorrect PINs; try again in ${Math.ceil(result.lockedMs / 1000)}s` });
+      return false;
+    }
+    console.warn(`🔒 Rejected PIN for ${seat === 'auctioneer' ? 'auctioneer' : `team ${seat}`} in auction ${auction.code} (${socket.id})`);
+    socket.emit('authFailed', { seat, reason: 'Incorrect PIN', attemptsLeft: result.attemptsLeft });
+    return false;
+  };
+
+  on('createAuction', async (payload) => {
+    const { rules, errors } = normalizeRules(payload?.rules || {}, DEFAULT_RULES);
+    if (!rules) { socket.emit('rulesInvalid', { errors }); return; }
+    try {
+      const auction = createAuctionState(generateRoomCode(), rules);
+      auction.seatPins = createSeatPins(auction.rules);
+      recordEvent(auction, 'auctionCreated', 'system', { rules });
+      await loadDefaultDraftPool(auction);
+      auctions.set(auction.code, auction);
+      await saveState(auction);
+      console.log(`🆕 Auction ${auction.code} created`);
+      socket.emit('auctionCreated', { code: auction.code, auctioneerPin: auction.seatPins.auctioneer });
+    } catch (error) {
+      console.error('Error creating auction:', error);
+      socket.emit('error', 'Failed to create auction.');
+    }
+  });
+
+  on('lookupAuction', async (code) => {
+    const normalized = normalizeRoomCode(code);
+    const auction = await getAuction(normalized);
+    socket.emit('auctionLookup', { code: normalized, exists: Boolean(auction), teamCount: auction ? auction.teams.length : 0 });
+  });
+
+  on('joinAsAuctioneer', async (payload) => { const auction = await resolveJoin(payload); if (!auction || !authorizeSeat(auction, 'auctioneer', payload?.pin)) return; if (auction.auctioneerSocketId && auction.auctioneerSocketId !== socket.id) displaceSocket(auction.auctioneerSocketId, 'The auctioneer seat was opened on another device'); socket.join(roomFor(auction)); socket.join(roomFor(auction, 'auctioneer')); socket.auctionCode = auction.code; auction.auctioneerConnected = true; auction.auctioneerSocketId = socket.id; socket.isAuctioneer = true; recordEvent(auction, 'join', 'auctioneer'); socket.emit('joined', { seat: 'auctioneer' }); if (auction.seatPins) socket.emit('seatPins', auction.seatPins); emitUpdate(auction); emitConnectionStatus(auction); });
+  on('joinAsTeam', async (payload) => { const teamId = payload?.teamId; const auction = await resolveJoin(payload); if (!auction) return; if (!isValidTeamId(auction, teamId)) { socket.emit('error', 'Invalid team ID'); return; } if (!authorizeSeat(auction, teamId, payload?.pin)) return; socket.emit('joined', { seat: teamId }); const existingTeam = auction.teams[teamId - 1]; if (existingTeam.socketId && existingTeam.socketId !== socket.id) displaceSocket(existingTeam.socketId, 'Another device connected'); socket.join(roomFor(auction)); socket.join(roomFor(auction, `team-${teamId}`)); socket.auctionCode = auction.code; socket.teamId = teamId; existingTeam.isConnected = true; existingTeam.socketId = socket.id; auction.connectedTeams.add(teamId); recordEvent(auction, 'join', `team-${teamId}`); emitUpdate(auction); emitConnectionStatus(auction); });
+  on('joinAsObserver', async (payload) => { const auction = await resolveJoin(payload); if (!auction) return; socket.join(roomFor(auction)); socket.join(roomFor(auction, 'observers')); socket.auctionCode = auction.code; socket.isObserver = true; emitUpdate(auction); });
 
   // --- AUCTIONEER ACTIONS (now async) ---
 
-  socket.on('resetAuction', async () => {
-    if (!socket.isAuctioneer) return;
-    console.log('Auctioneer requested auction reset');
+  on('resetAuction', async () => {
+    const auction = getJoinedAuction();
+    if (!socket.isAuctioneer || !auction) return;
+    console.log(`Auctioneer requested reset of auction ${auction.code}`);
     try {
-      await resetAuction();
+      await resetAuction(auction);
     } catch (error) {
       console.error('Error during auction reset:', error);
       socket.emit('error', 'Failed to reset auction.');
     }
   });
 
-  socket.on('placeBidForTeam', (teamId) => { /* ... unchanged ... */ if (!socket.isAuctioneer) return; const player = getCurrentPlayer(); if (!player) return; const newBid = currentBid === 0 ? player.basePrice : currentBid + getIncrement(currentBid); const validation = validateBid(teamId, newBid); if (!validation.valid) { socket.emit('error', validation.reason); return; } currentBid = newBid; currentBidTeam = teamId; io.emit('bidPlaced', { teamId, amount: newBid, playerName: player.name }); emitUpdate(); });
-  
-  socket.on('resetBid', () => { /* ... unchanged ... */ if (!socket.isAuctioneer) return; const player = getCurrentPlayer(); if (player) { currentBid = 0; currentBidTeam = null; io.emit('bidReset'); emitUpdate(); } });
-
-  socket.on('soldPlayer', async () => { // Make async
-    if (!socket.isAuctioneer || !currentBidTeam || currentBid === 0) return;
-    const team = teams[currentBidTeam - 1], player = getCurrentPlayer();
-    if (!player || !team || team.remaining < currentBid) return;
-    createAuctionSnapshot('BEFORE_SOLD', { playerName: player.name, teamId: currentBidTeam, amount: currentBid });
-    team.remaining -= currentBid;
-    team.spent += currentBid;
-    const playerWithSynergy = { ...player, boughtPrice: currentBid, individualSynergy: calculatePlayerSynergy(player, [...team.players, player]) };
-    team.players.push(playerWithSynergy);
-    team.synergy = calculateSynergy(team.players);
-    updatePlayerStatus(player.sNo, 'sold', currentBidTeam, currentBid);
-    io.emit('playerSold', { player: playerWithSynergy, teamId: currentBidTeam, amount: currentBid });
-    currentPlayerIndex++; currentBid = 0; currentBidTeam = null;
-    if (currentPlayerIndex >= players.length && !isReAuction) handleReAuction();
-    else if (isReAuction && currentPlayerIndex >= reAuctionUnsold.length) declareWinner();
-    await saveState(); // Save state after action
-    emitUpdate();
-  });
-
-  socket.on('skipPlayer', async () => { // Make async
-    if (!socket.isAuctioneer) return;
-    const player = getCurrentPlayer();
-    if (!player) return;
-    createAuctionSnapshot('BEFORE_SKIP', { playerName: player.name });
-    unsold.push(player);
-    updatePlayerStatus(player.sNo, 'available');
-    io.emit('playerSkipped', { player });
-    currentPlayerIndex++; currentBid = 0; currentBidTeam = null;
-    if (currentPlayerIndex >= players.length && !isReAuction) handleReAuction();
-    else if (isReAuction && currentPlayerIndex >= reAuctionUnsold.length) declareWinner();
-    await saveState(); // Save state after action
-    emitUpdate();
-  });
-
-  socket.on('undoLastAction', async () => { // Make async
-    if (!socket.isAuctioneer || auctionHistory.length === 0) return;
-    const lastSnapshot = auctionHistory.pop();
-    if (!lastSnapshot || !lastSnapshot.action.startsWith('BEFORE_')) return;
-    if (restoreAuctionSnapshot(lastSnapshot)) {
-      const actionType = lastSnapshot.action.replace('BEFORE_', '');
-      io.emit('undoCompleted', { action: actionType, playerName: lastSnapshot.playerData?.playerName });
-      await saveState(); // Save the restored state
-      emitUpdate();
+  // --- PLAYER POOL SETUP (before the auction starts) ---
+
+  // The draft pool can only change while the auction is still in setup
+  const getSetupAuction = () => {
+    const auction = getJoinedAuction();
+    if (!socket.isAuctioneer || !auction) return null;
+    if (auction.phase !== 'setup') { socket.emit('error', 'The player pool is locked once the auction has started'); return null; }
+    return auction;
+  };
+
+  on('uploadPlayerPool', async (payload) => {
+    const auction = getSetupAuction();
+    if (!auction) return;
+    const fileName = sanitizeString(payload?.fileName) || 'upload.csv';
+    if (typeof payload?.csv !== 'string' || !payload.csv.trim()) { socket.emit('error', `${fileName} is empty`); return; }
+    try {
+      setDraftPool(auction, fileName, await readPoolRows(Readable.from([payload.csv])));
+    } catch (error) {
+      socket.emit('error', `Could not read ${fileName}: ${error.message}`);
+      return;
+    }
+    console.log(`📋 Auction ${auction.code} draft pool replaced from ${fileName} (${auction.draftPool.rows.length} rows, ${auction.draftPool.errors.length} errors)`);
+    await saveState(auction);
+    emitUpdate(auction);
+  });
+
+  on('updatePlayerPool', async (payload) => {
+    const auction = getSetupAuction();
+    if (!auction) return;
+    if (!Array.isArray(payload?.rows) || payload.rows.length > MAX_POOL_ROWS) { socket.emit('error', `The pool must be a list of up to ${MAX_POOL_ROWS} players`); return; }
+    setDraftPool(auction, auction.draftPool?.source || 'edited', payload.rows.map(toPoolRow));
+    await saveState(auction);
+    emitUpdate(auction);
+  });
+
+  on('restoreDefaultPool', async () => {
+    const auction = getSetupAuction();
+    if (!auction) return;
+    try {
+      await loadDefaultDraftPool(auction);
+    } catch (error) {
+      console.error('Error reloading default player pool:', error);
+      socket.emit('error', 'Failed to load the default player pool.');
+      return;
     }
+    await saveState(auction);
+    emitUpdate(auction);
+  });
+
+  // Committing is the only way out of setup; it needs a pool with no row errors
+  on('commitPlayerPool', async () => {
+    const auction = getSetupAuction();
+    if (!auction || !auction.draftPool) return;
+    const { errors, warnings } = validatePoolRows(auction.draftPool.rows, auction.rules);
+    if (errors.length > 0) { socket.emit('poolInvalid', { errors }); return; }
+    if (warnings.length > 0) console.warn(`⚠️ Auction ${auction.code} pool committed with ${warnings.length} tier warnings:\n - ${warnings.map(w => `row ${w.row + 1}: ${w.message}`).join('\n - ')}`);
+    const pool = auction.draftPool.rows.map(row => toPoolPlayer(row, auction.rules));
+    const missingRetentions = (auction.rules.retention?.players || []).filter(c => !pool.some(p => p.sNo === c.sNo)).map(c => c.sNo);
+    if (missingRetentions.length > 0) console.warn(`⚠️ Auction ${auction.code} retention list names players not in the pool: ${missingRetentions.join(', ')}`);
+    auction.draftPool = null;
+    startAuction(auction, pool, 'auctioneer');
+    await saveState(auction);
+    io.to(roomFor(auction)).emit('poolCommitted', { count: pool.length, retention: auction.phase === 'retention', missingRetentions });
+  });
+
+  // --- RETENTIONS (before the first lot) ---
+
+  // A team keeps or releases one of its listed players; the auctioneer can do it for any team
+  on('retainPlayer', async (payload) => {
+    const auction = getJoinedAuction();
+    if (!auction) return;
+    if (auction.phase !== 'retention') { socket.emit('error', 'Retentions are locked'); return; }
+    const teamId = socket.isAuctioneer ? Number(payload?.teamId) : socket.teamId;
+    const team = auction.teams[teamId - 1];
+    if (!team || (!socket.isAuctioneer && team.socketId !== socket.id)) return;
+    const candidate = getRetentionCandidates(auction.rules, auction.retentionPool).find(c => c.sNo === String(payload?.sNo) && c.teamId === teamId);
+    if (!candidate) { socket.emit('error', `That player is not on ${team.name}'s retention list`); return; }
+    const actor = socket.isAuctioneer ? 'auctioneer' : `team-${teamId}`;
+    if (payload.retain) {
+      const check = validateRetention(auction, team, candidate);
+      if (!check.valid) { socket.emit('error', check.reason); return; }
+      recordEvent(auction, 'retained', actor, { teamId, sNo: candidate.sNo, price: candidate.price });
+    } else {
+      if (!team.players.some(p => p.sNo === candidate.sNo)) return;
+      recordEvent(auction, 'released', actor, { teamId, sNo: candidate.sNo, price: candidate.price });
+    }
+    console.log(`📌 ${team.name} ${payload.retain ? 'retained' : 'released'} ${candidate.sNo} in ${auction.code}`);
+    await saveState(auction);
+    emitUpdate(auction);
+  });
+
+  on('lockRetentions', async () => {
+    const auction = getJoinedAuction();
+    if (!socket.isAuctioneer || !auction) return;
+    if (auction.phase !== 'retention') { socket.emit('error', 'Retentions are already locked'); return; }
+    const retained = auction.teams.reduce((count, team) => count + team.players.length, 0);
+    lockRetentions(auction, 'auctioneer');
+    console.log(`📌 Retentions locked in ${auction.code}: ${retained} players retained`);
+    await saveState(auction);
+    io.to(roomFor(auction)).emit('retentionsLocked', { retained });
+  });
+
+  // --- TRADE WINDOW (after the auction) ---
+
+  const getTradingAuction = () => {
+    const auction = getJoinedAuction();
+    if (!auction) return null;
+    if (auction.phase !== 'trading') { socket.emit('error', 'The trade window is closed'); return null; }
+    return auction;
+  };
+
+  // Tell both teams and the auctioneer how a trade moved on
+  const notifyTrade = (auction, trade, message) => {
+    [roomFor(auction, 'auctioneer'), roomFor(auction, `team-${trade.from}`), roomFor(auction, `team-${trade.to}`)]
+      .forEach(room => io.to(room).emit('tradeUpdate', { tradeId: trade.id, status: trade.status, message }));
+  };
+
+  on('openTradeWindow', async () => {
+    const auction = getJoinedAuction();
+    if (!socket.isAuctioneer || !auction) return;
+    if (!auction.finalStandings || auction.phase === 'trading') { socket.emit('error', 'The trade window opens once the auction is complete'); return; }
+    recordEvent(auction, 'phase', 'auctioneer', { phase: 'trading' });
+    console.log(`🔁 Trade window opened in ${auction.code}`);
+    io.to(roomFor(auction)).emit('tradeWindow', { open: true });
+    await saveState(auction);
+    emitUpdate(auction);
+  });
+
+  on('closeTradeWindow', async () => {
+    const auction = getTradingAuction();
+    if (!socket.isAuctioneer || !auction) return;
+    recordEvent(auction, 'phase', 'auctioneer', { phase: 'complete' });
+    console.log(`🔁 Trade window closed in ${auction.code}`);
+    io.to(roomFor(auction)).emit('tradeWindow', { open: false, standings: auction.finalStandings });
+    await saveState(auction);
+    emitUpdate(auction);
+  });
+
+  on('proposeTrade', async (payload) => {
+    const auction = getTradingAuction();
+    if (!auction || !holdsTeamSeat(auction)) return;
+    const toSNos = (list) => [...new Set((Array.isArray(list) ? list : []).map(sanitizeString).filter(Boolean))];
+    const cash = Number(payload?.cash) || 0;
+    const trade = {
+      from: socket.teamId, to: Number(payload?.to), give: toSNos(payload?.give), receive: toSNos(payload?.receive),
+      cash, cashFrom: cash > 0 ? Number(payload?.cashFrom) : null,
+    };
+    const validation = validateTrade(auction, trade);
+    if (!validation.valid) { socket.emit('error', validation.reason); return; }
+    const tradeId = auction.trades.length + 1;
+    recordEvent(auction, 'tradeProposed', `team-${socket.teamId}`, { tradeId, ...trade });
+    const proposed = auction.trades.find(t => t.id === tradeId);
+    notifyTrade(auction, proposed, `Trade offer: ${describeTrade(auction, proposed)}`);
+    await saveState(auction);
+    emitUpdate(auction);
+  });
+
+  on('respondToTrade', async (payload) => {
+    const auction = getTradingAuction();
+    if (!auction || !holdsTeamSeat(auction)) return;
+    const trade = auction.trades.find(t => t.id === payload?.tradeId);
+    if (!trade || trade.to !== socket.teamId || trade.status !== 'proposed') { socket.emit('error', 'That trade is no longer waiting for you'); return; }
+    const accepted = Boolean(payload.accept);
+    if (accepted) {
+      const validation = validateTrade(auction, trade);
+      if (!validation.valid) { socket.emit('error', validation.reason); return; }
+    }
+    recordEvent(auction, 'tradeResponded', `team-${socket.teamId}`, { tradeId: trade.id, accepted });
+    notifyTrade(auction, trade, `${auction.teams[trade.to - 1].name} ${accepted ? 'accepted' : 'rejected'} trade #${trade.id}${accepted ? '; waiting for the auctioneer' : ''}`);
+    await saveState(auction);
+    emitUpdate(auction);
+  });
+
+  on('cancelTrade', async (payload) => {
+    const auction = getTradingAuction();
+    if (!auction || !holdsTeamSeat(auction)) return;
+    const trade = auction.trades.find(t => t.id === payload?.tradeId);
+    if (!trade || trade.from !== socket.teamId || !isTradeOpen(trade)) { socket.emit('error', 'That trade can no longer be withdrawn'); return; }
+    recordEvent(auction, 'tradeCancelled', `team-${socket.teamId}`, { tradeId: trade.id });
+    notifyTrade(auction, trade, `${auction.teams[trade.from - 1].name} withdrew trade #${trade.id}`);
+    await saveState(auction);
+    emitUpdate(auction);
+  });
+
+  on('decideTrade', async (payload) => {
+    const auction = getTradingAuction();
+    if (!socket.isAuctioneer || !auction) return;
+    const trade = auction.trades.find(t => t.id === payload?.tradeId);
+    if (!trade || trade.status !== 'accepted') { socket.emit('error', 'That trade is not waiting for approval'); return; }
+    const approved = Boolean(payload.approve);
+    if (approved) {
+      const validation = validateTrade(auction, trade);
+      if (!validation.valid) { socket.emit('error', validation.reason); return; }
+    }
+    const label = describeTrade(auction, trade);
+    recordEvent(auction, 'tradeDecided', 'auctioneer', { tradeId: trade.id, approved });
+    console.log(`🔁 Trade ${trade.id} in ${auction.code} ${approved ? 'approved' : 'declined'}: ${label}`);
+    if (approved) io.to(roomFor(auction)).emit('tradeCompleted', { tradeId: trade.id, label });
+    else notifyTrade(auction, trade, `The auctioneer declined trade #${trade.id}`);
+    await saveState(auction);
+    emitUpdate(auction);
+  });
+
+  // --- TEAM IDENTITIES ---
+
+  // The auctioneer can edit any team; a team only its own, and only while canTeamEditIdentity allows
+  on('updateTeamIdentity', async (payload) => {
+    const auction = getJoinedAuction();
+    const teamId = socket.isAuctioneer ? payload?.teamId : socket.teamId;
+    if (!auction || !isValidTeamId(auction, teamId)) return;
+    if (!socket.isAuctioneer && !holdsTeamSeat(auction)) return;
+    if (!socket.isAuctioneer && !canTeamEditIdentity(auction, teamId)) { socket.emit('error', 'Ask the auctioneer to change your team details'); return; }
+    const { identity, logo, errors } = normalizeTeamIdentity(auction, teamId, payload);
+    if (!identity) { socket.emit('teamIdentityInvalid', { teamId, errors }); return; }
+    if (logo !== undefined) await saveTeamLogo(auction, teamId, logo);
+    auction.teamIdentities = { ...auction.teamIdentities, [teamId]: identity };
+    Object.assign(auction.teams[teamId - 1], getTeamIdentity(auction.teamIdentities, teamId));
+    recordEvent(auction, 'teamIdentity', socket.isAuctioneer ? 'auctioneer' : `team-${teamId}`, { teamId, ...identity, hasLogo: Boolean(identity.logoVersion) });
+    await saveState(auction);
+    console.log(`🎨 Team ${teamId} in ${auction.code} is now ${identity.name} (${identity.code})`);
+    socket.emit('teamIdentitySaved', { teamId });
+    emitUpdate(auction);
+  });
+
+  // --- AUCTION FLOW ---
+
+  on('placeBidForTeam', (teamId) => { const auction = getJoinedAuction(); if (!socket.isAuctioneer || !auction) return; const player = getCurrentPlayer(auction); if (!player) return; if (getSealedPricing(auction)) { socket.emit('error', `${player.name} is sold by sealed bid`); return; } const newBid = getNextBidAmount(auction, player); const validation = validateBid(auction, teamId, newBid); if (!validation.valid) { socket.emit('error', validation.reason); return; } commitBid(auction, teamId, newBid, player, 'auctioneer'); });
+
+  // --- TEAM ACTIONS ---
+
+  // Teams send the amount they saw as the next bid. Socket.IO delivers events to this
+  // single-threaded handler one at a time, so when two teams race for the same amount the
+  // first to arrive takes it and the other no longer matches getNextBidAmount().
+  on('placeBid', (bid) => {
+    const auction = getJoinedAuction();
+    const teamId = socket.teamId;
+    if (!auction || !teamId || auction.teams[teamId - 1].socketId !== socket.id) return;
+    const { currentBid, currentBidTeam } = auction;
+    const player = getCurrentPlayer(auction);
+    const check = checkTeamBid(auction, teamId, bid);
+    if (!check.valid) return socket.emit('bidRejected', { reason: check.reason, currentBid, currentBidTeam, playerName: player ? player.name : null });
+    commitBid(auction, teamId, check.amount, player, `team-${teamId}`);
+  });
+
+  on('resetBid', () => { const auction = getJoinedAuction(); if (!socket.isAuctioneer || !auction) return; const player = getCurrentPlayer(auction); if (player && !auction.rtmOffer && !getSealedPricing(auction)) { recordEvent(auction, 'bidReset', 'auctioneer', { playerSNo: player.sNo }); startBidTimer(auction); io.to(roomFor(auction)).emit('bidReset', { playerName: player.name }); emitUpdate(auction); } });
+
+  on('soldPlayer', async () => {
+    const auction = getJoinedAuction();
+    if (!socket.isAuctioneer || !auction) return;
+    await sellCurrentPlayer(auction, 'auctioneer');
+  });
+
+  // One hidden, final bid per team on a sealed-bid lot. The last bid anyone was waiting for reveals them all.
+  on('submitSealedBid', async (bid) => {
+    const auction = getJoinedAuction();
+    const teamId = socket.teamId;
+    if (!auction || !teamId || auction.teams[teamId - 1].socketId !== socket.id) return;
+    const player = getCurrentPlayer(auction);
+    const reject = (reason) => socket.emit('sealedBidRejected', { reason, playerName: player ? player.name : null });
+    if (!player || !getSealedPricing(auction)) return reject('This lot is not taking sealed bids');
+    if (bid?.playerSNo !== player.sNo) return reject(`Bidding has moved on to ${player.name}`);
+    if (auction.sealedBids.some(b => b.teamId === teamId)) return reject('You have already submitted your sealed bid for this player');
+    const amount = bid?.amount;
+    if (!isPositiveInteger(amount) || amount % 100000 !== 0) return reject('Bid a whole number of lakh');
+    if (amount < player.basePrice) return reject(`Bid at least the base price of ${formatLakh(player.basePrice)}`);
+    const validation = validateBid(auction, teamId, amount);
+    if (!validation.valid) return reject(validation.reason);
+    recordEvent(auction, 'sealedBid', `team-${teamId}`, { teamId, amount, playerSNo: player.sNo });
+    socket.emit('sealedBidAccepted', { amount, playerName: player.name });
+    if (allSealedBidsIn(auction, player)) { await revealSealedBids(auction, 'system'); return; }
+    await saveState(auction);
+    emitUpdate(auction);
+  });
+
+  // The auctioneer can open the bids before the deadline
+  on('revealSealedBids', async () => {
+    const auction = getJoinedAuction();
+    if (!socket.isAuctioneer || !auction) return;
+    if (!getCurrentPlayer(auction) || !getSealedPricing(auction)) { socket.emit('error', 'This lot is not taking sealed bids'); return; }
+    await revealSealedBids(auction, 'auctioneer');
+  });
+
+  // The previous team answers its own RTM offer; the auctioneer can answer for it
+  on('respondToRtm', async (payload) => {
+    const auction = getJoinedAuction();
+    if (!auction) return;
+    const offer = auction.rtmOffer;
+    if (!offer) { socket.emit('error', 'There is no RTM decision pending'); return; }
+    if (!socket.isAuctioneer && (socket.teamId !== offer.teamId || auction.teams[offer.teamId - 1].socketId !== socket.id)) return;
+    await resolveRtm(auction, Boolean(payload?.match), socket.isAuctioneer ? 'auctioneer' : `team-${offer.teamId}`);
+  });
+
+  on('skipPlayer', async () => {
+    const auction = getJoinedAuction();
+    if (!socket.isAuctioneer || !auction) return;
+    await skipCurrentPlayer(auction, 'auctioneer');
+  });
+
+  on('pauseTimer', () => {
+    const auction = getJoinedAuction();
+    if (!socket.isAuctioneer || !auction || !pauseBidTimer(auction)) return;
+    recordEvent(auction, 'timerPaused', 'auctioneer');
+    io.to(roomFor(auction)).emit('timerPaused');
+    emitUpdate(auction);
   });
 
-  socket.on('disconnect', () => { /* ... unchanged ... */ if (socket.isAuctioneer) auctioneerConnected = false; if (socket.teamId) { const teamIndex = socket.teamId - 1; if (teams[teamIndex] && teams[teamIndex].socketId === socket.id) { teams[teamIndex].isConnected = false; teams[teamIndex].socketId = null; connectedTeams.delete(socket.teamId); } } emitUpdate(); io.emit('connectionStatus', { auctioneerConnected, connectedTeams: Array.from(connectedTeams) }); });
+  on('resumeTimer', () => {
+    const auction = getJoinedAuction();
+    if (!socket.isAuctioneer || !auction || !resumeBidTimer(auction)) return;
+    recordEvent(auction, 'timerResumed', 'auctioneer');
+    io.to(roomFor(auction)).emit('timerResumed');
+    emitUpdate(auction);
+  });
+
+  // Between sets the auction waits for the auctioneer to open the next one
+  on('startNextSet', async () => {
+    const auction = getJoinedAuction();
+    if (!socket.isAuctioneer || !auction) return;
+    if (!auction.setBreak) { socket.emit('error', 'The auction is not between sets'); return; }
+    const { index, set } = getSetPosition(auction);
+    recordEvent(auction, 'nextSet', 'auctioneer', { setIndex: index });
+    startBidTimer(auction);
+    console.log(`Auction ${auction.code} opened set ${index + 1} (${set.name})`);
+    io.to(roomFor(auction)).emit('setStarted', { index, name: set.name, lots: set.players.length });
+    await saveState(auction);
+    emitUpdate(auction);
+  });
+
+  // Undo voids everything from the last sale or skip onwards and replays the log without it.
+  // Nothing is deleted, so there is no limit on how far back the auctioneer can go.
+  // Undo and jump-back wait for the trade window to close, so trades never vanish mid-negotiation,
+  // and stop at the last approved trade (see getUndoPoints)
+  const getRewindableAuction = () => {
+    const auction = getJoinedAuction();
+    if (!socket.isAuctioneer || !auction) return null;
+    if (auction.phase === 'trading') { socket.emit('error', 'Close the trade window before undoing'); return null; }
+    return auction;
+  };
+
+  on('undoLastAction', async () => {
+    const auction = getRewindableAuction();
+    if (!auction) return;
+    const target = findUndoTarget(auction);
+    if (!target) return;
+    const playerName = auction.allPlayers.find(p => p.sNo === target.data.playerSNo)?.name;
+    undoToEvent(auction, target, 'auctioneer');
+    console.log(`Auction ${auction.code} rolled back to before event ${target.seq} (${target.type})`);
+    io.to(roomFor(auction)).emit('undoCompleted', { action: target.type === 'sold' ? 'SOLD' : 'SKIP', playerName });
+    await saveState(auction); // Save the restored state
+    emitUpdate(auction);
+  });
 
-  emitUpdate();
+  // Jump back to before any sale or skip listed in the history panel, in a single undo step
+  on('jumpToEvent', async (seq) => {
+    const auction = getRewindableAuction();
+    if (!auction) return;
+    const target = getUndoPoints(auction).find(event => event.seq === seq);
+    if (!target) { socket.emit('error', 'That point is no longer in the history'); return; }
+    const label = describeEvent(auction, target, auction.allPlayers.find(p => p.sNo === target.data.playerSNo));
+    undoToEvent(auction, target, 'auctioneer');
+    console.log(`Auction ${auction.code} jumped back to before event ${seq}`);
+    io.to(roomFor(auction)).emit('undoCompleted', { action: 'JUMP', label });
+    await saveState(auction);
+    emitUpdate(auction);
+  });
+
+  // Redo cancels the most recent undo, as long as nothing has happened since
+  on('redoLastAction', async () => {
+    const auction = getJoinedAuction();
+    if (!socket.isAuctioneer || !auction) return;
+    const [undo] = getRedoStack(auction);
+    if (!undo) { socket.emit('error', 'Nothing to redo'); return; }
+    redoUndo(auction, undo, 'auctioneer');
+    console.log(`Auction ${auction.code} redid undo ${undo.seq}`);
+    io.to(roomFor(auction)).emit('redoCompleted', { action: undo.data.action === 'sold' ? 'SOLD' : 'SKIP' });
+    await saveState(auction);
+    emitUpdate(auction);
+  });
+
+  on('disconnect', () => { const auction = getJoinedAuction(); if (!auction) return; if (socket.isAuctioneer && auction.auctioneerSocketId === socket.id) { auction.auctioneerConnected = false; auction.auctioneerSocketId = null; recordEvent(auction, 'leave', 'auctioneer'); } if (socket.teamId) { const team = auction.teams[socket.teamId - 1]; if (team && team.socketId === socket.id) { team.isConnected = false; team.socketId = null; auction.connectedTeams.delete(socket.teamId); recordEvent(auction, 'leave', `team-${socket.teamId}`); } } emitUpdate(auction); emitConnectionStatus(auction); });
+});
+
+// --- HTTP API ---
+
+// An auction's complete event log, for settling disputes. `voided` marks events removed by an undo.
+app.get('/api/auctions/:code/events', async (req, res) => {
+  const auction = await getAuction(normalizeRoomCode(req.params.code));
+  if (!auction) return res.status(404).json({ error: 'Auction not found' });
+  const voided = getVoidedSeqs(auction.events);
+  // Sealed bids on the lot still open stay hidden until the reveal
+  const hidden = new Set(auction.sealedBids.map(bid => bid.seq));
+  res.json({ code: auction.code, events: auction.events.map(event => ({ ...event, ...(hidden.has(event.seq) ? { data: { ...event.data, amount: null } } : {}), voided: voided.has(event.seq) })) });
+});
+
+// A team's uploaded logo. The URL carries the logo's version, so it can be cached for good.
+app.get('/api/auctions/:code/teams/:teamId/logo', async (req, res) => {
+  const auction = await getAuction(normalizeRoomCode(req.params.code));
+  const teamId = parseInt(req.params.teamId, 10);
+  const logo = auction?.teamIdentities?.[teamId]?.logoVersion ? await loadTeamLogo(auction, teamId) : null;
+  if (!logo) return res.status(404).json({ error: 'Logo not found' });
+  const [, type, data] = logo.match(LOGO_DATA_URL);
+  res.set('Cache-Control', 'public, max-age=31536000, immutable');
+  res.type(type).send(Buffer.from(data, 'base64'));
+});
+
+// Every visible step of an auction, for the client's /replay/:code viewer
+app.get('/api/auctions/:code/replay', async (req, res) => {
+  const auction = await getAuction(normalizeRoomCode(req.params.code));
+  if (!auction) return res.status(404).json({ error: 'Auction not found' });
+  res.json({ code: auction.code, rules: auction.rules, frames: buildReplayFrames(auction) });
+});
+
+// --- Result Exports ---
+// Each report is a flat list of rows with the same keys, so it serialises to JSON and CSV alike.
+// Amounts are whole rupees. Standings are provisional until the auction completes.
+
+// Events of the given types still in effect since the last reset, in the order they happened
+function getRunEvents(auction, types) {
+  const voided = getVoidedSeqs(auction.events);
+  let lastReset = 0;
+  auction.events.forEach(event => { if (event.type === 'reset' && !voided.has(event.seq)) lastReset = event.seq; });
+  return auction.events.filter(event => types.includes(event.type) && event.seq > lastReset && !voided.has(event.seq));
+}
+
+function getSaleEvents(auction) { return getRunEvents(auction, ['sold']); }
+
+const EXPORT_REPORTS = {
+  rosters: (auction) => auction.teams.flatMap(team => team.players.map(player => ({
+    teamId: team.id, team: team.name, teamCode: team.code, sNo: player.sNo, name: player.name, role: player.role, archetype: player.archetype,
+    baseScore: player.baseScore, tier: player.tier || '', basePrice: player.basePrice, boughtPrice: player.boughtPrice, retained: Boolean(player.retained),
+    individualSynergy: calculatePlayerSynergy(player, team.players, auction.rules.synergy),
+  }))),
+  sales: (auction) => getSaleEvents(auction).map((event, index) => {
+    const player = auction.allPlayers.find(p => p.sNo === event.data.playerSNo) || {};
+    return {
+      order: index + 1, soldAt: new Date(event.at).toISOString(), sNo: event.data.playerSNo, name: player.name, role: player.role,
+      archetype: player.archetype, basePrice: player.basePrice, soldPrice: event.data.amount,
+      premiumPct: player.basePrice ? Math.round(((event.data.amount - player.basePrice) / player.basePrice) * 100) : null,
+      teamId: event.data.teamId, team: auction.teams[event.data.teamId - 1]?.name, teamCode: auction.teams[event.data.teamId - 1]?.code,
+      rtm: Boolean(event.data.rtm), format: event.data.sealed?.pricing || 'open',
+    };
+  }),
+  unsold: (auction) => {
+    const passed = new Set(auction.unsold.map(p => p.sNo));
+    return auction.allPlayers.filter(p => p.status !== 'sold').map(p => ({
+      sNo: p.sNo, name: p.name, role: p.role, archetype: p.archetype, baseScore: p.baseScore, tier: p.tier || '', basePrice: p.basePrice,
+      status: passed.has(p.sNo) ? 'unsold' : 'not auctioned',
+    }));
+  },
+  trades: (auction) => auction.trades.map(trade => {
+    const names = (sNos) => sNos.map(sNo => auction.allPlayers.find(p => p.sNo === sNo)?.name || sNo).join('; ');
+    return {
+      tradeId: trade.id, status: trade.status, fromTeamId: trade.from, fromTeam: auction.teams[trade.from - 1]?.name, toTeamId: trade.to,
+      toTeam: auction.teams[trade.to - 1]?.name, playersSent: names(trade.give), playersReceived: names(trade.receive),
+      cash: trade.cash, cashPaidBy: trade.cash > 0 ? auction.teams[trade.cashFrom - 1]?.name : '',
+    };
+  }),
+  // Names come from the live teams, so a team renamed after the final whistle exports under its new name
+  standings: (auction) => (auction.finalStandings || buildStandings(auction)).map(entry => ({
+    rank: entry.rank, teamId: entry.id, team: auction.teams[entry.id - 1]?.name || entry.name, teamCode: auction.teams[entry.id - 1]?.code, players: entry.playerCount, baseTotal: entry.score.baseTotal,
+    positiveSynergy: entry.score.positive, negativeSynergy: entry.score.negative, total: entry.score.total,
+    spent: entry.spent, remaining: entry.remaining, disqualified: entry.disqualified, disqualificationReason: entry.disqualificationReason || '',
+  })),
+};
+
+// Text that a spreadsheet would read as a formula (team names and captains are user input) gets a
+// leading ' so it opens as plain text. Numbers are left alone, negative ones included.
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' && CSV_FORMULA_START.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  if (rows.length === 0) return '';
+  const columns = Object.keys(rows[0]);
+  return [columns.join(','), ...rows.map(row => columns.map(column => toCsvValue(row[column])).join(','))].join('\r\n') + '\r\n';
+}
+
+// GET /api/auctions/ABC123/export/sales.csv (or .json); reports: rosters, sales, unsold, standings, trades
+app.get('/api/auctions/:code/export/:report.:format', async (req, res) => {
+  const { report, format } = req.params;
+  if (!EXPORT_REPORTS[report] || !['csv', 'json'].includes(format)) return res.status(404).json({ error: 'Unknown report' });
+  const auction = await getAuction(normalizeRoomCode(req.params.code));
+  if (!auction) return res.status(404).json({ error: 'Auction not found' });
+  const rows = EXPORT_REPORTS[report](auction);
+  if (format === 'json') return res.json({ code: auction.code, report, final: Boolean(auction.finalStandings), rows });
+  res.type('text/csv').attachment(`${auction.code}-${report}.csv`).send(toCsv(rows));
+});
+
+// --- Analytics ---
+// Value analysis for the analytics tab, computed from the sales in the event log. A player's points are
+// their base score plus the pair synergy they bring to the squad they ended up in.
+const ANALYTICS_LIST_SIZE = 5;
+
+function perCrore(value, amount) { return amount > 0 ? Math.round((value / (amount / 10000000)) * 10) / 10 : null; }
+
+function buildAnalytics(auction) {
+  const { synergy, budget, archetypes = {} } = auction.rules;
+  const playersBySNo = new Map(auction.allPlayers.map(p => [p.sNo, p]));
+  const sales = getSaleEvents(auction).map((event, index) => {
+    const player = playersBySNo.get(event.data.playerSNo) || {};
+    const team = auction.teams[event.data.teamId - 1];
+    const rostered = team?.players.find(p => p.sNo === event.data.playerSNo);
+    const points = rostered ? calculatePlayerSynergy(rostered, team.players, synergy) : player.baseScore || 0;
+    return {
+      order: index + 1, sNo: event.data.playerSNo, name: player.name, role: player.role, archetype: player.archetype,
+      teamId: event.data.teamId, team: team?.name, basePrice: player.basePrice, price: event.data.amount,
+      premiumPct: player.basePrice ? Math.round(((event.data.amount - player.basePrice) / player.basePrice) * 100) : null,
+      points, pointsPerCr: perCrore(points, event.data.amount), format: event.data.sealed?.pricing || 'open',
+      bids: event.data.sealed ? event.data.sealed.bids.length : null, winningBid: event.data.sealed ? event.data.sealed.bids[0].amount : event.data.amount,
+    };
+  });
+  const averagePremium = (list) => (list.length > 0 ? Math.round(list.reduce((sum, sale) => sum + (sale.premiumPct || 0), 0) / list.length) : null);
+
+  const spendBy = (key, labelFor) => Object.values(sales.reduce((groups, sale) => {
+    const group = groups[sale[key]] || (groups[sale[key]] = { key: sale[key], label: labelFor(sale[key]), players: 0, spent: 0 });
+    group.players++;
+    group.spent += sale.price;
+    return groups;
+  }, {})).map(group => ({ ...group, averagePrice: Math.round(group.spent / group.players) })).sort((a, b) => b.spent - a.spent);
+
+  const byValue = [...sales].sort((a, b) => b.pointsPerCr - a.pointsPerCr);
+  const bargains = byValue.slice(0, ANALYTICS_LIST_SIZE);
+  const overpays = byValue.slice(-ANALYTICS_LIST_SIZE).reverse().filter(sale => !bargains.includes(sale));
+
+  // Every closed lot, sold or not, is one step of the burn-down
+  const lots = getRunEvents(auction, ['sold', 'skipped']);
+  const remaining = auction.teams.map(() => budget);
+  // Retentions come off the purse before the first lot
+  getRunEvents(auction, ['retained', 'released']).forEach(event => { remaining[event.data.teamId - 1] += event.type === 'retained' ? -event.data.price : event.data.price; });
+  const burnDown = { lots: [], series: auction.teams.map((team, index) => ({ teamId: team.id, name: team.name, color: team.color, remaining: [remaining[index]] })) };
+  lots.forEach((event, index) => {
+    if (event.type === 'sold') remaining[event.data.teamId - 1] -= event.data.amount;
+    burnDown.lots.push({ lot: index + 1, type: event.type, name: playersBySNo.get(event.data.playerSNo)?.name });
+    burnDown.series.forEach((series, teamIndex) => series.remaining.push(remaining[teamIndex]));
+  });
+
+  return {
+    totals: { sold: sales.length, lots: lots.length, spent: sales.reduce((sum, sale) => sum + sale.price, 0), averagePremiumPct: averagePremium(sales) },
+    sales,
+    teams: auction.teams.map(team => {
+      const score = calculateSynergyBreakdown(team.players, synergy);
+      const pairSynergy = score.positive + score.negative;
+      return {
+        id: team.id, name: team.name, players: team.players.length, spent: team.spent, remaining: team.remaining,
+        score: score.total, synergy: pairSynergy, scorePerCr: perCrore(score.total, team.spent), synergyPerCr: perCrore(pairSynergy, team.spent),
+        averagePremiumPct: averagePremium(sales.filter(sale => sale.teamId === team.id)),
+      };
+    }),
+    spendByRole: spendBy('role', role => role),
+    spendByArchetype: spendBy('archetype', code => (archetypes[code] ? `${archetypes[code]} (${code})` : code)),
+    // How each auction format priced its lots, side by side. `averageDiscount` is how far below their own
+    // bid winners paid, which only a Vickrey lot can make non-zero.
+    byFormat: ['open', 'first-price', 'vickrey'].map(format => {
+      const list = sales.filter(sale => sale.format === format);
+      const average = (value) => (list.length > 0 ? Math.round(list.reduce((sum, sale) => sum + value(sale), 0) / list.length) : null);
+      return { format, sold: list.length, averagePrice: average(sale => sale.price), averagePremiumPct: averagePremium(list), averageDiscount: average(sale => sale.winningBid - sale.price) };
+    }).filter(entry => entry.sold > 0),
+    bargains,
+    overpays,
+    burnDown,
+  };
+}
+
+app.get('/api/auctions/:code/analytics', async (req, res) => {
+  const auction = await getAuction(normalizeRoomCode(req.params.code));
+  if (!auction) return res.status(404).json({ error: 'Auction not found' });
+  res.json({ code: auction.code, final: Boolean(auction.finalStandings), ...buildAnalytics(auction) });
 });
 
 // --- Server Startup ---
 const PORT = process.env.PORT || 5000;
-server.listen(PORT, async () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  
-  await connectToDb();
-  
-  const stateLoaded = await loadState();
-  if (stateLoaded) {
-    console.log("✅ Resumed auction from saved state in MongoDB.");
-  } else {
-    console.log("🌱 No saved state found, starting fresh auction.");
-    try {
-      await loadPlayers();
-      await saveState(); // Perform an initial save of the fresh state
-    } catch (error) {
-      console.error('❌ Failed to load players on initial startup:', error);
-    }
-  }
-});
\ No newline at end of file
+if (require.main === module) {
+  server.listen(PORT, async () => {
+    console.log(`🚀 Server running on port ${PORT}`);
+
+    // Auctions are created from the landing page and loaded on demand, so there is nothing to preload.
+    await connectToDb();
+  });
+}
+
+// The auction engine, for the tests in test/. Requiring this file does not start the server.
+module.exports = {
+  createSeatPins, attemptSeatPin, toCsv, connectToDb, saveState, loadState, normalizeRules, createAuctionState, recordEvent, replayEvents, REPLAYED_FIELDS,
+  loadDefaultDraftPool, toPoolPlayer, startAuction, getCurrentPlayer, getNextBidAmount, commitBid, sellCurrentPlayer, resolveRtm,
+  findUndoTarget, undoToEvent, getRedoStack, redoUndo,
+  checkTeamBid, validateBid, onBidTimerExpired, revealSealedBids, validateTrade, toPoolRow, validatePoolRows, buildLotOrder,
+};
@@ -0,0 +1,121 @@
+// storage.js
+// Persistence backends for auction documents. Every backend exposes the same small interface:
+//   name               – label used in logs
+//   connect()          – prepare the backend; resolves even if it is unavailable
+//   isReady()          – whether save/load can currently reach the store
+//   save(id, doc)      – upsert one auction document
+//   load(id)           – the stored document, or null
+//   saveLogo(code, teamId, dataUrl) – store a team logo apart from its auction document, which is
+//                        rewritten on every bid; null deletes it
+//   loadLogo(code, teamId) – the logo's data URL, or null
+const fs = require('fs');
+const path = require('path');
+
+// --- MongoDB ---
+function createMongoStorage({ uri, dbName = 'auctionDB', collection = 'state' }) {
+  const { MongoClient } = require('mongodb');
+  const client = new MongoClient(uri);
+  const stateCollection = client.db(dbName).collection(collection); // One document per auction, keyed by room code
+  const logoCollection = client.db(dbName).collection('logos'); // One document per team logo, keyed by code:teamId
+
+  return {
+    name: 'MongoDB',
+    async connect() {
+      try {
+        await client.connect();
+        console.log("✅ Successfully connected to MongoDB Atlas.");
+      } catch (error) {
+        console.error("❌ Failed to connect to MongoDB:", error);
+      }
+    },
+    isReady() { return Boolean(client.topology && client.topology.isConnected()); },
+    async save(id, doc) { await stateCollection.updateOne({ _id: id }, { $set: doc }, { upsert: true }); },
+    async load(id) { return stateCollection.findOne({ _id: id }); },
+    async saveLogo(code, teamId, logo) {
+      if (logo === null) await logoCollection.deleteOne({ _id: `${code}:${teamId}` });
+      else await logoCollection.updateOne({ _id: `${code}:${teamId}` }, { $set: { logo } }, { upsert: true });
+    },
+    async loadLogo(code, teamId) { return (await logoCollection.findOne({ _id: `${code}:${teamId}` }))?.logo || null; },
+  };
+}
+
+// --- Local JSON files (one file per auction, for offline events) ---
+function createFileStorage({ dir }) {
+  let ready = false;
+  const fileFor = (id) => path.join(dir, `${id}.json`);
+  const logoFileFor = (code, teamId) => path.join(dir, 'logos', `${code}-${teamId}.txt`);
+
+  // Write to a temp file and rename so a crash mid-write never leaves a truncated file
+  const writeFile = async (target, text) => {
+    const temp = `${target}.${process.pid}.${Date.now()}.tmp`;
+    await fs.promises.writeFile(temp, text);
+    await fs.promises.rename(temp, target);
+  };
+  const readFile = async (target) => {
+    try {
+      return await fs.promises.readFile(target, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  return {
+    name: 'JSON file',
+    async connect() {
+      try {
+        await fs.promises.mkdir(path.join(dir, 'logos'), { recursive: true });
+        ready = true;
+        console.log(`✅ Storing auctions as JSON files in ${dir}`);
+      } catch (error) {
+        console.error(`❌ Cannot use storage directory ${dir}:`, error);
+      }
+    },
+    isReady() { return ready; },
+    async save(id, doc) { await writeFile(fileFor(id), JSON.stringify({ _id: id, ...doc })); },
+    async load(id) {
+      const text = await readFile(fileFor(id));
+      return text === null ? null : JSON.parse(text);
+    },
+    async saveLogo(code, teamId, logo) {
+      if (logo !== null) await writeFile(logoFileFor(code, teamId), logo);
+      else await fs.promises.rm(logoFileFor(code, teamId), { force: true });
+    },
+    async loadLogo(code, teamId) { return readFile(logoFileFor(code, teamId)); },
+  };
+}
+
+// --- In-memory (tests and throwaway sessions; nothing survives a restart) ---
+function createMemoryStorage() {
+  const documents = new Map();
+  const logos = new Map();
+  return {
+    name: 'in-memory',
+    async connect() { console.log("⚠️ Using in-memory storage: auctions are lost when the server stops."); },
+    isReady() { return true; },
+    async save(id, doc) { documents.set(id, JSON.parse(JSON.stringify({ _id: id, ...doc }))); },
+    async load(id) { return documents.has(id) ? JSON.parse(JSON.stringify(documents.get(id))) : null; },
+    async saveLogo(code, teamId, logo) { if (logo === null) logos.delete(`${code}:${teamId}`); else logos.set(`${code}:${teamId}`, logo); },
+    async loadLogo(code, teamId) { return logos.get(`${code}:${teamId}`) || null; },
+  };
+}
+
+// Pick a backend from config: STORAGE_BACKEND wins, otherwise Mongo when MONGO_URI is set, else local files
+function createStorage(env = process.env) {
+  const backend = (env.STORAGE_BACKEND || (env.MONGO_URI ? 'mongo' : 'file')).toLowerCase();
+  switch (backend) {
+    case 'mongo':
+    case 'mongodb':
+      if (!env.MONGO_URI) throw new Error('STORAGE_BACKEND=mongo requires MONGO_URI to be set.');
+      return createMongoStorage({ uri: env.MONGO_URI });
+    case 'file':
+    case 'json':
+      return createFileStorage({ dir: path.resolve(env.STORAGE_DIR || path.join(__dirname, 'data')) });
+    case 'memory':
+      return createMemoryStorage();
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use mongo, file or memory.`);
+  }
+}
+
+module.exports = { createStorage, createMongoStorage, createFileStorage, createMemoryStorage };
@@ -0,0 +1,100 @@
+// Bid checks: the order two teams' bids arrive in, the squad composition and max bid limits, and what the
+// countdown does with a lot it cannot sell.
+process.env.STORAGE_BACKEND = 'memory';
+process.env.BID_TIMER_SECONDS = '0';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  normalizeRules, createAuctionState, recordEvent, loadDefaultDraftPool, toPoolPlayer, startAuction, getCurrentPlayer, getNextBidAmount, commitBid,
+  checkTeamBid, validateBid, onBidTimerExpired,
+} = require('../server');
+
+// The default pool with S.No 1 to 4 auctioned first, in that order
+async function buildAuction(overrides) {
+  const { rules, errors } = normalizeRules({ teamCount: 3, squadSize: 3, composition: [], sets: [{ name: 'Opening', players: ['1', '2', '3', '4'], order: 'fixed' }], ...overrides });
+  assert.deepStrictEqual(errors, []);
+  const auction = createAuctionState('BIDDING', rules);
+  recordEvent(auction, 'auctionCreated', 'system', { rules });
+  await loadDefaultDraftPool(auction);
+  startAuction(auction, auction.draftPool.rows.map(row => toPoolPlayer(row, rules)), 'auctioneer');
+  auction.draftPool = null;
+  return auction;
+}
+
+// What a team's client sends: the lot and the next bid as it saw them
+function seenBid(auction) {
+  const player = getCurrentPlayer(auction);
+  return { playerSNo: player.sNo, amount: getNextBidAmount(auction, player) };
+}
+
+function placeBid(auction, teamId, bid) {
+  const check = checkTeamBid(auction, teamId, bid);
+  if (check.valid) commitBid(auction, teamId, check.amount, getCurrentPlayer(auction), `team-${teamId}`);
+  return check;
+}
+
+test('of two teams bidding the same step, the second is told it was outbid', async () => {
+  const auction = await buildAuction();
+  const opening = seenBid(auction);
+  assert.strictEqual(placeBid(auction, 1, opening).valid, true);
+
+  const step = seenBid(auction);
+  assert.strictEqual(placeBid(auction, 2, step).valid, true);
+  const late = placeBid(auction, 3, step);
+  assert.strictEqual(late.valid, false);
+  assert.match(late.reason, /^Outbid: Team 2 already bid ₹35L\. Next bid is ₹40L$/);
+  assert.strictEqual(auction.currentBidTeam, 2);
+  assert.strictEqual(auction.currentBid, step.amount);
+});
+
+test('a team cannot bid on a lot that has moved on or raise its own bid', async () => {
+  const auction = await buildAuction();
+  assert.match(placeBid(auction, 1, { ...seenBid(auction), playerSNo: '2' }).reason, /^Bidding has moved on to Gail Gamble$/);
+  assert.strictEqual(placeBid(auction, 1, seenBid(auction)).valid, true);
+  assert.strictEqual(placeBid(auction, 1, seenBid(auction)).reason, 'You already hold the highest bid');
+});
+
+test('a bid that would leave no room for the required roles is refused', async () => {
+  // Three slots but one wicketkeeper and two bowlers needed: a batsman can't fit
+  const auction = await buildAuction({ composition: [
+    { label: 'Wicketkeeper', roles: ['Wicketkeeper'], archetypes: ['WK'], min: 1, max: null },
+    { label: 'Bowler', roles: ['Bowler'], archetypes: [], min: 2, max: null },
+  ] });
+  assert.strictEqual(getCurrentPlayer(auction).role, 'Batsman');
+  const check = validateBid(auction, 1, getCurrentPlayer(auction).basePrice);
+  assert.strictEqual(check.valid, false);
+  assert.strictEqual(check.reason, 'Squad still needs 1 Wicketkeeper, 2 Bowler but would have only 2 slot(s) left');
+});
+
+test('a bid may not eat into the money needed to fill the rest of the squad', async () => {
+  // ₹1 Cr purse, two slots: the cheapest other player costs ₹30L, so ₹70L is the most it can bid
+  const auction = await buildAuction({ budget: 10000000, squadSize: 2 });
+  assert.deepStrictEqual(validateBid(auction, 1, 7000000), { valid: true });
+  const check = validateBid(auction, 1, 8000000);
+  assert.strictEqual(check.valid, false);
+  assert.match(check.reason, /^Bid exceeds max bid of ₹70L/);
+});
+
+test('when the countdown cannot sell to the leader, the lot is marked unsold instead of stalling', async () => {
+  const auction = await buildAuction();
+  const player = getCurrentPlayer(auction);
+  placeBid(auction, 1, seenBid(auction));
+  auction.teams[0].remaining = auction.currentBid - 100000; // The leader can no longer pay
+  auction.bidTimer = { ...auction.bidTimer, paused: false }; // As if the countdown were running
+
+  await onBidTimerExpired(auction);
+  const [skipped] = auction.events.filter(event => event.type === 'skipped');
+  assert.strictEqual(skipped?.data.playerSNo, player.sNo);
+  assert.strictEqual(auction.teams[0].players.length, 0);
+  assert.notStrictEqual(getCurrentPlayer(auction).sNo, player.sNo);
+});
+
+test('when the countdown runs out on a lot with no bids, it is marked unsold', async () => {
+  const auction = await buildAuction();
+  const player = getCurrentPlayer(auction);
+  auction.bidTimer = { ...auction.bidTimer, paused: false };
+
+  await onBidTimerExpired(auction);
+  assert.deepStrictEqual(auction.events.filter(event => event.type === 'skipped').map(event => event.data.playerSNo), [player.sNo]);
+});
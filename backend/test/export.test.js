@@ -0,0 +1,25 @@
+// CSV exports: quoting, and user-entered text that a spreadsheet would run as a formula
+process.env.STORAGE_BACKEND = 'memory';
+process.env.BID_TIMER_SECONDS = '0';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { toCsv } = require('../server');
+
+test('toCsv quotes commas, quotes and line breaks', () => {
+  assert.strictEqual(toCsv([{ team: 'Lions, Kings', captain: 'The "Wall"', note: 'a\nb' }]), 'team,captain,note\r\n"Lions, Kings","The ""Wall""","a\nb"\r\n');
+});
+
+test('toCsv neutralises cells that would open as formulas', () => {
+  const rows = [
+    { team: '=HYPERLINK("http://x","click")' }, { team: '+cmd|\' /C calc\'!A0' }, { team: '-2+3' }, { team: '@SUM(A1)' },
+    { team: '\tTabbed' }, { team: '\rReturn' }, { team: 'Lions = Kings' },
+  ];
+  assert.deepStrictEqual(toCsv(rows).split('\r\n').slice(1, -1), [
+    '"\'=HYPERLINK(""http://x"",""click"")"', "'+cmd|' /C calc'!A0", "'-2+3", "'@SUM(A1)", "'\tTabbed", '"\'\rReturn"', 'Lions = Kings',
+  ]);
+});
+
+test('toCsv leaves numbers alone, negative ones included', () => {
+  assert.strictEqual(toCsv([{ negativeSynergy: -12, spent: 0, remaining: null }]), 'negativeSynergy,spent,remaining\r\n-12,0,\r\n');
+});
@@ -0,0 +1,90 @@
+// The draft pool: row checks before a pool can be committed, and the seeded lot order it is split into.
+process.env.STORAGE_BACKEND = 'memory';
+process.env.BID_TIMER_SECONDS = '0';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeRules, createAuctionState, loadDefaultDraftPool, toPoolPlayer, toPoolRow, validatePoolRows, buildLotOrder } = require('../server');
+
+const { rules } = normalizeRules({ teamCount: 4 });
+
+async function defaultPool(poolRules) {
+  const auction = createAuctionState('POOL', poolRules);
+  await loadDefaultDraftPool(auction);
+  return auction.draftPool.rows.map(row => toPoolPlayer(row, poolRules));
+}
+
+const row = (fields) => toPoolRow({ sNo: '1', name: 'Gail Gamble', role: 'Batsman', archetype: 'ao', baseScore: '51', basePrice: '30', ...fields });
+
+test('the bundled pool has no errors', async () => {
+  const auction = createAuctionState('POOL', rules);
+  await loadDefaultDraftPool(auction);
+  assert.deepStrictEqual(auction.draftPool.errors, []);
+  assert.ok(auction.draftPool.setPlan.length > 0);
+});
+
+test('bad rows are reported by row and field', () => {
+  const rows = [
+    row({}),
+    row({ name: ' ', archetype: 'XX' }),
+    row({ sNo: '2', baseScore: 'high', basePrice: '-5' }),
+    row({ sNo: '3', baseScore: '20', basePrice: '' }),
+    row({ sNo: '4', previousTeam: '5' }),
+  ];
+  const { errors } = validatePoolRows(rows, rules);
+  assert.deepStrictEqual(errors.map(({ row: index, field }) => [index, field]), [
+    [1, 'sNo'], [1, 'name'], [1, 'archetype'],
+    [2, 'baseScore'], [2, 'basePrice'],
+    [3, 'basePrice'],
+    [4, 'previousTeam'],
+  ]);
+  assert.strictEqual(errors[0].message, 'Duplicate S.No 1 (also row 1)');
+  assert.strictEqual(errors[2].message, 'Unknown archetype code "XX"');
+  assert.strictEqual(errors[6].message, 'Previous_Team "5" is not a team from 1 to 4');
+  assert.deepStrictEqual(validatePoolRows([], rules).errors.map(error => error.message), ['The pool has no players']);
+});
+
+test('prices off the tier and scores outside every tier are only warnings', () => {
+  const { errors, warnings } = validatePoolRows([row({ basePrice: '40' }), row({ sNo: '2', baseScore: '20' })], rules);
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(warnings.map(warning => warning.message), [
+    'Base_Price ₹40L does not match the Budget tier price of ₹30L',
+    'Base_Score 20 is outside every tier',
+  ]);
+});
+
+test('a blank price is taken from the tier', () => {
+  assert.deepStrictEqual(validatePoolRows([row({ basePrice: '' })], rules), { errors: [], warnings: [] });
+  assert.strictEqual(toPoolPlayer(row({ basePrice: '' }), rules).basePrice, 3000000);
+});
+
+test('the same seed always gives the same lot order', async () => {
+  const pool = await defaultPool(rules);
+  const order = (seed) => buildLotOrder(pool, rules, seed).map(set => set.players.map(p => p.sNo));
+  assert.deepStrictEqual(order('seed-a'), order('seed-a'));
+  assert.notDeepStrictEqual(order('seed-a'), order('seed-b'));
+  assert.strictEqual(order('seed-a').length, rules.setCount);
+  assert.strictEqual(order('seed-a').flat().length, pool.length);
+});
+
+test('named sets take their players in order, with everyone else in a final set', async () => {
+  const { rules: setRules, errors } = normalizeRules({
+    sets: [
+      { name: 'Marquee', tiers: ['Elite'], order: 'price' },
+      { name: 'Keepers', roles: ['Wicketkeeper'], players: ['5'], order: 'fixed' },
+      { name: 'Bowlers', roles: ['Bowler'], order: 'random' },
+    ],
+  });
+  assert.deepStrictEqual(errors, []);
+  const pool = await defaultPool(setRules);
+  const sets = buildLotOrder(pool, setRules, 'seed-a');
+
+  assert.deepStrictEqual(sets.map(set => set.name), ['Marquee', 'Keepers', 'Bowlers', 'Remaining']);
+  assert.ok(sets[0].players.every(p => p.tier === 'Elite'));
+  assert.deepStrictEqual(sets[0].players.map(p => p.baseScore), [...sets[0].players.map(p => p.baseScore)].sort((a, b) => b - a));
+  assert.strictEqual(sets[1].players[0].sNo, '5');
+  assert.ok(sets[1].players.slice(1).every(p => p.role === 'Wicketkeeper'));
+  assert.ok(sets[2].players.every(p => p.role === 'Bowler' && p.tier !== 'Elite'));
+  assert.strictEqual(sets.flatMap(set => set.players).length, pool.length);
+  assert.deepStrictEqual(buildLotOrder(pool, setRules, 'seed-a'), sets);
+});
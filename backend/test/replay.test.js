@@ -0,0 +1,72 @@
+// Replay determinism: an auction's state must be exactly what replaying its event log gives, since
+// that is how it is rebuilt after an undo and when the server loads it from storage.
+process.env.STORAGE_BACKEND = 'memory';
+process.env.BID_TIMER_SECONDS = '0';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  connectToDb, saveState, loadState, normalizeRules, createAuctionState, recordEvent, replayEvents, REPLAYED_FIELDS,
+  loadDefaultDraftPool, toPoolPlayer, startAuction, getCurrentPlayer, getNextBidAmount, commitBid, sellCurrentPlayer, resolveRtm,
+  findUndoTarget, undoToEvent, getRedoStack, redoUndo,
+} = require('../server');
+
+// The replayed fields plus every team, without the connection details that never go in the log
+function snapshot(auction) {
+  const state = {};
+  REPLAYED_FIELDS.forEach(field => { state[field] = auction[field]; });
+  state.teams = auction.teams.map(({ socketId, isConnected, ...team }) => team);
+  return JSON.parse(JSON.stringify(state));
+}
+
+function bid(auction, teamId) {
+  commitBid(auction, teamId, getNextBidAmount(auction, getCurrentPlayer(auction)), getCurrentPlayer(auction), `team-${teamId}`);
+}
+
+// Every player was with team 1, so any lot team 1 doesn't win goes to an RTM offer while it has a card
+async function buildAuction() {
+  const { rules, errors } = normalizeRules({ teamCount: 3, squadSize: 3, composition: [], setCount: 1, seed: 'replay', rtm: { cardsPerTeam: 1, windowSeconds: 5 } });
+  assert.deepStrictEqual(errors, []);
+  const auction = createAuctionState('REPLAY', rules);
+  recordEvent(auction, 'auctionCreated', 'system', { rules });
+  await loadDefaultDraftPool(auction);
+  startAuction(auction, auction.draftPool.rows.map(row => toPoolPlayer({ ...row, previousTeam: '1' }, rules)), 'auctioneer');
+  auction.draftPool = null;
+
+  bid(auction, 1);
+  bid(auction, 2);
+  bid(auction, 3);
+  await sellCurrentPlayer(auction, 'auctioneer'); // Team 3 wins; team 1 is offered the match
+  assert.strictEqual(auction.rtmOffer?.teamId, 1);
+  await resolveRtm(auction, true, 'team-1');
+
+  bid(auction, 2);
+  await sellCurrentPlayer(auction, 'auctioneer'); // No card left, so this sells straight away
+
+  undoToEvent(auction, findUndoTarget(auction), 'auctioneer');
+  undoToEvent(auction, findUndoTarget(auction), 'auctioneer'); // Back before the RTM offer
+  redoUndo(auction, getRedoStack(auction)[0], 'auctioneer');
+
+  bid(auction, 3);
+  bid(auction, 1);
+  await sellCurrentPlayer(auction, 'auctioneer');
+  return auction;
+}
+
+test('replaying the event log rebuilds the live state', async () => {
+  const auction = await buildAuction();
+  assert.strictEqual(auction.teams[0].rtmCards, 0);
+  assert.deepStrictEqual(auction.teams.map(team => team.players.length), [2, 0, 0]);
+
+  const replayed = replayEvents(auction.code, auction.rules, auction.events, auction.teamIdentities);
+  assert.deepStrictEqual(snapshot(replayed), snapshot(auction));
+});
+
+test('an auction loaded from the in-memory store matches the one that was saved', async () => {
+  await connectToDb();
+  const auction = await buildAuction();
+  await saveState(auction);
+
+  const loaded = await loadState(auction.code);
+  assert.deepStrictEqual(snapshot(loaded), snapshot(auction));
+});
@@ -0,0 +1,84 @@
+// Sealed-bid lots: who wins a tie and what the winner pays under each pricing rule.
+process.env.STORAGE_BACKEND = 'memory';
+process.env.BID_TIMER_SECONDS = '0';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  normalizeRules, createAuctionState, recordEvent, loadDefaultDraftPool, toPoolPlayer, startAuction, getCurrentPlayer, getNextBidAmount, commitBid, sellCurrentPlayer,
+  revealSealedBids,
+} = require('../server');
+
+// Team 1 buys S.No 1 (₹30L) in an open first set, then S.No 2 (base ₹2Cr) goes under sealed bids
+async function buildAuction(pricing) {
+  const { rules, errors } = normalizeRules({
+    teamCount: 3, squadSize: 3, composition: [],
+    sets: [{ name: 'Opener', players: ['1'], order: 'fixed' }, { name: 'Sealed', players: ['2'], order: 'fixed', format: 'sealed', pricing }],
+  });
+  assert.deepStrictEqual(errors, []);
+  const auction = createAuctionState('SEALED', rules);
+  recordEvent(auction, 'auctionCreated', 'system', { rules });
+  await loadDefaultDraftPool(auction);
+  startAuction(auction, auction.draftPool.rows.map(row => toPoolPlayer(row, rules)), 'auctioneer');
+  auction.draftPool = null;
+
+  commitBid(auction, 1, getNextBidAmount(auction, getCurrentPlayer(auction)), getCurrentPlayer(auction), 'team-1');
+  await sellCurrentPlayer(auction, 'auctioneer');
+  recordEvent(auction, 'nextSet', 'auctioneer', { setIndex: 1 });
+  assert.strictEqual(getCurrentPlayer(auction).sNo, '2');
+  return auction;
+}
+
+function sealedBid(auction, teamId, amount) {
+  recordEvent(auction, 'sealedBid', `team-${teamId}`, { teamId, amount, playerSNo: getCurrentPlayer(auction).sNo });
+}
+
+async function reveal(auction) {
+  await revealSealedBids(auction, 'auctioneer');
+  return auction.events.filter(event => event.type === 'sold').pop().data;
+}
+
+test('a tie goes to the team with more purse left, whoever bid first', async () => {
+  const auction = await buildAuction('first-price');
+  sealedBid(auction, 1, 25000000);
+  sealedBid(auction, 2, 25000000);
+  sealedBid(auction, 3, 22000000);
+
+  const sale = await reveal(auction);
+  assert.strictEqual(sale.teamId, 2);
+  assert.strictEqual(sale.amount, 25000000);
+  assert.deepStrictEqual(sale.sealed.bids.map(bid => bid.teamId), [2, 1, 3]);
+  assert.deepStrictEqual(auction.teams[1].players.map(p => p.sNo), ['2']);
+});
+
+test('under vickrey pricing the winner pays the runner-up bid', async () => {
+  const auction = await buildAuction('vickrey');
+  sealedBid(auction, 3, 30000000);
+  sealedBid(auction, 2, 24000000);
+
+  const sale = await reveal(auction);
+  assert.strictEqual(sale.teamId, 3);
+  assert.strictEqual(sale.amount, 24000000);
+});
+
+test('an unopposed vickrey winner pays the base price', async () => {
+  const auction = await buildAuction('vickrey');
+  sealedBid(auction, 3, 30000000);
+
+  const sale = await reveal(auction);
+  assert.strictEqual(sale.teamId, 3);
+  assert.strictEqual(sale.amount, 20000000);
+  assert.strictEqual(auction.teams[2].remaining, auction.rules.budget - 20000000);
+});
+
+test('a sealed lot with no bids goes unsold', async () => {
+  const auction = await buildAuction('first-price');
+  await revealSealedBids(auction, 'auctioneer');
+  const skipped = auction.events.filter(event => event.type === 'skipped');
+  assert.deepStrictEqual(skipped.map(event => event.data.playerSNo), ['2']);
+});
+
+test('sealed-bid sets cannot be combined with RTM', () => {
+  const { errors } = normalizeRules({ rtm: { cardsPerTeam: 1 }, sets: [{ name: 'Sealed', tiers: ['Elite'], format: 'sealed' }] });
+  assert.deepStrictEqual(errors, ['rtm cannot be combined with sealed-bid sets']);
+});
@@ -0,0 +1,46 @@
+// Seat PINs: lockouts are scoped to the client making the wrong guesses, and older auctions get PINs
+process.env.STORAGE_BACKEND = 'memory';
+process.env.BID_TIMER_SECONDS = '0';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSeatPins, attemptSeatPin, connectToDb, saveState, loadState, normalizeRules, createAuctionState, recordEvent } = require('../server');
+
+function createAuction(code) {
+  const { rules } = normalizeRules({ teamCount: 2, squadSize: 3, composition: [], setCount: 1 });
+  const auction = createAuctionState(code, rules);
+  recordEvent(auction, 'auctionCreated', 'system', { rules });
+  return auction;
+}
+
+test('a wrong-PIN flood locks out the guesser but not a client with the right PIN', () => {
+  const auction = createAuction('PINLCK');
+  auction.seatPins = createSeatPins(auction.rules);
+  const wrong = auction.seatPins.teams[1] === '000000' ? '111111' : '000000';
+
+  for (let i = 1; i < 5; i++) assert.deepStrictEqual(attemptSeatPin(auction, 1, wrong, '10.0.0.66'), { ok: false, attemptsLeft: 5 - i });
+  assert.strictEqual(attemptSeatPin(auction, 1, wrong, '10.0.0.66').justLocked, true);
+  assert.ok(attemptSeatPin(auction, 1, auction.seatPins.teams[1], '10.0.0.66').lockedMs > 0, 'the guesser stays locked out even with the right PIN');
+
+  assert.deepStrictEqual(attemptSeatPin(auction, 1, auction.seatPins.teams[1], '10.0.0.7'), { ok: true });
+  assert.deepStrictEqual(attemptSeatPin(auction, 'auctioneer', auction.seatPins.auctioneer, '10.0.0.66'), { ok: true }, 'other seats are unaffected');
+});
+
+test('malformed PINs are rejected without throwing', () => {
+  const auction = createAuction('PINBAD');
+  auction.seatPins = createSeatPins(auction.rules);
+  ['éééééé', { pin: 1 }, null, '12345', '1234567', ` ${auction.seatPins.auctioneer}x`].forEach(pin => {
+    assert.strictEqual(attemptSeatPin(auction, 'auctioneer', pin, `client-${String(pin)}`).ok, false);
+  });
+});
+
+test('an auction saved without seat PINs is issued them on load', async () => {
+  await connectToDb();
+  const auction = createAuction('PINOLD');
+  await saveState(auction);
+
+  const loaded = await loadState('PINOLD');
+  assert.match(loaded.seatPins.auctioneer, /^\d{6}$/);
+  assert.strictEqual(attemptSeatPin(loaded, 'auctioneer', '', 'anyone').ok, false);
+  assert.deepStrictEqual((await loadState('PINOLD')).seatPins, loaded.seatPins, 'the issued PINs are saved');
+});
@@ -0,0 +1,82 @@
+// Trades after the auction: what validateTrade refuses, and that an approved trade moves the players and
+// the cash when its tradeDecided event is applied.
+process.env.STORAGE_BACKEND = 'memory';
+process.env.BID_TIMER_SECONDS = '0';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  normalizeRules, createAuctionState, recordEvent, loadDefaultDraftPool, toPoolPlayer, startAuction, getCurrentPlayer, getNextBidAmount, commitBid, sellCurrentPlayer,
+  validateTrade,
+} = require('../server');
+
+// Team 1 buys S.No 1 and 2, team 2 buys 3 and 6, and the trade window opens. At most one AO per squad.
+async function buildAuction() {
+  const { rules, errors } = normalizeRules({
+    teamCount: 2, squadSize: 2, sets: [{ name: 'All', players: ['1', '2', '3', '6'], order: 'fixed' }],
+    composition: [{ label: 'Aggressive Opener', roles: [], archetypes: ['AO'], min: 0, max: 1 }],
+  });
+  assert.deepStrictEqual(errors, []);
+  const auction = createAuctionState('TRADES', rules);
+  recordEvent(auction, 'auctionCreated', 'system', { rules });
+  await loadDefaultDraftPool(auction);
+  const rows = auction.draftPool.rows.filter(row => ['1', '2', '3', '6'].includes(row.sNo));
+  startAuction(auction, rows.map(row => toPoolPlayer(row, rules)), 'auctioneer');
+  auction.draftPool = null;
+
+  for (const teamId of [1, 1, 2, 2]) {
+    commitBid(auction, teamId, getNextBidAmount(auction, getCurrentPlayer(auction)), getCurrentPlayer(auction), `team-${teamId}`);
+    await sellCurrentPlayer(auction, 'auctioneer');
+  }
+  assert.ok(auction.finalStandings);
+  recordEvent(auction, 'phase', 'auctioneer', { phase: 'trading' });
+  return auction;
+}
+
+const roster = (auction, teamId) => auction.teams[teamId - 1].players.map(p => p.sNo).sort();
+
+test('trades that break the rules are refused', async () => {
+  const auction = await buildAuction();
+  const trade = { from: 1, to: 2, give: ['2'], receive: ['6'], cash: 0, cashFrom: null };
+  const reason = (changes) => validateTrade(auction, { ...trade, ...changes }).reason;
+
+  assert.deepStrictEqual(validateTrade(auction, trade), { valid: true });
+  assert.strictEqual(reason({ to: 1 }), 'Pick another team to trade with');
+  assert.strictEqual(reason({ give: [], receive: [] }), 'A trade must move at least one player');
+  assert.strictEqual(reason({ give: ['3'] }), 'Earl EBITDA is not on the expected team');
+  assert.strictEqual(reason({ cash: -1 }), 'Cash must be zero or a positive amount');
+  assert.strictEqual(reason({ cash: 100000, cashFrom: 3 }), 'Cash must be paid by one of the two teams');
+  assert.match(reason({ cash: auction.teams[0].remaining + 100000, cashFrom: 1 }), /^Team 1 has only ₹/);
+  assert.strictEqual(reason({ receive: [] }), 'Team 1 would be left with 1 of 2 players');
+  assert.strictEqual(reason({ give: [], receive: ['6'] }), 'Team 1 would have more than 2 players');
+  assert.strictEqual(reason({ receive: ['3'] }), 'Team 1: Squad can have at most 1 Aggressive Opener player(s)');
+});
+
+test('an approved trade swaps the players and pays the cash', async () => {
+  const auction = await buildAuction();
+  const purses = auction.teams.map(team => team.remaining);
+  const trade = { from: 1, to: 2, give: ['2'], receive: ['6'], cash: 500000, cashFrom: 1 };
+  assert.deepStrictEqual(validateTrade(auction, trade), { valid: true });
+
+  recordEvent(auction, 'tradeProposed', 'team-1', { tradeId: 1, ...trade });
+  recordEvent(auction, 'tradeResponded', 'team-2', { tradeId: 1, accepted: true });
+  assert.deepStrictEqual(roster(auction, 1), ['1', '2']);
+  recordEvent(auction, 'tradeDecided', 'auctioneer', { tradeId: 1, approved: true });
+
+  assert.strictEqual(auction.trades[0].status, 'approved');
+  assert.deepStrictEqual(roster(auction, 1), ['1', '6']);
+  assert.deepStrictEqual(roster(auction, 2), ['2', '3']);
+  assert.deepStrictEqual(auction.teams.map(team => team.remaining), [purses[0] - 500000, purses[1] + 500000]);
+  assert.strictEqual(auction.allPlayers.find(p => p.sNo === '6').soldToTeam, 1);
+});
+
+test('a declined trade moves nothing', async () => {
+  const auction = await buildAuction();
+  recordEvent(auction, 'tradeProposed', 'team-1', { tradeId: 1, from: 1, to: 2, give: ['2'], receive: ['6'], cash: 0, cashFrom: null });
+  recordEvent(auction, 'tradeResponded', 'team-2', { tradeId: 1, accepted: true });
+  recordEvent(auction, 'tradeDecided', 'auctioneer', { tradeId: 1, approved: false });
+
+  assert.strictEqual(auction.trades[0].status, 'declined');
+  assert.deepStrictEqual(roster(auction, 1), ['1', '2']);
+  assert.deepStrictEqual(roster(auction, 2), ['3', '6']);
+});
@@ -38,37 +38,16 @@ function Tabs({ tabs }) {
 
 // =================================================================
 // Synergy Calculation Helpers (matching server logic)
+// The synergy table comes from the auction's rules in the server's update payload.
 // =================================================================
-const synergyRules = {
-  positive: {
-    'AO-AN': 20,
-    'BA-FI': 15,
-    'AN-WK': 15,
-    'BA-BO': 20,
-    'PA-SP': 25,
-    'PA-PA': 10,
-    'CS-PA': 20,
-    'CS-SP': 15,
-    'BA-CS': 10,
-    'BO-CS': 10,
-  },
-  negative: {
-    'AO-AO': -15,
-    'FI-FI': -10,
-    'SP-SP': -5,
-    'BA-BA': -5,
-    'WK-WK': -10,
-    'CS-CS': -10,
-    'BO-BO': -5,
-  },
-};
-
 function sanitizeString(str) {
   return str ? str.toString().trim() : '';
 }
 
-function calculateSynergy(roster) {
+function calculateSynergy(roster, synergyRules) {
   if (!Array.isArray(roster) || roster.length === 0) return 0;
+  const positiveRules = synergyRules?.positive || {};
+  const negativeRules = synergyRules?.negative || {};
   
   let baseTotal = 0;
   let positive = 0;
@@ -98,14 +77,33 @@ function calculateSynergy(roster) {
       if (arch1 > arch2) [arch1, arch2] = [arch2, arch1];
       const key = `${arch1}-${arch2}`;
       
-      positive += synergyRules.positive[key] || 0;
-      negative += synergyRules.negative[key] || 0;
+      positive += positiveRules[key] || 0;
+      negative += negativeRules[key] || 0;
     }
   }
   
   return baseTotal + positive + negative;
 }
 
+// Projected effect of adding `player` to `roster`: the score delta plus each roster pair it would trigger
+function previewPurchase(roster, player, synergyRules) {
+  const current = calculateSynergy(roster, synergyRules);
+  const projected = calculateSynergy([...roster, player], synergyRules);
+  const pairs = [];
+  for (const other of roster) {
+    let arch1 = sanitizeString(player?.archetype);
+    let arch2 = sanitizeString(other?.archetype);
+    if (!arch1 || !arch2) continue;
+    if (arch1 > arch2) [arch1, arch2] = [arch2, arch1];
+    const key = `${arch1}-${arch2}`;
+    const points = (synergyRules?.positive?.[key] || 0) + (synergyRules?.negative?.[key] || 0);
+    if (points) pairs.push({ key, points, with: other.name });
+  }
+  return { current, projected, delta: projected - current, pairs };
+}
+
+const fmtDelta = (n) => (n > 0 ? `+${Math.round(n)}` : `${Math.round(n)}`);
+
 // =================================================================
 // Original App Components (updated for compatibility)
 // =================================================================
@@ -148,35 +146,68 @@ class ErrorBoundary extends React.Component {
 }
 
 // Routing (simple, no dependency)
+// Every seat lives under its auction's room code: /a/:code/auctioneer, /a/:code/team/:id, /a/:code/observer
 function getRoute() {
   const p = window.location.pathname;
-  if (p.startsWith('/auctioneer')) return { name: 'auctioneer' };
-  if (p.startsWith('/team/')) {
-    const id = parseInt(p.split('/team/')[1], 10);
-    return { name: 'team', teamId: Number.isFinite(id) && id >= 1 && id <= 8 ? id : 1 };
+  const replay = p.match(/^\/replay\/([A-Za-z0-9]+)\/?$/);
+  if (replay) return { name: 'replay', code: replay[1].toUpperCase() };
+  const match = p.match(/^\/a\/([A-Za-z0-9]+)(\/.*)?$/);
+  if (!match) return { name: 'landing', code: null };
+  const code = match[1].toUpperCase();
+  const rest = match[2] || '';
+  if (rest.startsWith('/auctioneer')) return { name: 'auctioneer', code };
+  if (rest.startsWith('/team/')) {
+    const id = parseInt(rest.split('/team/')[1], 10);
+    return { name: 'team', code, teamId: Number.isFinite(id) && id >= 1 ? id : 1 };
   }
-  if (p.startsWith('/observer')) return { name: 'observer' };
-  return { name: 'landing' };
+  if (rest.startsWith('/observer')) return { name: 'observer', code };
+  if (rest.startsWith('/results')) return { name: 'results', code };
+  return { name: 'landing', code };
+}
+
+function roomPath(code, seat = '') {
+  return seat ? `/a/${code}/${seat}` : `/a/${code}`;
+}
+
+function replayPath(code) {
+  return `/replay/${code}`;
+}
+
+function exportUrl(code, report, format) {
+  return `${BACKEND_URL}/api/auctions/${code}/export/${report}.${format}`;
+}
+
+function analyticsUrl(code) {
+  return `${BACKEND_URL}/api/auctions/${code}/analytics`;
+}
+
+function teamLogoUrl(code, team) {
+  return `${BACKEND_URL}/api/auctions/${code}/teams/${team.id}/logo?v=${team.logoVersion}`;
 }
 
-// Mirror the server's increment rule
-function computeNextIncrement(currentBidOrBase) {
+// Mirror the server's increment rule using the auction's increment slabs
+function computeNextIncrement(currentBidOrBase, increments) {
+  if (!Array.isArray(increments) || increments.length === 0) return 0;
   const bid = currentBidOrBase || 0;
-  if (bid < 5000000) return 500000;    // +50L
-  if (bid < 10000000) return 1000000;  // +1Cr
-  if (bid < 20000000) return 2000000;  // +2Cr
-  return 5000000;                      // +5Cr
+  const slab = increments.find(s => s.below === null || bid < s.below);
+  return slab ? slab.step : increments[increments.length - 1].step;
 }
 
 // Validation helper matching server logic
-function isValidTeamId(teamId) {
-  return Number.isInteger(teamId) && teamId >= 1 && teamId <= 8;
+function isValidTeamId(teamId, teamCount) {
+  return Number.isInteger(teamId) && teamId >= 1 && teamId <= teamCount;
 }
 
+const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || 'http://localhost:5000';
+
 // Format helpers
 const fmtL = (n) => `₹${(n / 100000)}L`;
 const fmtCr = (n) => `₹${(n / 10000000)}Cr`;
 
+// The rules' base price tier for a score (see `tiers` in the server rules), or null
+const getTier = (score, tiers) => (tiers || []).find(tier => score >= tier.minScore && score <= tier.maxScore) || null;
+const TierBadge = ({ tier }) => (tier ? <span className={`badge tier tier-${tier.toLowerCase()}`}>{tier}</span> : <span className="text-gray-400">—</span>);
+
 // Custom hook for notifications
 function useNotifications() {
   const [notifications, setNotifications] = useState([]);
@@ -204,10 +235,330 @@ function useNotifications() {
   return [notifications, addNotification];
 }
 
+// Ticks down locally between server updates. The deadline is stamped when an update arrives,
+// so the displayed time is driven by the server's remaining time, not this device's clock.
+function useCountdown(timer, deadline) {
+  const [now, setNow] = useState(() => Date.now());
+  const running = Boolean(timer && timer.enabled && !timer.paused && deadline);
+
+  useEffect(() => {
+    if (!running) return undefined;
+    const intervalId = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(intervalId);
+  }, [running, deadline]);
+
+  if (!timer || !timer.enabled) return null;
+  if (!running) return timer.remaining;
+  return Math.max(0, deadline - now);
+}
+
+// What the player on the block is worth to each team's score
+function usePlayerValues(currentPlayer, teams, rules) {
+  return useMemo(() => {
+    if (!currentPlayer) return new Map();
+    return new Map(teams.map(team => [
+      team.id, previewPurchase(team.players || [], currentPlayer, rules?.synergy)
+    ]));
+  }, [currentPlayer, teams, rules]);
+}
+
+// Countdown banner shared by the auctioneer, team and observer views
+function BidTimer({ timer, deadline, hasBid }) {
+  const remaining = useCountdown(timer, deadline);
+  if (remaining === null) return null;
+
+  const seconds = Math.ceil(remaining / 1000);
+  const fraction = timer.duration > 0 ? remaining / timer.duration : 0;
+  let label = 'Bidding open';
+  if (timer.paused) label = 'Clock paused';
+  else if (fraction <= 1 / 3) label = hasBid ? 'Going twice…' : 'Last call…';
+  else if (fraction <= 2 / 3) label = hasBid ? 'Going once…' : 'Any bids?';
+
+  return (
+    <div className={`bid-timer ${timer.paused ? 'paused' : ''} ${!timer.paused && fraction <= 1 / 3 ? 'urgent' : ''}`}>
+      <div className="flex justify-between items-center">
+        <span className="bid-timer__label">{label}</span>
+        <span className="bid-timer__seconds">{seconds}s</span>
+      </div>
+      <div className="bid-timer__track">
+        <div className="bid-timer__fill" style={{ width: `${Math.min(100, Math.max(0, fraction * 100))}%` }} />
+      </div>
+    </div>
+  );
+}
+
+// A sale held open while the player's previous team decides whether to use an RTM card
+function RtmPanel({ offer, deadline, duration, teams, playerName, myTeamId = null, canRespond = false, disabled = false, onRespond = null }) {
+  const remaining = useCountdown({ enabled: offer.remaining !== null, paused: false, remaining: offer.remaining }, deadline);
+  const teamName = (id) => (id === myTeamId ? 'You' : teams[id - 1]?.name || `Team ${id}`);
+  const cardsLeft = teams[offer.teamId - 1]?.rtmCards ?? 0;
+  return (
+    <div className="rtm-panel">
+      <div className="flex justify-between items-center">
+        <span className="rtm-panel__title">🃏 Right to Match</span>
+        {remaining !== null && <span className="bid-timer__seconds">{Math.ceil(remaining / 1000)}s</span>}
+      </div>
+      <p className="text-sm mt-1">
+        {teamName(offer.teamId)} can match {offer.winnerTeamId === myTeamId ? 'your' : `${teamName(offer.winnerTeamId)}'s`} winning
+        bid of <strong>{fmtL(offer.amount)}</strong> for {playerName || 'this player'} ({cardsLeft} RTM card{cardsLeft === 1 ? '' : 's'} left).
+      </p>
+      {remaining !== null && duration > 0 && (
+        <div className="bid-timer__track">
+          <div className="bid-timer__fill" style={{ width: `${Math.min(100, Math.max(0, (remaining / duration) * 100))}%` }} />
+        </div>
+      )}
+      {canRespond ? (
+        <div className="flex gap-2 mt-3">
+          <button className="btn-primary" disabled={disabled} onClick={() => onRespond(true)}>Match {fmtL(offer.amount)}</button>
+          <button className="btn-secondary" disabled={disabled} onClick={() => onRespond(false)}>Let it go</button>
+        </div>
+      ) : (
+        <p className="text-xs text-gray-500 mt-2">Waiting for {teamName(offer.teamId)} to decide…</p>
+      )}
+    </div>
+  );
+}
+
+// Every bid on the lot on the block, newest first, so anyone joining mid-lot can see who is bidding
+function BidFeed({ bids, teams, myTeamId = null }) {
+  if (!bids || bids.length === 0) return null;
+  const teamName = (id) => teams[id - 1]?.name || `Team ${id}`;
+  const leadingSeq = [...bids].reverse().find(bid => !bid.reset)?.seq;
+  return (
+    <div className="bid-feed">
+      <div className="bid-feed__title">Bids this lot ({bids.filter(bid => !bid.reset).length})</div>
+      <ul>
+        {[...bids].reverse().map(bid => bid.reset ? (
+          <li key={bid.seq} className="bid-feed__entry reset">
+            <span className="bid-feed__team">Bidding reset by the auctioneer</span>
+            <span className="bid-feed__time">{new Date(bid.at).toLocaleTimeString()}</span>
+          </li>
+        ) : (
+          <li key={bid.seq} className={`bid-feed__entry ${bid.seq === leadingSeq ? 'leading' : ''} ${bid.teamId === myTeamId ? 'mine' : ''}`}>
+            <span className="bid-feed__team">{bid.teamId === myTeamId ? 'YOU' : teamName(bid.teamId)}</span>
+            <span className="bid-feed__amount">{fmtL(bid.amount)}</span>
+            <span className="bid-feed__time">{new Date(bid.at).toLocaleTimeString()}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// Final standings as sent with auctionComplete; disqualified teams are already ranked last
+function FinalResults({ standings, squadSize, highlightTeamId, replayHref, resultsHref }) {
+  const winner = standings.find(entry => !entry.disqualified);
+  return (
+    <div className="card bg-white mb-6 overflow-hidden">
+      <div className="header-gradient text-white p-4">
+        <h2 className="text-xl font-bold">🏆 Final Results</h2>
+        <p className="text-sm">
+          {winner
+            ? `${winner.name} wins with ${Math.round(winner.score.total)} points`
+            : 'No team finished with a complete squad'}
+        </p>
+        <div className="flex gap-4">
+          {replayHref && (
+            <a href={replayHref} className="text-sm text-white underline">▶ Watch the replay</a>
+          )}
+          {resultsHref && (
+            <a href={resultsHref} className="text-sm text-white underline">🖨 Printable results</a>
+          )}
+        </div>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 final-results">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">#</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Team</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Players</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Base</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">+ Synergy</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">− Synergy</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Total</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Budget Left</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {standings.map(entry => (
+              <tr
+                key={entry.id}
+                className={`${entry.disqualified ? 'disqualified' : ''} ${entry.id === highlightTeamId ? 'highlight' : ''}`}
+              >
+                <td className="px-4 py-3 text-sm font-semibold">{entry.disqualified ? '—' : entry.rank}</td>
+                <td className="px-4 py-3 text-sm font-medium">
+                  {entry.name}
+                  {entry.disqualified && (
+                    <div><span className="badge dq" title={entry.disqualificationReason}>Disqualified</span></div>
+                  )}
+                </td>
+                <td className="px-4 py-3 text-sm">{entry.playerCount}/{squadSize}</td>
+                <td className="px-4 py-3 text-sm">{entry.score.baseTotal}</td>
+                <td className="px-4 py-3 text-sm text-green-600">+{entry.score.positive}</td>
+                <td className="px-4 py-3 text-sm text-red-600">{entry.score.negative}</td>
+                <td className="px-4 py-3 text-sm font-bold text-pink-600">{Math.round(entry.score.total)}</td>
+                <td className="px-4 py-3 text-sm">{fmtCr(entry.remaining)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// Shown between sets: how the set that just closed went and the leaderboard so far
+function SetSummary({ summary, highlightTeamId = null, onStartNext = null, disabled = false }) {
+  const { bestBuy, mostExpensive, nextSet } = summary;
+  return (
+    <div className="card bg-white mb-6 overflow-hidden set-summary">
+      <div className="header-gradient text-white p-4">
+        <h2 className="text-xl font-bold">Set {summary.setIndex + 1} of {summary.setCount} complete: {summary.name}</h2>
+        <p className="text-sm">
+          {summary.sold} of {summary.lots} sold
+          {nextSet ? ` · Up next: ${nextSet.name} (${nextSet.lots} players)` : ''}
+        </p>
+      </div>
+      <div className="p-4 set-summary__grid">
+        <div>
+          <h3 className="font-bold text-gray-800 mb-2">This Set</h3>
+          <div className="set-summary__highlights">
+            <div className="set-summary__stat">
+              <div className="text-xs text-gray-500">Most expensive buy</div>
+              {mostExpensive
+                ? <div><span className="font-semibold">{mostExpensive.name}</span> · {fmtL(mostExpensive.price)} · {mostExpensive.team}</div>
+                : <div className="text-gray-500">No sales</div>}
+            </div>
+            <div className="set-summary__stat">
+              <div className="text-xs text-gray-500">Best buy (score per ₹1 Cr)</div>
+              {bestBuy
+                ? <div><span className="font-semibold">{bestBuy.name}</span> · {bestBuy.pointsPerCr} pts/Cr · {bestBuy.team}</div>
+                : <div className="text-gray-500">No sales</div>}
+            </div>
+          </div>
+          <table className="text-sm">
+            <thead>
+              <tr><th>Team</th><th>Bought</th><th>Spent</th></tr>
+            </thead>
+            <tbody>
+              {summary.teams.map(team => (
+                <tr key={team.id} className={team.id === highlightTeamId ? 'highlight' : ''}>
+                  <td className="font-medium">{team.name}</td>
+                  <td>{team.players.length > 0 ? team.players.map(p => p.name).join(', ') : <span className="text-gray-400">—</span>}</td>
+                  <td>{fmtL(team.spent)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div>
+          <h3 className="font-bold text-gray-800 mb-2">Leaderboard</h3>
+          <table className="text-sm">
+            <thead>
+              <tr><th>#</th><th>Team</th><th>Players</th><th>Score</th><th>Left</th></tr>
+            </thead>
+            <tbody>
+              {summary.leaderboard.map(entry => (
+                <tr key={entry.id} className={entry.id === highlightTeamId ? 'highlight' : ''}>
+                  <td className="font-semibold">{entry.rank}</td>
+                  <td>{entry.name}</td>
+                  <td>{entry.playerCount}</td>
+                  <td className="font-bold text-pink-600">{Math.round(entry.score)}</td>
+                  <td>{fmtCr(entry.remaining)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+      {nextSet && (
+        <div className="set-summary__actions">
+          {onStartNext ? (
+            <button className="btn-primary" disabled={disabled} onClick={onStartNext}>
+              ▶ Start Set {nextSet.index + 1}: {nextSet.name}
+            </button>
+          ) : (
+            <p className="text-gray-500 text-sm">Waiting for the auctioneer to open {nextSet.name}…</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Pair-by-pair synergy for one roster, from the server's synergyBreakdown
+function SynergyMatrix({ roster, breakdown }) {
+  const pairPoints = useMemo(() => {
+    const points = new Map();
+    breakdown.pairs.forEach(pair => {
+      const [a, b] = pair.players;
+      points.set(`${a}|${b}`, (points.get(`${a}|${b}`) || 0) + pair.points);
+      points.set(`${b}|${a}`, (points.get(`${b}|${a}`) || 0) + pair.points);
+    });
+    return points;
+  }, [breakdown]);
+  const nameOf = (sNo) => roster.find(p => p.sNo === sNo)?.name || sNo;
+
+  return (
+    <div className="synergy-matrix mt-6">
+      <h3 className="font-bold text-lg text-gray-800 mb-2">Synergy Breakdown</h3>
+      <div className="text-sm text-gray-600 mb-3">
+        Base {breakdown.baseTotal}
+        <span className="text-green-600"> +{breakdown.positive}</span>
+        <span className="text-red-600"> {breakdown.negative < 0 ? '−' : '+'}{Math.abs(breakdown.negative)}</span>
+        {' '}= <span className="font-semibold text-orange-600">{breakdown.total}</span>
+      </div>
+      <div className="overflow-x-auto mb-4">
+        <table className="synergy-matrix__grid">
+          <thead>
+            <tr>
+              <th></th>
+              {roster.map(p => (
+                <th key={p.sNo} title={p.name}><span className="badge pink">{p.archetype}</span></th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {roster.map(row => (
+              <tr key={row.sNo}>
+                <th className="text-left text-sm">{row.name} <span className="text-xs text-gray-500">{row.archetype}</span></th>
+                {roster.map(col => {
+                  if (row.sNo === col.sNo) return <td key={col.sNo} className="self">—</td>;
+                  const points = pairPoints.get(`${row.sNo}|${col.sNo}`) || 0;
+                  return (
+                    <td key={col.sNo} className={points > 0 ? 'positive' : points < 0 ? 'negative' : ''}>
+                      {points > 0 ? `+${points}` : points || ''}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {breakdown.pairs.length === 0 ? (
+        <p className="text-sm text-gray-500">No archetype pairs in this squad trigger a synergy rule yet.</p>
+      ) : (
+        <ul className="synergy-matrix__pairs">
+          {breakdown.pairs.map((pair, index) => (
+            <li key={`${pair.key}-${pair.players.join('-')}-${index}`} className={pair.type}>
+              <span className="badge pink">{pair.key}</span>
+              <span className="text-sm">{nameOf(pair.players[0])} × {nameOf(pair.players[1])}</span>
+              <span className="font-semibold">{pair.points > 0 ? `+${pair.points}` : pair.points}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
 // All Players Table Component
 function AllPlayersTable({ allPlayers, currentPlayer, teams }) {
   const [sortConfig, setSortConfig] = useState({ key: 'sNo', direction: 'asc' });
   const [filterRole, setFilterRole] = useState('all');
+  const [filterTier, setFilterTier] = useState('all');
   const [searchTerm, setSearchTerm] = useState('');
 
   const handleSort = (key) => {
@@ -220,10 +571,11 @@ function AllPlayersTable({ allPlayers, currentPlayer, teams }) {
   const filteredAndSortedPlayers = useMemo(() => {
     let filtered = allPlayers.filter(player => {
       const matchesRole = filterRole === 'all' || player.role === filterRole;
+      const matchesTier = filterTier === 'all' || (player.tier || 'none') === filterTier;
       const matchesSearch = searchTerm === '' || 
         player.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
         player.archetype.toLowerCase().includes(searchTerm.toLowerCase());
-      return matchesRole && matchesSearch;
+      return matchesRole && matchesTier && matchesSearch;
     });
 
     return filtered.sort((a, b) => {
@@ -238,9 +590,12 @@ function AllPlayersTable({ allPlayers, currentPlayer, teams }) {
       
       return sortConfig.direction === 'asc' ? aVal - bVal : bVal - aVal;
     });
-  }, [allPlayers, sortConfig, filterRole, searchTerm]);
+  }, [allPlayers, sortConfig, filterRole, filterTier, searchTerm]);
 
   const uniqueRoles = [...new Set(allPlayers.map(p => p.role))].sort();
+  // Highest tier first
+  const uniqueTiers = [...new Set([...allPlayers].sort((a, b) => b.baseScore - a.baseScore).map(p => p.tier).filter(Boolean))];
+  const hasUntiered = allPlayers.some(p => !p.tier);
 
   const getRowClassName = (player) => {
     if (currentPlayer && player.sNo === currentPlayer.sNo) {
@@ -260,7 +615,7 @@ function AllPlayersTable({ allPlayers, currentPlayer, teams }) {
       const team = teams.find(t => t.id === player.soldToTeam);
       return (
         <div>
-          <span className="badge bg-green-500 ">Sold</span>
+          <span className="badge bg-green-500 ">{player.retained ? 'Retained' : 'Sold'}</span>
           {team && <div className="text-xs text-green-700 mt-1">{team.name}</div>}
           <div className="text-xs text-green-600">{fmtL(player.soldPrice)}</div>
         </div>
@@ -286,6 +641,21 @@ function AllPlayersTable({ allPlayers, currentPlayer, teams }) {
             ))}
           </select>
         </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Filter by Tier</label>
+          <select
+            value={filterTier}
+            onChange={(e) => setFilterTier(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="all">All Tiers</option>
+            {uniqueTiers.map(tier => (
+              <option key={tier} value={tier}>{tier}</option>
+            ))}
+            {hasUntiered && <option value="none">No tier</option>}
+          </select>
+        </div>
         
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-1">Search</label>
@@ -338,6 +708,9 @@ function AllPlayersTable({ allPlayers, currentPlayer, teams }) {
               >
                 Base Score
               </th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Tier
+              </th>
               <th 
                 className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
                 onClick={() => handleSort('basePrice')}
@@ -359,6 +732,7 @@ function AllPlayersTable({ allPlayers, currentPlayer, teams }) {
                   <span className="badge pink">{player.archetype}</span>
                 </td>
                 <td className="px-4 py-3 text-sm font-semibold text-pink-600">{player.baseScore}</td>
+                <td className="px-4 py-3 text-sm"><TierBadge tier={player.tier} /></td>
                 <td className="px-4 py-3 text-sm text-gray-600">{fmtL(player.basePrice)}</td>
                 <td className="px-4 py-3 text-sm">{getStatusDisplay(player)}</td>
               </tr>
@@ -370,94 +744,1364 @@ function AllPlayersTable({ allPlayers, currentPlayer, teams }) {
   );
 }
 
-function App() {
+// Observer layout: progress header, final standings, team grid and the lot on the block.
+// Shared by the live observer view and the replay viewer, which passes its controls in as children.
+function ObserverBoard({ state, title, subtitle, showPresence = false, replayHref = null, resultsHref = null, analyticsCode = null, children }) {
+  const squadSize = state.rules?.squadSize || 0;
+  const playerValues = usePlayerValues(state.currentPlayer, state.teams, state.rules);
+  const soldCount = state.allPlayers.filter(p => p.status === 'sold').length;
+  const progress = state.totalPlayers > 0 
+    ? Math.round((state.currentPlayerIndex / state.totalPlayers) * 100)
+    : '0';
+  const [dismissedRevealSeq, setDismissedRevealSeq] = useState(null);
+
   return (
-    <ErrorBoundary>
-      <AppContent />
-    </ErrorBoundary>
+    <>
+      <header className="header-gradient text-white p-4 rounded-2xl mb-4">
+        <h1 className="text-2xl font-bold text-center">{title}</h1>
+        <div className="text-center text-sm">{subtitle}</div>
+        <div className="text-center mt-2">
+          Progress: {progress}% | {state.isReAuction
+            ? 'Re-Auction Mode'
+            : state.currentSet ? `${state.currentSet.name} (set ${state.currentSet.index + 1} of ${state.currentSet.setCount})` : 'Main Auction'}
+        </div>
+        <div className="mt-2 progress-bar" style={{ backgroundColor: 'rgba(255, 255, 255, 0.2)' }}>
+          <div 
+            className="bg-white h-2 transition-all rounded-full" 
+            style={{ width: `${Math.min(100, Math.max(0, Number(progress)))}%` }}
+          ></div>
+        </div>
+      </header>
+      {children}
+      {state.finalStandings && (
+        <FinalResults standings={state.finalStandings} squadSize={squadSize} replayHref={replayHref} resultsHref={resultsHref} />
+      )}
+      {(state.phase === 'trading' || state.trades?.length > 0) && (
+        <div className="card bg-white p-4 mb-6">
+          <h3 className="font-bold text-lg text-gray-800 mb-2">
+            🔁 Trades {state.phase === 'trading' && <span className="badge orange ml-2">Window open</span>}
+          </h3>
+          <TradeList trades={state.trades} />
+        </div>
+      )}
+      {state.setBreak && <SetSummary summary={state.setBreak} />}
+      <div className="grid grid-cols-2 gap-4 mb-6">
+        {state.teams.map(team => (
+          <div key={team.id} className="card bg-white p-4 transition-all hover:transform hover:-translate-y-1 team-accent" style={{ borderTopColor: team.color }}>
+            <div className="flex justify-between items-center mb-4">
+              <div className="flex items-center gap-3">
+                <TeamBadge team={team} code={state.code} />
+                <div>
+                  <h3 className="font-bold text-xl">{team.name}</h3>
+                  {team.captain && <div className="text-xs text-gray-500">Captain {team.captain}</div>}
+                </div>
+              </div>
+              {showPresence && (
+                <span className={`text-sm font-semibold ${
+                  state.connectedTeams.includes(team.id) ? 'text-green-600' : 'text-red-600'
+                }`}>
+                  {state.connectedTeams.includes(team.id) ? '● Online' : '● Offline'}
+                </span>
+              )}
+            </div>
+            <div className="observer-stats-grid">
+              <div className="observer-stat-item">
+                <div className="stat-label">Budget Left</div>
+                <div className="stat-value text-green-600">{fmtCr(team.remaining)}</div>
+              </div>
+              <div className="observer-stat-item">
+                <div className="stat-label">Players</div>
+                <div className="stat-value text-pink-600">{team.players.length}/{squadSize}</div>
+              </div>
+              <div className="observer-stat-item">
+                <div className="stat-label">Money Spent</div>
+                <div className="stat-value text-red-600">{fmtCr(team.spent)}</div>
+              </div>
+              <div className="observer-stat-item">
+                <div className="stat-label">Synergy</div>
+                <div className="stat-value text-orange-600">
+                  {Number.isFinite(team.synergy) ? Math.round(team.synergy) : '0'}
+                </div>
+              </div>
+            </div>
+
+            {playerValues.has(team.id) && (
+              <div className="player-value mt-3">
+                <span className="text-sm text-gray-600">Value of {state.currentPlayer.name}: </span>
+                <span className="font-semibold text-orange-600">{fmtDelta(playerValues.get(team.id).delta)}</span>
+                {playerValues.get(team.id).pairs.length > 0 && (
+                  <div className="text-xs text-gray-500 mt-1">
+                    {playerValues.get(team.id).pairs.map(p => `${p.key} ${fmtDelta(p.points)}`).join(' · ')}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {state.currentBidTeam === team.id && (
+              <div className="mt-4 text-center badge orange">
+                🏆 Highest Bidder
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+      {state.sealedReveal && state.sealedReveal.seq !== dismissedRevealSeq && (
+        <SealedReveal reveal={state.sealedReveal} teams={state.teams} onDismiss={() => setDismissedRevealSeq(state.sealedReveal.seq)} />
+      )}
+      {state.currentPlayer && (
+        <div className="card bg-white p-6 mb-6">
+          <div className="flex items-start gap-4 mb-4">
+            <img
+              src={`/photos/${state.currentPlayer.sNo}.png`}
+              alt={state.currentPlayer.name}
+              className="w-24 h-24 object-cover rounded-2xl flex-shrink-0"
+              onError={(e) => {
+                e.target.src = '/default.jpg';
+                e.target.onerror = null;
+              }}
+            />
+            <div className="flex-1 min-w-0">
+              <h2 className="text-2xl font-bold mb-2 truncate">{state.currentPlayer.name}</h2>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm text-gray-700">
+                <div>Role: <span className="font-semibold">{state.currentPlayer.role}</span></div>
+                <div>Archetype: <span className="font-semibold">{state.currentPlayer.archetype}</span></div>
+                <div>Score: <span className="font-semibold">{state.currentPlayer.baseScore}</span></div>
+                <div>Base Price: <span className="font-semibold">{fmtL(state.currentPlayer.basePrice)}</span></div>
+              </div>
+            </div>
+          </div>
+          <div className="bg-gray-50 p-4 rounded-2xl border border-gray-200">
+            {state.currentBid === 0 ? (
+              <div className="text-lg text-gray-700">
+                Starting at base price: <span className="font-bold text-orange-600">{fmtL(state.currentPlayer.basePrice)}</span>
+              </div>
+            ) : (
+              <div className="text-lg text-gray-700">
+                Current bid: <span className="font-bold text-green-600">{fmtL(state.currentBid)}</span> by {state.teams[state.currentBidTeam - 1]?.name || `Team ${state.currentBidTeam}`}
+              </div>
+            )}
+            <div className="text-sm text-gray-500 mt-1">
+              Next increment: {fmtL(state.nextIncrement || computeNextIncrement(state.currentBid || state.currentPlayer.basePrice, state.rules?.increments))}
+            </div>
+          </div>
+          {state.sealed ? (
+            <SealedBidPanel sealed={state.sealed} deadline={state.sealedDeadline} teams={state.teams} player={state.currentPlayer} />
+          ) : (
+            <BidTimer timer={state.timer} deadline={state.timerDeadline} hasBid={state.currentBid > 0} />
+          )}
+          {state.rtmOffer && (
+            <RtmPanel offer={state.rtmOffer} deadline={state.rtmDeadline} duration={(state.rules?.rtm?.windowSeconds || 0) * 1000} teams={state.teams} playerName={state.currentPlayer.name} />
+          )}
+          <BidFeed bids={state.bids} teams={state.teams} />
+        </div>
+      )}
+      {state.allPlayers.length > 0 && (
+        <Tabs
+          tabs={[
+            {
+              label: <>All Players Overview ({state.allPlayers.length})</>,
+              content: (
+                <AllPlayersTable 
+                  allPlayers={state.allPlayers} 
+                  currentPlayer={state.currentPlayer}
+                  teams={state.teams}
+                />
+              )
+            },
+            ...(analyticsCode ? [{
+              label: <>📊 Analytics</>,
+              content: <AnalyticsPanel code={analyticsCode} budget={state.rules?.budget || 0} refreshKey={soldCount} />
+            }] : [])
+          ]}
+        />
+      )}
+      {state.phase === 'retention' && state.retention && (
+        <RetentionBoard retention={state.retention} teams={state.teams} />
+      )}
+      {!state.currentPlayer && !state.setBreak && (
+        <div className="card bg-white p-6 text-center">
+          <div className="text-6xl mb-4">🏏</div>
+          <h2 className="text-xl font-bold text-gray-700 mb-2">No Current Player</h2>
+          <p className="text-gray-500">
+            {state.phase === 'setup'
+              ? 'The auctioneer is setting up the player pool'
+              : state.phase === 'retention'
+              ? 'Teams are choosing their retentions'
+              : state.isReAuction 
+              ? 'Re-auction phase - waiting for next player' 
+              : 'Main auction - waiting for next player'
+            }
+          </p>
+        </div>
+      )}
+    </>
   );
 }
 
-function AppContent() {
-  const route = getRoute();
-  const isAuctioneerView = route.name === 'auctioneer';
-  const isTeamView = route.name === 'team';
-  const isObserverView = route.name === 'observer';
-  const teamId = isTeamView ? route.teamId : null;
+// =================================================================
+// Sealed Bids
+// Sets can sell their lots by sealed bid: one hidden bid per team, revealed all at once. The server
+// keeps the amounts to itself until the reveal; these components only show who has bid.
+// =================================================================
+const AUCTION_FORMAT_LABELS = { open: 'Open outcry', 'first-price': 'Sealed, first-price', vickrey: 'Sealed, Vickrey' };
+const SEALED_PRICING_RULES = {
+  'first-price': 'The highest bid wins and pays what it bid.',
+  vickrey: 'The highest bid wins and pays the second-highest bid, or the base price if nobody else bid.',
+};
 
-  const backendUrl = import.meta.env.VITE_BACKEND_URL || 'http://localhost:5000';
+// The sealed lot on the block: its clock, who has bid, and the bid form on a team device
+function SealedBidPanel({ sealed, deadline, teams, player, myTeam = null, disabled = false, onSubmit = null, onReveal = null }) {
+  const [amountLakh, setAmountLakh] = useState('');
+  const remaining = useCountdown({ enabled: sealed.remaining !== null, paused: false, remaining: sealed.remaining }, deadline);
+  const minLakh = player.basePrice / 100000;
+  const maxLakh = myTeam && Number.isFinite(myTeam.squad?.maxBid) ? Math.floor(myTeam.squad.maxBid / 100000) : null;
+  const submit = () => {
+    const lakh = parseInt(amountLakh, 10);
+    if (!Number.isInteger(lakh)) return;
+    onSubmit(lakh * 100000);
+  };
+  return (
+    <div className="sealed-panel">
+      <div className="flex justify-between items-center">
+        <span className="sealed-panel__title">🔒 Sealed bid · {AUCTION_FORMAT_LABELS[sealed.pricing]}</span>
+        {remaining !== null && <span className="bid-timer__seconds">{Math.ceil(remaining / 1000)}s</span>}
+      </div>
+      <p className="text-sm mt-1">{SEALED_PRICING_RULES[sealed.pricing]} Ties go to the team with more purse left.</p>
+      {remaining !== null && sealed.duration > 0 && (
+        <div className="bid-timer__track">
+          <div className="bid-timer__fill" style={{ width: `${Math.min(100, Math.max(0, (remaining / sealed.duration) * 100))}%` }} />
+        </div>
+      )}
+      <div className="sealed-panel__teams">
+        {teams.map(team => (
+          <span key={team.id} className={`sealed-panel__team ${sealed.submitted.includes(team.id) ? 'submitted' : ''}`}>
+            {sealed.submitted.includes(team.id) ? '✓' : '…'} {team.name}
+          </span>
+        ))}
+      </div>
+      {onSubmit && (sealed.myBid ? (
+        <p className="text-sm font-semibold text-green-700 mt-3">Your sealed bid: {fmtL(sealed.myBid)}. Waiting for the reveal.</p>
+      ) : (
+        <div className="sealed-panel__form">
+          <label className="text-sm">
+            Your bid (₹L)
+            <input
+              type="number"
+              min={minLakh}
+              max={maxLakh ?? undefined}
+              step="1"
+              value={amountLakh}
+              placeholder={String(minLakh)}
+              disabled={disabled}
+              onChange={(e) => setAmountLakh(e.target.value)}
+            />
+          </label>
+          <button className="btn-primary" disabled={disabled || !amountLakh} onClick={submit}>Submit Sealed Bid</button>
+          <span className="text-xs text-gray-500">
+            From {fmtL(player.basePrice)}{maxLakh !== null && ` up to your max bid of ${fmtL(maxLakh * 100000)}`}. You get one bid.
+          </span>
+        </div>
+      ))}
+      {onReveal && (
+        <div className="mt-3">
+          <button className="btn-secondary" disabled={disabled} onClick={onReveal}>🔓 Reveal Now</button>
+        </div>
+      )}
+    </div>
+  );
+}
 
-  const [state, setState] = useState({
-    teams: [],
-    currentPlayer: null,
-    currentBid: 0,
-    currentBidTeam: null,
-    isReAuction: false,
-    error: null,
-    currentPlayerIndex: 0,
-    totalPlayers: 72,
-    myTeam: null,
-    connectedTeams: [],
-    auctioneerConnected: false,
-    nextIncrement: 0,
-    allPlayers: [] 
+// Every bid on the last sealed lot, highest first, with what the winner paid
+function SealedReveal({ reveal, teams, myTeamId = null, onDismiss }) {
+  const teamName = (id) => (id === myTeamId ? 'You' : teams[id - 1]?.name || `Team ${id}`);
+  return (
+    <div className="card bg-white p-4 mb-4 sealed-reveal">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="font-bold text-gray-800">🔓 Sealed bids revealed: {reveal.name}</h3>
+        <button className="pool-setup__remove" title="Hide" onClick={onDismiss}>✕</button>
+      </div>
+      <p className="text-sm text-gray-600 mb-2">
+        {reveal.teamId
+          ? <>{teamName(reveal.teamId)} won and paid <strong>{fmtL(reveal.price)}</strong> ({AUCTION_FORMAT_LABELS[reveal.pricing]}).</>
+          : 'Nobody bid, so the player went unsold.'}
+      </p>
+      {reveal.bids.length > 0 && (
+        <ol className="sealed-reveal__bids">
+          {reveal.bids.map((bid, index) => (
+            <li key={bid.teamId} className={index === 0 ? 'winner' : ''}>
+              <span>{teamName(bid.teamId)}</span>
+              <span className="font-semibold">{fmtL(bid.amount)}</span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+// =================================================================
+// Team Identities
+// Name, short code, colour, captain and logo for each team. Logos are scaled down in the browser
+// before upload; the server stores them and serves them back by URL.
+// =================================================================
+const LOGO_SIZE = 128; // px, longest side
+const LOGO_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+// Scale an image file down to LOGO_SIZE and re-encode it as a PNG data URL
+function readLogoFile(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      const scale = Math.min(1, LOGO_SIZE / Math.max(img.width, img.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(img.width * scale));
+      canvas.height = Math.max(1, Math.round(img.height * scale));
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      resolve(canvas.toDataURL('image/png'));
+    };
+    img.onerror = () => { URL.revokeObjectURL(url); reject(new Error(`Could not read ${file.name}`)); };
+    img.src = url;
   });
+}
 
-  const [isConnected, setIsConnected] = useState(false);
-  const [isLoading, setIsLoading] = useState(false);
-  const [notifications, addNotification] = useNotifications();
-  const socketRef = useRef(null);
-  const reconnectAttempts = useRef(0);
-  const maxReconnectAttempts = 5;
+// The team's logo, or its short code on its colour when it has none
+function TeamBadge({ team, code, size = 'md' }) {
+  if (!team) return null;
+  return team.logoVersion && code
+    ? <img className={`team-badge team-badge--${size}`} src={teamLogoUrl(code, team)} alt={team.name} style={{ borderColor: team.color }} />
+    : <span className={`team-badge team-badge--${size}`} style={{ backgroundColor: team.color }}>{team.code}</span>;
+}
 
-  const socketOptions = useMemo(() => ({
-    reconnection: true,
-    reconnectionAttempts: maxReconnectAttempts,
-    reconnectionDelay: 1000,
-    reconnectionDelayMax: 5000,
-    transports: ['websocket', 'polling'],
-    timeout: 10000
-  }), []);
+function TeamIdentityForm({ team, code, disabled, onSave, onCancel, cancelLabel = 'Cancel' }) {
+  const [draft, setDraft] = useState(() => ({ name: team.name, code: team.code, color: team.color, captain: team.captain || '' }));
+  const [logo, setLogo] = useState(undefined); // undefined keeps the saved logo, null removes it
+  const [logoError, setLogoError] = useState(null);
+  const update = (field) => (e) => setDraft(prev => ({ ...prev, [field]: e.target.value }));
 
-  // Enhanced bid validation matching server logic
-  const validateBid = useCallback((teamId, newBid) => {
-    if (!isValidTeamId(teamId)) {
-      return { valid: false, reason: 'Invalid team ID' };
-    }
-    
-    const team = state.teams[teamId - 1];
-    const player = state.currentPlayer;
-    
-    if (!player) {
-      return { valid: false, reason: 'No player available' };
-    }
-    
-    if (!team) {
-      return { valid: false, reason: 'Team not found' };
-    }
-    
-    if (team.players.length >= 8) {
-      return { valid: false, reason: 'Team roster is full (8 players)' };
+  const pickLogo = async (file) => {
+    if (!file) return;
+    if (!LOGO_TYPES.includes(file.type)) { setLogoError('Use a PNG, JPEG, WebP or GIF image'); return; }
+    try {
+      setLogo(await readLogoFile(file));
+      setLogoError(null);
+    } catch (error) {
+      setLogoError(error.message);
     }
-    
-    if (team.remaining < newBid) {
-      return { valid: false, reason: 'Insufficient team budget' };
-    }
-    
-    if (newBid <= 0) {
-      return { valid: false, reason: 'Bid must be positive' };
-    }
-    
-    return { valid: true };
-  }, [state.teams, state.currentPlayer]);
+  };
 
-  // Auctioneer actions with enhanced error handling
-  const placeBidForTeam = useCallback((selectedTeamId) => {
-    if (!socketRef.current || !isConnected || isLoading || !isAuctioneerView) {
-      return;
-    }
+  const preview = logo === undefined ? (team.logoVersion ? teamLogoUrl(code, team) : null) : logo;
+  const submit = (e) => {
+    e.preventDefault();
+    onSave({ teamId: team.id, ...draft, ...(logo !== undefined && { logo }) });
+  };
+
+  return (
+    <form className="team-identity-form" onSubmit={submit}>
+      <div className="team-identity-form__logo">
+        {preview
+          ? <img src={preview} alt={`${draft.name} logo`} className="team-badge team-badge--lg" style={{ borderColor: draft.color }} />
+          : <span className="team-badge team-badge--lg" style={{ backgroundColor: draft.color }}>{draft.code.toUpperCase() || '?'}</span>}
+        <label className={`btn-secondary pool-setup__upload ${disabled ? 'disabled' : ''}`}>
+          Upload Logo
+          <input type="file" accept={LOGO_TYPES.join(',')} disabled={disabled} onChange={(e) => { pickLogo(e.target.files[0]); e.target.value = ''; }} />
+        </label>
+        {preview && <button type="button" className="btn-secondary" disabled={disabled} onClick={() => setLogo(null)}>Remove Logo</button>}
+        {logoError && <span className="text-sm text-red-600">{logoError}</span>}
+      </div>
+      <div className="team-identity-form__fields">
+        <label>Team name<input value={draft.name} maxLength={30} onChange={update('name')} disabled={disabled} required /></label>
+        <label>Short code<input value={draft.code} maxLength={4} onChange={update('code')} disabled={disabled} required /></label>
+        <label>Colour<input type="color" value={draft.color} onChange={update('color')} disabled={disabled} /></label>
+        <label>Captain<input value={draft.captain} maxLength={40} onChange={update('captain')} disabled={disabled} placeholder="Optional" /></label>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        <button type="submit" className="btn-primary" disabled={disabled}>Save Team</button>
+        {onCancel && <button type="button" className="btn-secondary" onClick={onCancel}>{cancelLabel}</button>}
+      </div>
+    </form>
+  );
+}
+
+// The auctioneer's list of every team, with one open for editing at a time
+function TeamIdentityEditor({ teams, code, editingTeamId, disabled, onEdit, onSave }) {
+  return (
+    <div className="card bg-white p-4 mb-4">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="font-bold text-lg text-gray-800">Team Details</h3>
+        <span className="text-xs text-gray-500">Shown in every view and in the exported results</span>
+      </div>
+      <ul className="team-identity-list">
+        {teams.map(team => (
+          <li key={team.id}>
+            {editingTeamId === team.id ? (
+              <TeamIdentityForm team={team} code={code} disabled={disabled} onSave={onSave} onCancel={() => onEdit(null)} />
+            ) : (
+              <div className="team-identity-row">
+                <TeamBadge team={team} code={code} />
+                <div className="flex-1">
+                  <div className="font-semibold">{team.name}</div>
+                  <div className="text-xs text-gray-500">
+                    Team {team.id} · {team.code}{team.captain ? ` · Captain ${team.captain}` : ''}{team.customised ? '' : ' · default'}
+                  </div>
+                </div>
+                <button className="history-entry__jump" disabled={disabled} onClick={() => onEdit(team.id)}>Edit</button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// =================================================================
+// Retentions
+// Before the first lot each team may keep a few listed players at fixed prices. The server checks
+// every choice against the limit, purse and composition rules.
+// =================================================================
+function RetentionBoard({ retention, teams, myTeamId = null, isAuctioneer = false, disabled = false, onToggle = null, onLock = null }) {
+  const shown = myTeamId ? teams.filter(team => team.id === myTeamId) : teams;
+  return (
+    <div className="card bg-white p-6 mb-6">
+      <h2 className="text-xl font-bold text-gray-800 mb-1">📌 Retentions</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Each team may retain up to {retention.maxPerTeam} of its listed player{retention.maxPerTeam === 1 ? '' : 's'} at the listed price.
+        The price comes off the purse, and retained players skip the auction. Choices lock when the first set opens.
+      </p>
+      <div className="retention-board">
+        {shown.map(team => {
+          const candidates = retention.candidates.filter(candidate => candidate.teamId === team.id);
+          const retainedCount = candidates.filter(candidate => candidate.retained).length;
+          const canAct = onToggle && (isAuctioneer || team.id === myTeamId);
+          return (
+            <div key={team.id} className="retention-board__team team-accent" style={{ borderTopColor: team.color }}>
+              <div className="flex items-center justify-between mb-2">
+                <span className="font-semibold text-gray-800">{team.name}</span>
+                <span className="text-xs text-gray-500">{retainedCount}/{retention.maxPerTeam} retained · {fmtCr(team.remaining)} left</span>
+              </div>
+              {candidates.length === 0 && <p className="text-sm text-gray-500">No listed players</p>}
+              {candidates.map(candidate => (
+                <div key={candidate.sNo} className={`retention-board__player ${candidate.retained ? 'retained' : ''}`}>
+                  <div className="flex-1">
+                    <div className="font-medium">{candidate.name}</div>
+                    <div className="text-xs text-gray-500">{candidate.role} · {candidate.archetype} · {candidate.baseScore} · base {fmtL(candidate.basePrice)}</div>
+                  </div>
+                  <span className="text-sm font-semibold text-green-600">{fmtCr(candidate.price)}</span>
+                  {canAct ? (
+                    <button className="history-entry__jump" disabled={disabled} onClick={() => onToggle(candidate, !candidate.retained)}>
+                      {candidate.retained ? 'Release' : 'Retain'}
+                    </button>
+                  ) : candidate.retained && <span className="badge bg-green-500">Retained</span>}
+                </div>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+      {onLock && (
+        <div className="mt-4 text-right">
+          <button className="btn-primary" disabled={disabled} onClick={onLock}>🔒 Lock Retentions & Start Auction</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// =================================================================
+// Trade Window
+// Post-auction trades: teams propose and answer them, the auctioneer approves them. The server
+// checks every step against the rosters and purses; these components only collect the choices.
+// =================================================================
+const TRADE_STATUS_LABELS = {
+  proposed: 'Waiting for a reply', accepted: 'Waiting for the auctioneer', rejected: 'Rejected', cancelled: 'Withdrawn',
+  approved: 'Completed', declined: 'Declined by the auctioneer', expired: 'Expired', superseded: 'Superseded by another trade',
+};
+
+// Newest first, with whatever actions are open to the viewing seat
+function TradeList({ trades, myTeamId = null, isAuctioneer = false, disabled = false, onAction = null }) {
+  if (!trades || trades.length === 0) return <p className="text-sm text-gray-500">No trades yet.</p>;
+  const button = (label, event, payload) => (
+    <button className="history-entry__jump" disabled={disabled} onClick={() => onAction(event, payload)}>{label}</button>
+  );
+  return (
+    <ul className="trade-list">
+      {[...trades].reverse().map(trade => (
+        <li key={trade.id} className={`trade-list__entry ${trade.status}`}>
+          <div className="flex-1">
+            <div className="text-xs text-gray-500">Trade #{trade.id} · {TRADE_STATUS_LABELS[trade.status] || trade.status}</div>
+            <div>{trade.label}</div>
+          </div>
+          {onAction && (
+            <div className="flex gap-2">
+              {trade.status === 'proposed' && trade.to === myTeamId && (
+                <>
+                  {button('Accept', 'respondToTrade', { tradeId: trade.id, accept: true })}
+                  {button('Reject', 'respondToTrade', { tradeId: trade.id, accept: false })}
+                </>
+              )}
+              {(trade.status === 'proposed' || trade.status === 'accepted') && trade.from === myTeamId && button('Withdraw', 'cancelTrade', { tradeId: trade.id })}
+              {trade.status === 'accepted' && isAuctioneer && (
+                <>
+                  {button('Approve', 'decideTrade', { tradeId: trade.id, approve: true })}
+                  {button('Decline', 'decideTrade', { tradeId: trade.id, approve: false })}
+                </>
+              )}
+            </div>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function TradePlayerPicker({ title, players, selected, onToggle, disabled }) {
+  return (
+    <div className="trade-form__side">
+      <div className="font-semibold text-gray-800 mb-1">{title}</div>
+      {players.length === 0 && <p className="text-sm text-gray-500">No players</p>}
+      {players.map(player => (
+        <label key={player.sNo} className="trade-form__player">
+          <input type="checkbox" checked={selected.includes(player.sNo)} disabled={disabled} onChange={() => onToggle(player.sNo)} />
+          <span>{player.name}</span>
+          <span className="text-xs text-gray-500">{player.role} · {player.archetype} · {player.baseScore}</span>
+        </label>
+      ))}
+    </div>
+  );
+}
+
+// A team's side of the trade window: build an offer to one other team, then follow its trades
+function TradeDesk({ teams, myTeamId, trades, disabled, onAction }) {
+  const others = teams.filter(team => team.id !== myTeamId);
+  const [partnerId, setPartnerId] = useState(others[0]?.id || null);
+  const [give, setGive] = useState([]);
+  const [receive, setReceive] = useState([]);
+  const [cashLakh, setCashLakh] = useState('');
+  const [cashFromMe, setCashFromMe] = useState(true);
+  const myTeam = teams[myTeamId - 1];
+  const partner = teams[partnerId - 1];
+  const toggle = (setter) => (sNo) => setter(prev => (prev.includes(sNo) ? prev.filter(s => s !== sNo) : [...prev, sNo]));
+  const cash = Math.round((Number(cashLakh) || 0) * 100000);
+
+  const choosePartner = (e) => {
+    setPartnerId(Number(e.target.value));
+    setReceive([]);
+  };
+  const propose = (e) => {
+    e.preventDefault();
+    onAction('proposeTrade', { to: partnerId, give, receive, cash, cashFrom: cashFromMe ? myTeamId : partnerId });
+  };
+
+  if (!myTeam || !partner) return null;
+  return (
+    <div className="card bg-white p-4 mb-6">
+      <h3 className="font-bold text-lg text-gray-800">🔁 Trade Window</h3>
+      <p className="text-sm text-gray-500 mb-3">
+        Offer players, cash or both to another team. Once they accept, the auctioneer approves the trade and both squads are rescored.
+      </p>
+      <form onSubmit={propose} className="trade-form">
+        <label className="text-sm font-semibold text-gray-700">
+          Trade with{' '}
+          <select value={partnerId} onChange={choosePartner} disabled={disabled} className="trade-form__select">
+            {others.map(team => <option key={team.id} value={team.id}>{team.name}</option>)}
+          </select>
+        </label>
+        <div className="trade-form__sides">
+          <TradePlayerPicker title="You send" players={myTeam.players} selected={give} onToggle={toggle(setGive)} disabled={disabled} />
+          <TradePlayerPicker title={`You get from ${partner.name}`} players={partner.players} selected={receive} onToggle={toggle(setReceive)} disabled={disabled} />
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <span className="font-semibold text-gray-700">Cash (₹ lakh)</span>
+          <input type="number" min="0" step="5" value={cashLakh} onChange={(e) => setCashLakh(e.target.value)} disabled={disabled} className="trade-form__cash" />
+          <select value={cashFromMe ? 'me' : 'them'} onChange={(e) => setCashFromMe(e.target.value === 'me')} disabled={disabled || cash === 0} className="trade-form__select">
+            <option value="me">paid by you ({fmtCr(myTeam.remaining)} left)</option>
+            <option value="them">paid by {partner.name} ({fmtCr(partner.remaining)} left)</option>
+          </select>
+        </div>
+        <div>
+          <button type="submit" className="btn-primary" disabled={disabled || give.length + receive.length === 0}>Propose Trade</button>
+        </div>
+      </form>
+      <h4 className="font-semibold text-gray-800 mt-4 mb-2">Trades</h4>
+      <TradeList trades={trades} myTeamId={myTeamId} disabled={disabled} onAction={onAction} />
+    </div>
+  );
+}
+
+// =================================================================
+// Analytics
+// Value analysis of the sales so far: premiums, points per crore, spend breakdowns and budget burn-down.
+// =================================================================
+const BURN_DOWN_SIZE = { width: 640, height: 220, pad: 32 };
+
+function fmtPct(value) {
+  return value === null || value === undefined ? '—' : `${value > 0 ? '+' : ''}${value}%`;
+}
+
+function SpendBars({ title, groups, total }) {
+  return (
+    <div>
+      <h4 className="font-semibold text-gray-700 mb-2">{title}</h4>
+      {groups.length === 0 && <p className="text-sm text-gray-500">No sales yet.</p>}
+      {groups.map(group => (
+        <div key={group.key} className="analytics-bar">
+          <div className="analytics-bar__label">
+            <span>{group.label}</span>
+            <span className="text-gray-500">{fmtL(group.spent)} · {group.players} · avg {fmtL(group.averagePrice)}</span>
+          </div>
+          <div className="analytics-bar__track">
+            <div className="analytics-bar__fill" style={{ width: `${total > 0 ? (group.spent / total) * 100 : 0}%` }} />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function BurnDownChart({ burnDown, budget }) {
+  const { width, height, pad } = BURN_DOWN_SIZE;
+  const steps = Math.max(1, burnDown.lots.length);
+  const x = (index) => pad + (index / steps) * (width - pad * 2);
+  const y = (amount) => pad + (1 - amount / budget) * (height - pad * 2);
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="analytics-chart" role="img" aria-label="Remaining budget per team after each lot">
+        <line x1={pad} y1={y(budget)} x2={width - pad} y2={y(budget)} className="analytics-chart__grid" />
+        <line x1={pad} y1={y(budget / 2)} x2={width - pad} y2={y(budget / 2)} className="analytics-chart__grid" />
+        <line x1={pad} y1={y(0)} x2={width - pad} y2={y(0)} className="analytics-chart__axis" />
+        <text x={4} y={y(budget) + 4} className="analytics-chart__label">{fmtCr(budget)}</text>
+        <text x={4} y={y(0) + 4} className="analytics-chart__label">₹0</text>
+        <text x={width - pad} y={height - 8} textAnchor="end" className="analytics-chart__label">Lot {burnDown.lots.length}</text>
+        {burnDown.series.map(series => (
+          <polyline
+            key={series.teamId}
+            fill="none"
+            stroke={series.color}
+            strokeWidth="2"
+            points={series.remaining.map((amount, lot) => `${x(lot)},${y(amount)}`).join(' ')}
+          >
+            <title>{series.name}: {fmtCr(series.remaining[series.remaining.length - 1])} left</title>
+          </polyline>
+        ))}
+      </svg>
+      <div className="analytics-legend">
+        {burnDown.series.map(series => (
+          <span key={series.teamId}>
+            <i style={{ backgroundColor: series.color }} />
+            {series.name}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function SaleList({ title, sales }) {
+  return (
+    <div>
+      <h4 className="font-semibold text-gray-700 mb-2">{title}</h4>
+      {sales.length === 0 && <p className="text-sm text-gray-500">Not enough sales yet.</p>}
+      <ol className="analytics-list">
+        {sales.map(sale => (
+          <li key={sale.sNo}>
+            <span className="font-medium">{sale.name}</span>
+            <span className="text-gray-500"> · {sale.team} · {fmtL(sale.price)} ({fmtPct(sale.premiumPct)})</span>
+            <span className="analytics-list__value">{sale.pointsPerCr} pts/Cr</span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+// `refreshKey` changes whenever the sales change, so the numbers follow the live auction
+function AnalyticsPanel({ code, budget, refreshKey }) {
+  const [analytics, setAnalytics] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(analyticsUrl(code))
+      .then(res => (res.ok ? res.json() : Promise.reject(new Error(`Server error (${res.status})`))))
+      .then(data => { if (!cancelled) { setAnalytics(data); setError(null); } })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [code, refreshKey]);
+
+  if (error) return <p className="text-red-600 text-sm">Analytics unavailable: {error}</p>;
+  if (!analytics) return <p className="text-gray-600 text-sm">Loading analytics...</p>;
+
+  const { totals } = analytics;
+  return (
+    <div className="analytics">
+      <div className="analytics-totals">
+        <div><div className="text-2xl font-bold text-pink-600">{totals.sold}</div><div className="text-xs text-gray-500">Players sold ({totals.lots} lots)</div></div>
+        <div><div className="text-2xl font-bold text-orange-500">{fmtCr(totals.spent)}</div><div className="text-xs text-gray-500">Total spend</div></div>
+        <div><div className="text-2xl font-bold text-gray-800">{fmtPct(totals.averagePremiumPct)}</div><div className="text-xs text-gray-500">Average premium over base</div></div>
+      </div>
+
+      <section>
+        <h3>Team Value</h3>
+        <div className="overflow-x-auto">
+          <table className="text-sm">
+            <thead>
+              <tr><th>Team</th><th>Players</th><th>Spent</th><th>Score</th><th>Score / ₹Cr</th><th>Synergy</th><th>Synergy / ₹Cr</th><th>Avg premium</th></tr>
+            </thead>
+            <tbody>
+              {analytics.teams.map(team => (
+                <tr key={team.id}>
+                  <td className="font-medium">{team.name}</td>
+                  <td>{team.players}</td>
+                  <td>{fmtCr(team.spent)}</td>
+                  <td>{Math.round(team.score)}</td>
+                  <td className="font-semibold text-pink-600">{team.scorePerCr ?? '—'}</td>
+                  <td>{team.synergy}</td>
+                  <td>{team.synergyPerCr ?? '—'}</td>
+                  <td>{fmtPct(team.averagePremiumPct)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+
+      {analytics.byFormat?.some(entry => entry.format !== 'open') && (
+        <section>
+          <h3>By Auction Format</h3>
+          <div className="overflow-x-auto">
+            <table className="text-sm">
+              <thead>
+                <tr><th>Format</th><th>Sold</th><th>Avg price</th><th>Avg premium</th><th>Avg paid below own bid</th></tr>
+              </thead>
+              <tbody>
+                {analytics.byFormat.map(entry => (
+                  <tr key={entry.format}>
+                    <td className="font-medium">{AUCTION_FORMAT_LABELS[entry.format] || entry.format}</td>
+                    <td>{entry.sold}</td>
+                    <td>{fmtL(entry.averagePrice)}</td>
+                    <td>{fmtPct(entry.averagePremiumPct)}</td>
+                    <td>{fmtL(entry.averageDiscount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      )}
+
+      <section className="analytics-columns">
+        <SaleList title="💎 Biggest Bargains" sales={analytics.bargains} />
+        <SaleList title="💸 Biggest Overpays" sales={analytics.overpays} />
+      </section>
+
+      <section className="analytics-columns">
+        <SpendBars title="Spend by Role" groups={analytics.spendByRole} total={totals.spent} />
+        <SpendBars title="Spend by Archetype" groups={analytics.spendByArchetype} total={totals.spent} />
+      </section>
+
+      <section>
+        <h3>Budget Burn-Down</h3>
+        <BurnDownChart burnDown={analytics.burnDown} budget={budget} />
+      </section>
+
+      <section>
+        <h3>Price Paid vs Base Price</h3>
+        <div className="overflow-x-auto analytics-scroll">
+          <table className="text-sm">
+            <thead>
+              <tr><th>#</th><th>Player</th><th>Team</th><th>Base</th><th>Paid</th><th>Premium</th><th>Points / ₹Cr</th></tr>
+            </thead>
+            <tbody>
+              {analytics.sales.map(sale => (
+                <tr key={sale.sNo}>
+                  <td>{sale.order}</td>
+                  <td>{sale.name} <span className="text-xs text-gray-500">{sale.role}</span></td>
+                  <td>{sale.team}</td>
+                  <td>{fmtL(sale.basePrice)}</td>
+                  <td>{fmtL(sale.price)}</td>
+                  <td className={sale.premiumPct > 0 ? 'text-red-600' : 'text-green-600'}>{fmtPct(sale.premiumPct)}</td>
+                  <td>{sale.pointsPerCr}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+    </div>
+  );
+}
+
+// =================================================================
+// Player Pool Setup
+// The auctioneer's screen before the auction starts: upload a players CSV, fix rows inline, commit.
+// =================================================================
+const POOL_FIELDS = [
+  ['sNo', 'S.No'],
+  ['name', 'Name'],
+  ['role', 'Role'],
+  ['archetype', 'Archetype'],
+  ['baseScore', 'Base Score'],
+  ['basePrice', 'Base Price (₹L)'],
+  ['previousTeam', 'Prev. Team (RTM)'],
+];
+const MAX_LISTED_POOL_ERRORS = 20;
+const SET_ORDER_LABELS = { fixed: 'fixed order', random: 'shuffled', price: 'by price' };
+const MAX_POOL_UPLOAD_BYTES = 512 * 1024; // Well under socket.io's default 1 MB message limit
+
+function PlayerPoolSetup({ setup, rules, disabled, onUpload, onSave, onRestoreDefault, onCommit }) {
+  // Local edits win until the server sends a newer version of the draft
+  const [draft, setDraft] = useState({ version: setup.version, rows: setup.rows });
+  const rows = draft.version === setup.version ? draft.rows : setup.rows;
+  const hasUnsavedEdits = rows !== setup.rows;
+
+  const warnings = setup.warnings || [];
+  const cellErrors = useMemo(() => new Map(
+    setup.errors.filter(error => error.row !== null).map(error => [`${error.row}:${error.field}`, error.message])
+  ), [setup.errors]);
+  const cellWarnings = useMemo(() => new Map(
+    (setup.warnings || []).map(warning => [`${warning.row}:${warning.field}`, warning.message])
+  ), [setup.warnings]);
+  const badRows = new Set(setup.errors.map(error => error.row));
+  const rowTier = (row) => (/^\d+$/.test(row.baseScore) ? getTier(parseInt(row.baseScore, 10), rules?.tiers) : null);
+  const mispricedRows = rows.filter(row => {
+    const tier = rowTier(row);
+    return tier && row.basePrice !== String(tier.basePrice / 100000);
+  }).length;
+
+  const editRows = (nextRows) => setDraft({ version: setup.version, rows: nextRows });
+  const editCell = (index, field, value) => editRows(rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  const saveEdits = () => { if (hasUnsavedEdits) onSave(rows); };
+
+  // Set every tiered player's base price to their tier's price
+  const applyTierPrices = () => onSave(rows.map(row => {
+    const tier = rowTier(row);
+    return tier ? { ...row, basePrice: String(tier.basePrice / 100000) } : row;
+  }));
+
+  const addRow = () => {
+    const nextSNo = rows.reduce((max, row) => Math.max(max, parseInt(row.sNo, 10) || 0), 0) + 1;
+    onSave([...rows, { sNo: String(nextSNo), name: '', role: '', archetype: '', baseScore: '', basePrice: '', previousTeam: '' }]);
+  };
+
+  return (
+    <div className="card bg-white p-4 pool-setup">
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-3">
+        <div>
+          <h2 className="font-bold text-xl text-gray-800">Player Pool Setup</h2>
+          <p className="text-sm text-gray-500">
+            {rows.length} players from <span className="font-mono">{setup.source}</span>. Fix every flagged row, then commit the pool to start the auction.
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <label className={`btn-secondary pool-setup__upload ${disabled ? 'disabled' : ''}`}>
+            Upload CSV
+            <input
+              type="file"
+              accept=".csv,text/csv"
+              disabled={disabled}
+              onChange={(e) => { onUpload(e.target.files[0]); e.target.value = ''; }}
+            />
+          </label>
+          <button className="btn-secondary" disabled={disabled} onClick={onRestoreDefault}>Restore Default</button>
+          <button className="btn-secondary" disabled={disabled || mispricedRows === 0} onClick={applyTierPrices}>
+            Apply Tier Prices{mispricedRows > 0 ? ` (${mispricedRows})` : ''}
+          </button>
+          <button className="btn-secondary" disabled={disabled} onClick={addRow}>+ Add Player</button>
+          <button
+            className="btn-primary"
+            disabled={disabled || hasUnsavedEdits || setup.errors.length > 0 || rows.length === 0}
+            onClick={() => onCommit(rows.length)}
+          >
+            Commit Pool & Start
+          </button>
+        </div>
+      </div>
+
+      {setup.errors.length > 0 ? (
+        <div className="pool-setup__errors">
+          <strong>{setup.errors.length} problem{setup.errors.length === 1 ? '' : 's'} to fix</strong>
+          <ul>
+            {setup.errors.slice(0, MAX_LISTED_POOL_ERRORS).map((error, i) => (
+              <li key={i}>{error.row === null ? error.message : `Row ${error.row + 1}: ${error.message}`}</li>
+            ))}
+          </ul>
+          {setup.errors.length > MAX_LISTED_POOL_ERRORS && (
+            <p className="text-xs">…and {setup.errors.length - MAX_LISTED_POOL_ERRORS} more</p>
+          )}
+        </div>
+      ) : (
+        <p className="pool-setup__ok">✓ Every row is valid.</p>
+      )}
+      {warnings.length > 0 && (
+        <div className="pool-setup__errors warning">
+          <strong>{warnings.length} tier warning{warnings.length === 1 ? '' : 's'}</strong> — these won't stop the auction, but check them against the published tiers.
+          <ul>
+            {warnings.slice(0, MAX_LISTED_POOL_ERRORS).map((warning, i) => (
+              <li key={i}>Row {warning.row + 1}: {warning.message}</li>
+            ))}
+          </ul>
+          {warnings.length > MAX_LISTED_POOL_ERRORS && (
+            <p className="text-xs">…and {warnings.length - MAX_LISTED_POOL_ERRORS} more</p>
+          )}
+        </div>
+      )}
+
+      {setup.setPlan && (
+        <div className="pool-setup__sets">
+          <span className="text-sm font-semibold text-gray-700">Sets:</span>
+          {setup.setPlan.map((set, i) => (
+            <span key={set.name} className="pool-setup__set">
+              {i + 1}. {set.name} <span className="text-gray-500">· {set.count} · {SET_ORDER_LABELS[set.order] || set.order}{set.pricing && ` · ${AUCTION_FORMAT_LABELS[set.pricing]}`}</span>
+            </span>
+          ))}
+          {rules?.seed && <span className="text-xs text-gray-500">Seed {rules.seed}</span>}
+        </div>
+      )}
+
+      <datalist id="pool-archetype-codes">
+        {Object.entries(rules?.archetypes || {}).map(([code, name]) => <option key={code} value={code}>{name}</option>)}
+      </datalist>
+      <div className="pool-setup__table">
+        <table>
+          <thead>
+            <tr>
+              <th>Row</th>
+              {POOL_FIELDS.map(([field, label]) => <th key={field}>{label}</th>)}
+              <th>Tier</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, index) => (
+              <tr key={index} className={badRows.has(index) ? 'invalid' : ''}>
+                <td className="text-xs text-gray-500">{index + 1}</td>
+                {POOL_FIELDS.map(([field, label]) => {
+                  const error = cellErrors.get(`${index}:${field}`);
+                  const warning = cellWarnings.get(`${index}:${field}`);
+                  return (
+                    <td key={field}>
+                      <input
+                        value={row[field] ?? ''}
+                        aria-label={`${label}, row ${index + 1}`}
+                        title={error || warning || ''}
+                        list={field === 'archetype' ? 'pool-archetype-codes' : undefined}
+                        className={error ? 'invalid' : warning ? 'warning' : ''}
+                        disabled={disabled}
+                        onChange={(e) => editCell(index, field, e.target.value)}
+                        onBlur={saveEdits}
+                      />
+                    </td>
+                  );
+                })}
+                <td><TierBadge tier={rowTier(row)?.name} /></td>
+                <td>
+                  <button
+                    className="pool-setup__remove"
+                    title="Remove this player"
+                    disabled={disabled}
+                    onClick={() => onSave(rows.filter((_, i) => i !== index))}
+                  >
+                    ✕
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// =================================================================
+// Replay Viewer
+// Steps through a recorded auction bid by bid. Frames are built on the server from the event log.
+// =================================================================
+const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+const REPLAY_STEP_MS = 1200;
+const REPLAY_HOLD_TYPES = ['sold', 'skipped', 'phase']; // Linger on the moments worth discussing
+
+function ReplayViewer({ code }) {
+  const [replay, setReplay] = useState(null);
+  const [error, setError] = useState(null);
+  const [frameIndex, setFrameIndex] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`${BACKEND_URL}/api/auctions/${code}/replay`)
+      .then(res => (res.ok ? res.json() : Promise.reject(new Error(res.status === 404 ? 'Auction not found' : `Server error (${res.status})`))))
+      .then(data => { if (!cancelled) setReplay(data); })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [code]);
+
+  const frames = replay?.frames || [];
+  const lastIndex = Math.max(0, frames.length - 1);
+  const frame = frames[Math.min(frameIndex, lastIndex)];
+
+  useEffect(() => {
+    if (!playing || !frame) return undefined;
+    if (frameIndex >= lastIndex) { setPlaying(false); return undefined; }
+    const hold = REPLAY_HOLD_TYPES.includes(frame.type) ? 2 : 1;
+    const timeoutId = setTimeout(() => setFrameIndex(i => Math.min(i + 1, lastIndex)), (REPLAY_STEP_MS * hold) / speed);
+    return () => clearTimeout(timeoutId);
+  }, [playing, frame, frameIndex, lastIndex, speed]);
+
+  if (error) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="card bg-red-100 border border-red-400 text-red-700 px-6 py-5 max-w-lg text-center">
+          <h2 className="text-xl font-bold mb-2">Replay unavailable</h2>
+          <p>{error}</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!frame) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <p className="text-gray-600">{replay ? 'This auction has nothing to replay yet.' : 'Loading replay...'}</p>
+      </div>
+    );
+  }
+
+  const boardState = { ...frame.state, code, rules: replay.rules, connectedTeams: [], allPlayers: [], timer: null };
+  const togglePlaying = () => {
+    if (!playing && frameIndex >= lastIndex) setFrameIndex(0);
+    setPlaying(p => !p);
+  };
+
+  return (
+    <div className="min-h-screen p-4">
+      <div className="flex flex-wrap gap-2 mb-3">
+        <a href={roomPath(code)} className="text-sm text-pink-600 underline hover:text-orange-500">
+          ← Back to Room {code}
+        </a>
+      </div>
+      <ObserverBoard state={boardState} title="CPL Auction — Replay" subtitle={`Room ${code}`}>
+        <div className="card bg-white p-4 mb-4 replay-controls">
+          <div className={`replay-controls__event ${frame.type}`}>
+            <span className="text-xs text-gray-500">
+              {new Date(frame.at).toLocaleTimeString()} · step {frameIndex + 1} of {frames.length}
+            </span>
+            <div className="font-semibold">{frame.label}</div>
+          </div>
+          <div className="flex flex-wrap items-center gap-2 mt-3">
+            <button className="btn-secondary" onClick={() => setFrameIndex(i => Math.max(0, i - 1))} disabled={frameIndex === 0}>⏮</button>
+            <button className="btn-primary" onClick={togglePlaying}>{playing ? '⏸ Pause' : '▶ Play'}</button>
+            <button className="btn-secondary" onClick={() => setFrameIndex(i => Math.min(lastIndex, i + 1))} disabled={frameIndex >= lastIndex}>⏭</button>
+            <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))} className="px-3 py-2 border border-gray-300 rounded-lg text-sm">
+              {REPLAY_SPEEDS.map(s => <option key={s} value={s}>{s}×</option>)}
+            </select>
+          </div>
+          <input
+            type="range"
+            className="replay-controls__scrubber mt-3"
+            min={0}
+            max={lastIndex}
+            value={Math.min(frameIndex, lastIndex)}
+            onChange={(e) => setFrameIndex(Number(e.target.value))}
+          />
+        </div>
+      </ObserverBoard>
+    </div>
+  );
+}
+
+// =================================================================
+// Printable Results
+// A plain, print-optimised report for judges, built from the server's export endpoints.
+// =================================================================
+const RESULT_REPORTS = ['standings', 'rosters', 'sales', 'unsold'];
+
+function PrintableResults({ code }) {
+  const [reports, setReports] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all(RESULT_REPORTS.map(report =>
+      fetch(exportUrl(code, report, 'json')).then(res => (res.ok ? res.json() : Promise.reject(new Error(res.status === 404 ? 'Auction not found' : `Server error (${res.status})`))))
+    ))
+      .then(results => {
+        if (!cancelled) setReports(Object.fromEntries(results.map(result => [result.report, result])));
+      })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [code]);
+
+  if (error) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="card bg-red-100 border border-red-400 text-red-700 px-6 py-5 max-w-lg text-center">
+          <h2 className="text-xl font-bold mb-2">Results unavailable</h2>
+          <p>{error}</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!reports) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <p className="text-gray-600">Loading results...</p>
+      </div>
+    );
+  }
+
+  const rostersByTeam = reports.rosters.rows.reduce((groups, row) => {
+    (groups[row.teamId] = groups[row.teamId] || { team: row.team, teamCode: row.teamCode, players: [] }).players.push(row);
+    return groups;
+  }, {});
+  const unsold = reports.unsold.rows.filter(row => row.status === 'unsold');
+
+  return (
+    <div className="print-results">
+      <div className="no-print flex flex-wrap items-center gap-3 mb-6">
+        <a href={roomPath(code)} className="text-sm text-pink-600 underline hover:text-orange-500">← Back to Room {code}</a>
+        <button className="btn-primary" onClick={() => window.print()}>🖨 Print</button>
+        {RESULT_REPORTS.map(report => (
+          <span key={report} className="text-sm text-gray-600">
+            {report}: <a href={exportUrl(code, report, 'csv')} className="underline">CSV</a> · <a href={exportUrl(code, report, 'json')} className="underline">JSON</a>
+          </span>
+        ))}
+      </div>
+
+      <h1>CPL Auction Results — Room {code}</h1>
+      <p className="print-results__meta">
+        {reports.standings.final ? 'Final results' : 'Provisional — the auction is still in progress'} · Generated {new Date().toLocaleString()}
+      </p>
+
+      <section>
+        <h2>Standings</h2>
+        <table>
+          <thead>
+            <tr><th>#</th><th>Team</th><th>Players</th><th>Base</th><th>+ Synergy</th><th>− Synergy</th><th>Total</th><th>Spent</th><th>Left</th></tr>
+          </thead>
+          <tbody>
+            {reports.standings.rows.map(row => (
+              <tr key={row.teamId} className={row.disqualified ? 'disqualified' : ''}>
+                <td>{row.disqualified ? 'DQ' : row.rank}</td>
+                <td>{row.team}{row.disqualified && <div className="print-results__note">{row.disqualificationReason}</div>}</td>
+                <td>{row.players}</td>
+                <td>{row.baseTotal}</td>
+                <td>+{row.positiveSynergy}</td>
+                <td>{row.negativeSynergy}</td>
+                <td><strong>{row.total}</strong></td>
+                <td>{fmtCr(row.spent)}</td>
+                <td>{fmtCr(row.remaining)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+
+      <section>
+        <h2>Team Rosters</h2>
+        {Object.entries(rostersByTeam).map(([id, group]) => (
+          <div key={id} className="print-results__team">
+            <h3>{group.team}{group.teamCode ? ` (${group.teamCode})` : ''}</h3>
+            <table>
+              <thead>
+                <tr><th>Player</th><th>Role</th><th>Archetype</th><th>Score</th><th>Base Price</th><th>Bought For</th><th>Individual Synergy</th></tr>
+              </thead>
+              <tbody>
+                {group.players.map(row => (
+                  <tr key={row.sNo}>
+                    <td>{row.name}</td><td>{row.role}</td><td>{row.archetype}</td><td>{row.baseScore}</td>
+                    <td>{fmtL(row.basePrice)}</td><td>{fmtL(row.boughtPrice)}{row.retained && ' (retained)'}</td><td>{row.individualSynergy}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ))}
+      </section>
+
+      <section>
+        <h2>Sales</h2>
+        <table>
+          <thead>
+            <tr><th>#</th><th>Player</th><th>Role</th><th>Team</th><th>Base Price</th><th>Sold For</th><th>Premium</th></tr>
+          </thead>
+          <tbody>
+            {reports.sales.rows.map(row => (
+              <tr key={row.order}>
+                <td>{row.order}</td><td>{row.name}</td><td>{row.role}</td><td>{row.team}</td>
+                <td>{fmtL(row.basePrice)}</td><td>{fmtL(row.soldPrice)}</td><td>{row.premiumPct}%</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+
+      {unsold.length > 0 && (
+        <section>
+          <h2>Unsold Players</h2>
+          <table>
+            <thead>
+              <tr><th>Player</th><th>Role</th><th>Archetype</th><th>Score</th><th>Base Price</th></tr>
+            </thead>
+            <tbody>
+              {unsold.map(row => (
+                <tr key={row.sNo}>
+                  <td>{row.name}</td><td>{row.role}</td><td>{row.archetype}</td><td>{row.baseScore}</td><td>{fmtL(row.basePrice)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+    </div>
+  );
+}
+
+function App() {
+  const route = getRoute();
+  return (
+    <ErrorBoundary>
+      {route.name === 'replay' && <ReplayViewer code={route.code} />}
+      {route.name === 'results' && <PrintableResults code={route.code} />}
+      {route.name !== 'replay' && route.name !== 'results' && <AppContent />}
+    </ErrorBoundary>
+  );
+}
+
+function AppContent() {
+  const route = getRoute();
+  const isAuctioneerView = route.name === 'auctioneer';
+  const isTeamView = route.name === 'team';
+  const isObserverView = route.name === 'observer';
+  const teamId = isTeamView ? route.teamId : null;
+  const roomCode = route.code;
+
+  const backendUrl = BACKEND_URL;
+
+  const [state, setState] = useState({
+    teams: [],
+    currentPlayer: null,
+    currentBid: 0,
+    currentBidTeam: null,
+    bids: [],
+    isReAuction: false,
+    error: null,
+    currentPlayerIndex: 0,
+    totalPlayers: 72,
+    myTeam: null,
+    connectedTeams: [],
+    auctioneerConnected: false,
+    nextIncrement: 0,
+    allPlayers: [],
+    timer: null,
+    timerDeadline: null,
+    rtmOffer: null,
+    rtmDeadline: null,
+    sealed: null,
+    sealedDeadline: null,
+    sealedReveal: null,
+    rules: null,
+    finalStandings: null,
+    history: null,
+    phase: null,
+    setup: null,
+    retention: null,
+    trades: []
+  });
+
+  const squadSize = state.rules?.squadSize || 0;
+
+  const playerValues = usePlayerValues(state.currentPlayer, state.teams, state.rules);
+
+  const [isConnected, setIsConnected] = useState(false);
+  const [joinCode, setJoinCode] = useState('');
+  const [roomInfo, setRoomInfo] = useState(null);
+  const [showRuleOptions, setShowRuleOptions] = useState(false);
+  const [ruleForm, setRuleForm] = useState({ teamCount: '', budgetCr: '', squadSize: '', setCount: '', advanced: '' });
+  const [pinPrompt, setPinPrompt] = useState({ open: false, error: null });
+  const [pinInput, setPinInput] = useState('');
+  const [seatPins, setSeatPins] = useState(null);
+  const [showSeatPins, setShowSeatPins] = useState(false);
+  const [showAnalytics, setShowAnalytics] = useState(false);
+  const [showTeamEditor, setShowTeamEditor] = useState(false);
+  const [editingTeamId, setEditingTeamId] = useState(null);
+  const [dismissedRevealSeq, setDismissedRevealSeq] = useState(null);
+  const [identityPromptDismissed, setIdentityPromptDismissed] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [notifications, addNotification] = useNotifications();
+  const socketRef = useRef(null);
+  const reconnectAttempts = useRef(0);
+  const maxReconnectAttempts = 5;
+
+  const socketOptions = useMemo(() => ({
+    reconnection: true,
+    reconnectionAttempts: maxReconnectAttempts,
+    reconnectionDelay: 1000,
+    reconnectionDelayMax: 5000,
+    transports: ['websocket', 'polling'],
+    timeout: 10000
+  }), []);
+
+  // Enhanced bid validation matching server logic
+  const validateBid = useCallback((teamId, newBid) => {
+    if (!isValidTeamId(teamId, state.teams.length)) {
+      return { valid: false, reason: 'Invalid team ID' };
+    }
+    
+    const team = state.teams[teamId - 1];
+    const player = state.currentPlayer;
+    
+    if (!player) {
+      return { valid: false, reason: 'No player available' };
+    }
+
+    if (state.rtmOffer) {
+      return { valid: false, reason: 'Bidding is closed while an RTM card is being decided' };
+    }
+
+    if (state.sealed) {
+      return { valid: false, reason: `${player.name} is sold by sealed bid` };
+    }
+    
+    if (!team) {
+      return { valid: false, reason: 'Team not found' };
+    }
+    
+    if (team.players.length >= squadSize) {
+      return { valid: false, reason: `Team roster is full (${squadSize} players)` };
+    }
+    
+    if (team.remaining < newBid) {
+      return { valid: false, reason: 'Insufficient team budget' };
+    }
+    
+    if (newBid <= 0) {
+      return { valid: false, reason: 'Bid must be positive' };
+    }
+
+    // Composition and max-bid limits are worked out by the server for the current lot
+    if (team.squad?.blockedReason) {
+      return { valid: false, reason: team.squad.blockedReason };
+    }
+
+    if (Number.isFinite(team.squad?.maxBid) && newBid > team.squad.maxBid) {
+      return { valid: false, reason: `Bid exceeds max bid of ${fmtL(team.squad.maxBid)}` };
+    }
+    
+    return { valid: true };
+  }, [state.teams, state.currentPlayer, state.rtmOffer, state.sealed, squadSize]);
+
+  // Auctioneer actions with enhanced error handling
+  const placeBidForTeam = useCallback((selectedTeamId) => {
+    if (!socketRef.current || !isConnected || isLoading || !isAuctioneerView) {
+      return;
+    }
 
-    if (!isValidTeamId(selectedTeamId)) {
+    if (!isValidTeamId(selectedTeamId, state.teams.length)) {
       addNotification('Invalid team selection', 'error');
       return;
     }
@@ -470,12 +2114,12 @@ function AppContent() {
 
     const newBid = state.currentBid === 0 
       ? player.basePrice 
-      : state.currentBid + computeNextIncrement(state.currentBid);
+      : state.currentBid + computeNextIncrement(state.currentBid, state.rules?.increments);
     
     const validation = validateBid(selectedTeamId, newBid);
     
     if (!validation.valid) {
-      addNotification(`Cannot place bid for Team ${selectedTeamId}: ${validation.reason}`, 'error');
+      addNotification(`Cannot place bid for ${state.teams[selectedTeamId - 1]?.name || `Team ${selectedTeamId}`}: ${validation.reason}`, 'error');
       return;
     }
 
@@ -483,9 +2127,44 @@ function AppContent() {
     socketRef.current.emit('placeBidForTeam', selectedTeamId);
     
     setTimeout(() => setIsLoading(false), 3000);
-  }, [isConnected, isLoading, isAuctioneerView, addNotification, state.currentPlayer, state.currentBid, validateBid]);
+  }, [isConnected, isLoading, isAuctioneerView, addNotification, state.currentPlayer, state.currentBid, state.teams, state.rules, validateBid]);
+
+  // Team-side bid: sends the amount this device saw so the server can reject stale bids
+  const placeBid = useCallback(() => {
+    if (!socketRef.current || !isConnected || isLoading || !isTeamView) {
+      return;
+    }
+
+    const player = state.currentPlayer;
+    if (!player) {
+      addNotification('No player available for bidding', 'error');
+      return;
+    }
+
+    if (state.currentBidTeam === teamId) {
+      addNotification('You already hold the highest bid', 'warning');
+      return;
+    }
+
+    const newBid = state.currentBid === 0
+      ? player.basePrice
+      : state.currentBid + computeNextIncrement(state.currentBid, state.rules?.increments);
+
+    const validation = validateBid(teamId, newBid);
+
+    if (!validation.valid) {
+      addNotification(`Cannot bid: ${validation.reason}`, 'error');
+      return;
+    }
+
+    setIsLoading(true);
+    socketRef.current.emit('placeBid', { playerSNo: player.sNo, amount: newBid });
+
+    setTimeout(() => setIsLoading(false), 3000);
+  }, [isConnected, isLoading, isTeamView, teamId, addNotification, state.currentPlayer, state.currentBid, state.currentBidTeam, state.rules, validateBid]);
 
   const soldPlayer = useCallback(() => {
+
     if (!socketRef.current || !isConnected || isLoading || !isAuctioneerView) {
       return;
     }
@@ -495,7 +2174,7 @@ function AppContent() {
       return;
     }
 
-    if (!isValidTeamId(state.currentBidTeam)) {
+    if (!isValidTeamId(state.currentBidTeam, state.teams.length)) {
       addNotification('Invalid bidding team', 'error');
       return;
     }
@@ -557,6 +2236,14 @@ function AppContent() {
     });
   }, [state.currentPlayer, isConnected, isLoading, isAuctioneerView, addNotification]);
 
+  const toggleTimer = useCallback(() => {
+    if (!socketRef.current || !isConnected || !isAuctioneerView || !state.timer?.enabled) {
+      return;
+    }
+
+    socketRef.current.emit(state.timer.paused ? 'resumeTimer' : 'pauseTimer');
+  }, [state.timer, isConnected, isAuctioneerView]);
+
   const resetBid = useCallback(() => {
     if (!socketRef.current || !isConnected || isLoading || !isAuctioneerView) {
       return;
@@ -577,9 +2264,12 @@ function AppContent() {
     return;
   }
   
+  const lastAction = state.history?.entries?.[0];
   confirmAlert({
     title: 'Confirm Undo',
-    message: 'This will revert the last bid placed for the current player. Are you sure?',
+    message: lastAction
+      ? `This will undo: ${lastAction.label}. You can redo it until the next action. Are you sure?`
+      : 'This will revert the last sale or skip. Are you sure?',
     buttons: [
       {
         label: 'Yes, Undo',
@@ -592,7 +2282,222 @@ function AppContent() {
       { label: 'Cancel', onClick: () => {} },
     ],
   });
-}, [isConnected, isLoading, isAuctioneerView]);
+}, [isConnected, isLoading, isAuctioneerView, state.history]);
+
+  const redoLastAction = useCallback(() => {
+    if (!socketRef.current || !isConnected || isLoading || !isAuctioneerView) {
+      return;
+    }
+    setIsLoading(true);
+    socketRef.current.emit('redoLastAction');
+    setTimeout(() => setIsLoading(false), 3000);
+  }, [isConnected, isLoading, isAuctioneerView]);
+
+  const startNextSet = useCallback(() => {
+    if (!socketRef.current || !isConnected || isLoading || !isAuctioneerView) {
+      return;
+    }
+    setIsLoading(true);
+    socketRef.current.emit('startNextSet');
+    setTimeout(() => setIsLoading(false), 3000);
+  }, [isConnected, isLoading, isAuctioneerView]);
+
+  // Trade steps (propose, respond, withdraw, approve) are all checked by the server, so they share one sender
+  const sendTradeAction = useCallback((event, payload) => {
+    if (!socketRef.current || !isConnected || isLoading) {
+      return;
+    }
+    setIsLoading(true);
+    socketRef.current.emit(event, payload);
+    setTimeout(() => setIsLoading(false), 1500);
+  }, [isConnected, isLoading]);
+
+  const setRetention = useCallback((candidate, retain) => {
+    if (!socketRef.current || !isConnected || isLoading) {
+      return;
+    }
+    setIsLoading(true);
+    socketRef.current.emit('retainPlayer', { sNo: candidate.sNo, teamId: candidate.teamId, retain });
+    setTimeout(() => setIsLoading(false), 1000);
+  }, [isConnected, isLoading]);
+
+  const lockRetentions = useCallback(() => {
+    if (!socketRef.current || !isConnected || isLoading || !isAuctioneerView) {
+      return;
+    }
+    const retained = state.retention ? state.retention.candidates.filter(candidate => candidate.retained).length : 0;
+    confirmAlert({
+      title: 'Lock Retentions',
+      message: `Lock in ${retained} retained player${retained === 1 ? '' : 's'} and start the auction? Retentions cannot be changed afterwards.`,
+      buttons: [
+        {
+          label: 'Yes, Lock & Start',
+          onClick: () => {
+            setIsLoading(true);
+            socketRef.current.emit('lockRetentions');
+            setTimeout(() => setIsLoading(false), 3000);
+          },
+        },
+        { label: 'Cancel', onClick: () => {} },
+      ],
+    });
+  }, [isConnected, isLoading, isAuctioneerView, state.retention]);
+
+  // A sealed bid is final, so it is confirmed before it goes
+  const submitSealedBid = useCallback((amount) => {
+    if (!socketRef.current || !isConnected || isLoading || !isTeamView || !state.currentPlayer) {
+      return;
+    }
+    const playerSNo = state.currentPlayer.sNo;
+    confirmAlert({
+      title: 'Submit Sealed Bid',
+      message: `Bid ${fmtL(amount)} for ${state.currentPlayer.name}? You cannot change it once it is in.`,
+      buttons: [
+        {
+          label: 'Yes, Submit',
+          onClick: () => {
+            setIsLoading(true);
+            socketRef.current.emit('submitSealedBid', { playerSNo, amount });
+            setTimeout(() => setIsLoading(false), 1500);
+          },
+        },
+        { label: 'Cancel', onClick: () => {} },
+      ],
+    });
+  }, [isConnected, isLoading, isTeamView, state.currentPlayer]);
+
+  const revealSealedBids = useCallback(() => {
+    if (!socketRef.current || !isConnected || isLoading || !isAuctioneerView) {
+      return;
+    }
+    const waiting = state.sealed ? state.teams.length - state.sealed.submitted.length : 0;
+    confirmAlert({
+      title: 'Reveal Sealed Bids',
+      message: `Reveal the bids now?${waiting > 0 ? ` ${waiting} team${waiting === 1 ? ' has' : 's have'} not bid yet.` : ''}`,
+      buttons: [
+        { label: 'Yes, Reveal', onClick: () => socketRef.current.emit('revealSealedBids') },
+        { label: 'Cancel', onClick: () => {} },
+      ],
+    });
+  }, [isConnected, isLoading, isAuctioneerView, state.sealed, state.teams]);
+
+  // The previous team answers an RTM offer; the auctioneer can answer for it
+  const respondToRtm = useCallback((match) => {
+    if (!socketRef.current || !isConnected || isLoading) {
+      return;
+    }
+    setIsLoading(true);
+    socketRef.current.emit('respondToRtm', { match });
+    setTimeout(() => setIsLoading(false), 1500);
+  }, [isConnected, isLoading]);
+
+  const openTradeWindow = useCallback(() => {
+    if (!socketRef.current || !isConnected || isLoading || !isAuctioneerView) {
+      return;
+    }
+    socketRef.current.emit('openTradeWindow');
+  }, [isConnected, isLoading, isAuctioneerView]);
+
+  const closeTradeWindow = useCallback(() => {
+    if (!socketRef.current || !isConnected || isLoading || !isAuctioneerView) {
+      return;
+    }
+    const pending = state.trades.filter(trade => trade.status === 'proposed' || trade.status === 'accepted').length;
+    confirmAlert({
+      title: 'Close Trade Window',
+      message: `Close the trade window and publish the final standings?${pending > 0 ? ` ${pending} open trade${pending === 1 ? '' : 's'} will expire.` : ''}`,
+      buttons: [
+        { label: 'Yes, Close It', onClick: () => socketRef.current.emit('closeTradeWindow') },
+        { label: 'Cancel', onClick: () => {} },
+      ],
+    });
+  }, [isConnected, isLoading, isAuctioneerView, state.trades]);
+
+  // The server decides who may edit which team; a team device always edits its own
+  const saveTeamIdentity = useCallback((identity) => {
+    if (!socketRef.current || !isConnected || isLoading) {
+      return;
+    }
+    setIsLoading(true);
+    socketRef.current.emit('updateTeamIdentity', identity);
+    setTimeout(() => setIsLoading(false), 3000);
+  }, [isConnected, isLoading]);
+
+  // --- Player pool setup (auctioneer, before the auction starts) ---
+  const uploadPlayerPool = useCallback(async (file) => {
+    if (!file || !socketRef.current || !isConnected || !isAuctioneerView) {
+      return;
+    }
+    if (file.size > MAX_POOL_UPLOAD_BYTES) {
+      addNotification(`${file.name} is too large for a player pool`, 'error');
+      return;
+    }
+    try {
+      socketRef.current.emit('uploadPlayerPool', { csv: await file.text(), fileName: file.name });
+    } catch (error) {
+      console.error('Error reading pool file:', error);
+      addNotification(`Could not read ${file.name}`, 'error');
+    }
+  }, [isConnected, isAuctioneerView, addNotification]);
+
+  const savePlayerPool = useCallback((rows) => {
+    if (!socketRef.current || !isConnected || !isAuctioneerView) {
+      return;
+    }
+    socketRef.current.emit('updatePlayerPool', { rows });
+  }, [isConnected, isAuctioneerView]);
+
+  const restoreDefaultPool = useCallback(() => {
+    if (!socketRef.current || !isConnected || !isAuctioneerView) {
+      return;
+    }
+    socketRef.current.emit('restoreDefaultPool');
+  }, [isConnected, isAuctioneerView]);
+
+  const commitPlayerPool = useCallback((playerCount) => {
+    if (!socketRef.current || !isConnected || isLoading || !isAuctioneerView) {
+      return;
+    }
+
+    confirmAlert({
+      title: 'Start the Auction',
+      message: `Commit these ${playerCount} players and start the auction? The pool cannot be edited once bidding opens.`,
+      buttons: [
+        {
+          label: 'Yes, Start',
+          onClick: () => {
+            setIsLoading(true);
+            socketRef.current.emit('commitPlayerPool');
+            setTimeout(() => setIsLoading(false), 3000);
+          },
+        },
+        { label: 'Cancel', onClick: () => {} },
+      ],
+    });
+  }, [isConnected, isLoading, isAuctioneerView]);
+
+  // Roll back to just before a sale or skip from the history panel
+  const jumpToEvent = useCallback((entry) => {
+    if (!socketRef.current || !isConnected || isLoading || !isAuctioneerView) {
+      return;
+    }
+
+    confirmAlert({
+      title: 'Jump Back in History',
+      message: `Undo everything from "${entry.label}" onwards? The auction returns to the moment before it, and you can redo it until the next action.`,
+      buttons: [
+        {
+          label: 'Yes, Jump Back',
+          onClick: () => {
+            setIsLoading(true);
+            socketRef.current.emit('jumpToEvent', entry.seq);
+            setTimeout(() => setIsLoading(false), 3000);
+          },
+        },
+        { label: 'Cancel', onClick: () => {} },
+      ],
+    });
+  }, [isConnected, isLoading, isAuctioneerView]);
 
   const resetAuction = useCallback(() => {
     if (!socketRef.current || !isConnected || isLoading || !isAuctioneerView) {
@@ -616,6 +2521,89 @@ function AppContent() {
     });
   }, [isConnected, isLoading, isAuctioneerView]);
 
+  // Seat PINs are remembered per room and seat so a refresh rejoins without asking again
+  const pinStorageKey = roomCode && (isAuctioneerView || isTeamView)
+    ? `cpl-pin:${roomCode}:${isAuctioneerView ? 'auctioneer' : `team-${teamId}`}`
+    : null;
+
+  // Join this device's seat. Auctioneer and team seats need a PIN; without a stored one we ask for it first.
+  const joinSeat = useCallback((socket, pin) => {
+    if (isObserverView) {
+      socket.emit('joinAsObserver', { code: roomCode });
+      addNotification(`Connected to ${roomCode} as Observer`, 'success');
+      return;
+    }
+    if (!isAuctioneerView && !(isTeamView && teamId)) return;
+
+    if (!pin) {
+      setPinPrompt({ open: true, error: null });
+      return;
+    }
+
+    if (isAuctioneerView) {
+      socket.emit('joinAsAuctioneer', { code: roomCode, pin });
+    } else {
+      socket.emit('joinAsTeam', { code: roomCode, teamId, pin });
+    }
+  }, [isAuctioneerView, isTeamView, isObserverView, teamId, roomCode, addNotification]);
+
+  const submitPin = useCallback((e) => {
+    e.preventDefault();
+    const pin = pinInput.trim();
+    if (!socketRef.current || !isConnected || !pin) {
+      return;
+    }
+
+    try {
+      localStorage.setItem(pinStorageKey, pin);
+    } catch (error) {
+      console.warn('Could not remember seat PIN:', error);
+    }
+    setPinPrompt({ open: false, error: null });
+    joinSeat(socketRef.current, pin);
+  }, [pinInput, isConnected, pinStorageKey, joinSeat]);
+
+  // Blank fields fall back to the server's default rules; the server validates the result
+  const createAuction = useCallback(() => {
+    if (!socketRef.current || !isConnected || isLoading) {
+      return;
+    }
+
+    let rules = {};
+    if (ruleForm.advanced.trim()) {
+      try {
+        rules = JSON.parse(ruleForm.advanced);
+      } catch {
+        addNotification('Advanced rules must be valid JSON', 'error');
+        return;
+      }
+    }
+    const wholeNumber = (value) => (value === '' ? undefined : Number(value));
+    if (ruleForm.teamCount !== '') rules.teamCount = wholeNumber(ruleForm.teamCount);
+    if (ruleForm.squadSize !== '') rules.squadSize = wholeNumber(ruleForm.squadSize);
+    if (ruleForm.setCount !== '') rules.setCount = wholeNumber(ruleForm.setCount);
+    if (ruleForm.budgetCr !== '') rules.budget = Math.round(Number(ruleForm.budgetCr) * 10000000);
+
+    setIsLoading(true);
+    socketRef.current.emit('createAuction', { rules });
+    setTimeout(() => setIsLoading(false), 5000);
+  }, [isConnected, isLoading, ruleForm, addNotification]);
+
+  const joinAuction = useCallback((e) => {
+    e.preventDefault();
+    if (!socketRef.current || !isConnected) {
+      return;
+    }
+
+    const code = joinCode.trim().toUpperCase();
+    if (!code) {
+      addNotification('Enter a room code to join', 'error');
+      return;
+    }
+
+    socketRef.current.emit('lookupAuction', code);
+  }, [joinCode, isConnected, addNotification]);
+
   // Socket connection management with enhanced error handling
   useEffect(() => {
     console.log('Connecting to backend:', backendUrl);
@@ -628,16 +2616,34 @@ function AppContent() {
       reconnectAttempts.current = 0;
       setState(prev => ({ ...prev, error: null }));
 
-      if (isAuctioneerView) {
-        socket.emit('joinAsAuctioneer');
-        addNotification('Connected as Auctioneer', 'success');
-      } else if (isTeamView && teamId) {
-        socket.emit('joinAsTeam', teamId);
-        addNotification(`Connected as Team ${teamId}`, 'success');
-      } else if (isObserverView) {
-        socket.emit('joinAsObserver');
-        addNotification('Connected as Observer', 'success');
+      let storedPin = null;
+      try {
+        storedPin = pinStorageKey ? localStorage.getItem(pinStorageKey) : null;
+      } catch (error) {
+        console.warn('Could not read stored seat PIN:', error);
+      }
+      joinSeat(socket, storedPin);
+      if (route.name === 'landing' && roomCode) socket.emit('lookupAuction', roomCode);
+    });
+
+    socket.on('joined', () => {
+      setPinPrompt({ open: false, error: null });
+      addNotification(`Connected to ${roomCode} as ${isAuctioneerView ? 'Auctioneer' : `Team ${teamId}`}`, 'success');
+    });
+
+    socket.on('authFailed', (data) => {
+      try {
+        if (pinStorageKey) localStorage.removeItem(pinStorageKey);
+      } catch (error) {
+        console.warn('Could not clear stored seat PIN:', error);
       }
+      const attempts = Number.isFinite(data?.attemptsLeft) ? ` (${data.attemptsLeft} attempts left)` : '';
+      setPinInput('');
+      setPinPrompt({ open: true, error: `${data?.reason || 'Incorrect PIN'}${attempts}` });
+    });
+
+    socket.on('seatPins', (pins) => {
+      setSeatPins(pins && typeof pins === 'object' ? pins : null);
     });
 
     socket.on('disconnect', (reason) => {
@@ -678,11 +2684,21 @@ function AppContent() {
               }
             });
             
+            if (newState.timer) {
+              updatedState.timerDeadline = newState.timer.paused ? null : Date.now() + newState.timer.remaining;
+            }
+            if (newState.sealed !== undefined) {
+              updatedState.sealedDeadline = Number.isFinite(newState.sealed?.remaining) ? Date.now() + newState.sealed.remaining : null;
+            }
+            if (newState.rtmOffer !== undefined) {
+              updatedState.rtmDeadline = Number.isFinite(newState.rtmOffer?.remaining) ? Date.now() + newState.rtmOffer.remaining : null;
+            }
+
             // Recalculate synergy for teams if needed
             if (updatedState.teams && Array.isArray(updatedState.teams)) {
               updatedState.teams = updatedState.teams.map(team => ({
                 ...team,
-                synergy: Number.isFinite(team.synergy) ? team.synergy : calculateSynergy(team.players || [])
+                synergy: Number.isFinite(team.synergy) ? team.synergy : calculateSynergy(team.players || [], updatedState.rules?.synergy)
               }));
             }
             
@@ -705,27 +2721,45 @@ function AppContent() {
         } else if (isTeamView && teamId === data.teamId) {
           addNotification(`You bid ${fmtL(data.amount || 0)} for ${data.playerName || 'player'}!`, 'success');
         } else if (isTeamView) {
-          addNotification(`Team ${data.teamId || '?'} placed a bid`, 'warning');
+          addNotification(`${data.teamName || `Team ${data.teamId || '?'}`} placed a bid`, 'warning');
         }
       } catch (error) {
         console.error('Error handling bidPlaced event:', error);
       }
     });
 
+    socket.on('bidRejected', (data) => {
+      try {
+        addNotification(`Bid rejected: ${data?.reason || 'Unknown reason'}`, 'error');
+        setIsLoading(false);
+      } catch (error) {
+        console.error('Error handling bidRejected event:', error);
+      }
+    });
+
     socket.on('playerSold', (data) => {
       try {
         if (!data || typeof data !== 'object') return;
         
+        const via = data.rtm ? ' with an RTM card' : '';
         if (isTeamView && teamId === data.teamId) {
-          addNotification(`You won ${data.player?.name || 'player'} for ${fmtL(data.amount || 0)}!`, 'success');
+          addNotification(`You won ${data.player?.name || 'player'} for ${fmtL(data.amount || 0)}${via}!`, 'success');
         } else {
-          addNotification(`${data.player?.name || 'Player'} sold to ${data.teamName || 'team'} for ${fmtL(data.amount || 0)}!`, 'info');
+          addNotification(`${data.player?.name || 'Player'} sold to ${data.teamName || 'team'} for ${fmtL(data.amount || 0)}${via}!`, 'info');
         }
       } catch (error) {
         console.error('Error handling playerSold event:', error);
       }
     });
 
+    socket.on('timerPaused', () => {
+      addNotification('Auction clock paused', 'warning');
+    });
+
+    socket.on('timerResumed', () => {
+      addNotification('Auction clock running', 'info');
+    });
+
     socket.on('playerSkipped', (data) => {
       try {
         addNotification(`${data?.player?.name || 'Player'} skipped - going to re-auction`, 'info');
@@ -734,6 +2768,37 @@ function AppContent() {
       }
     });
 
+    socket.on('sealedBidAccepted', (data) => {
+      addNotification(`Sealed bid of ${fmtL(data?.amount || 0)} submitted for ${data?.playerName || 'the player'}`, 'success');
+      setIsLoading(false);
+    });
+
+    socket.on('sealedBidRejected', (data) => {
+      addNotification(`Sealed bid rejected: ${data?.reason || 'unknown reason'}`, 'error');
+      setIsLoading(false);
+    });
+
+    socket.on('sealedBidsRevealed', (data) => {
+      const count = data?.bids?.length || 0;
+      addNotification(data?.winnerTeamId
+        ? `Sealed bids revealed: ${data.playerName} to ${data.winnerTeamName} for ${fmtL(data.price || 0)} (${count} bid${count === 1 ? '' : 's'})`
+        : `Sealed bids revealed: no bids for ${data?.playerName}`, 'info');
+    });
+
+    socket.on('rtmOffered', (data) => {
+      const mine = isTeamView && teamId === data?.teamId;
+      addNotification(mine
+        ? `RTM: you can match ${fmtL(data.amount || 0)} for ${data.playerName} within ${data.seconds}s`
+        : `RTM: ${data?.teamName} can match ${data?.winnerTeamName}'s ${fmtL(data?.amount || 0)} for ${data?.playerName}`, mine ? 'warning' : 'info');
+      setIsLoading(false);
+    });
+
+    socket.on('rtmResult', (data) => {
+      addNotification(data?.matched
+        ? `${data.teamName} used an RTM card to take ${data.playerName} for ${fmtL(data.amount || 0)}`
+        : `${data?.teamName} ${data?.timedOut ? 'ran out of time on' : 'passed on'} the RTM for ${data?.playerName}`, 'info');
+    });
+
     socket.on('bidReset', (data) => {
       try {
         addNotification(`Bid reset for ${data?.playerName || 'player'}`, 'info');
@@ -745,32 +2810,41 @@ function AppContent() {
     // NEW: Handle undo completed event
    socket.on('undoCompleted', (data) => {
   try {
+    if (data?.action === 'JUMP') {
+      addNotification(`Jumped back to before: ${data.label}`, 'success');
+      return;
+    }
     const playerName = data?.playerName || 'unknown player';
-    addNotification(`Successfully undid bid for ${playerName}`, 'success');
+    addNotification(`Undid ${data?.action === 'SKIP' ? 'skip' : 'sale'} of ${playerName}`, 'success');
   } catch (error) {
     console.error('Error handling undoCompleted event:', error);
   }
 });
 
-    socket.on('setSummary', (teams) => {
+    socket.on('redoCompleted', (data) => {
       try {
-        if (Array.isArray(teams) && teams.length > 0) {
-          const topTeam = teams.reduce((best, team) => {
-            const teamSynergy = Number.isFinite(team?.synergy) ? team.synergy : -Infinity;
-            const bestSynergy = Number.isFinite(best?.synergy) ? best.synergy : -Infinity;
-            return teamSynergy > bestSynergy ? team : best;
-          }, null);
-          
-          if (topTeam) {
-            const synergy = Number.isFinite(topTeam.synergy) ? Math.round(topTeam.synergy) : '0';
-            addNotification(`Set complete! Leader: ${topTeam.name || 'Unknown'} (${synergy} synergy)`, 'success');
-          }
-        }
+        addNotification(`Redid the last undone ${data?.action === 'SKIP' ? 'skip' : 'sale'}`, 'success');
+      } catch (error) {
+        console.error('Error handling redoCompleted event:', error);
+      }
+    });
+
+    socket.on('setSummary', (summary) => {
+      try {
+        if (!summary || typeof summary !== 'object') return;
+        const leader = summary.leaderboard?.[0];
+        const top = summary.mostExpensive ? ` Top buy: ${summary.mostExpensive.name} for ${fmtL(summary.mostExpensive.price)}.` : '';
+        addNotification(`${summary.name} complete!${top}${leader ? ` Leader: ${leader.name} (${Math.round(leader.score)} pts)` : ''}`, 'success');
       } catch (error) {
         console.error('Error handling setSummary event:', error);
       }
     });
 
+    socket.on('setStarted', (data) => {
+      addNotification(`${data?.name || 'Next set'} is open: ${data?.lots || 0} players`, 'info');
+      setIsLoading(false);
+    });
+
     socket.on('reAuctionStart', (data) => {
       try {
         const count = data?.unsoldCount || 0;
@@ -782,10 +2856,15 @@ function AppContent() {
 
     socket.on('auctionComplete', (data) => {
       try {
+        if (Array.isArray(data?.standings)) {
+          setState(prev => ({ ...prev, finalStandings: data.standings }));
+        }
         const winner = data?.winner;
         if (winner) {
           const synergy = Number.isFinite(winner.synergy) ? Math.round(winner.synergy) : '0';
           addNotification(`Auction Complete! Winner: ${winner.name || 'Unknown'} (${synergy} synergy)`, 'success');
+        } else {
+          addNotification('Auction Complete! Every team was disqualified for an incomplete squad', 'warning');
         }
       } catch (error) {
         console.error('Error handling auctionComplete event:', error);
@@ -806,8 +2885,9 @@ function AppContent() {
 
     socket.on('forceDisconnect', (reason) => {
       try {
-        addNotification(`Disconnected: ${reason || 'Unknown reason'}`, 'error');
-        setTimeout(() => window.location.reload(), 1500);
+        // No automatic reload: rejoining would take the seat straight back from the other device
+        addNotification(`Disconnected: ${reason || 'Unknown reason'}. Refresh the page to reconnect.`, 'error');
+        setIsConnected(false);
       } catch (error) {
         console.error('Error handling forceDisconnect event:', error);
       }
@@ -823,6 +2903,86 @@ function AppContent() {
       }
     });
 
+    socket.on('poolInvalid', (data) => {
+      const count = Array.isArray(data?.errors) ? data.errors.length : 0;
+      addNotification(`Fix ${count} problem${count === 1 ? '' : 's'} in the player pool before starting`, 'error');
+      setIsLoading(false);
+    });
+
+    socket.on('poolCommitted', (data) => {
+      addNotification(`Player pool locked in: ${data?.count || 0} players. ${data?.retention ? 'Retentions are open!' : 'The auction is open!'}`, 'success');
+      if (data?.missingRetentions?.length > 0) {
+        addNotification(`Retention list players not in the pool were dropped: S.No ${data.missingRetentions.join(', ')}`, 'warning');
+      }
+      setIsLoading(false);
+    });
+
+    socket.on('retentionsLocked', (data) => {
+      addNotification(`Retentions locked: ${data?.retained || 0} player${data?.retained === 1 ? '' : 's'} retained. The auction is open!`, 'success');
+      setIsLoading(false);
+    });
+
+    socket.on('tradeWindow', (data) => {
+      addNotification(data?.open ? 'The trade window is open!' : 'The trade window has closed. Final standings are in.', 'info');
+      if (Array.isArray(data?.standings)) setState(prev => ({ ...prev, finalStandings: data.standings }));
+    });
+
+    socket.on('tradeUpdate', (data) => {
+      addNotification(data?.message || 'A trade was updated', 'info');
+      setIsLoading(false);
+    });
+
+    socket.on('tradeCompleted', (data) => {
+      addNotification(`Trade completed: ${data?.label || `#${data?.tradeId}`}`, 'success');
+      setIsLoading(false);
+    });
+
+    socket.on('teamIdentityInvalid', (data) => {
+      addNotification(Array.isArray(data?.errors) ? data.errors.join('. ') : 'Team details were not saved', 'error');
+      setIsLoading(false);
+    });
+
+    socket.on('teamIdentitySaved', () => {
+      addNotification('Team details saved', 'success');
+      setEditingTeamId(null);
+      setIsLoading(false);
+    });
+
+    socket.on('auctionNotFound', (data) => {
+      setState(prev => ({
+        ...prev,
+        error: `Auction ${data?.code || roomCode} does not exist. Check the room code and try again.`
+      }));
+    });
+
+    socket.on('auctionCreated', (data) => {
+      if (!data?.code) return;
+      try {
+        // The creator is the auctioneer, so skip the PIN prompt on the next page
+        if (data.auctioneerPin) localStorage.setItem(`cpl-pin:${data.code}:auctioneer`, data.auctioneerPin);
+      } catch (error) {
+        console.warn('Could not remember auctioneer PIN:', error);
+      }
+      window.location.href = roomPath(data.code, 'auctioneer');
+    });
+
+    socket.on('auctionLookup', (data) => {
+      if (roomCode) {
+        // Role selection for a known room: learn how many team seats it has
+        setRoomInfo(data && typeof data === 'object' ? data : null);
+      } else if (data?.exists) {
+        window.location.href = roomPath(data.code);
+      } else {
+        addNotification(`No auction found with code ${data?.code || ''}`, 'error');
+      }
+    });
+
+    socket.on('rulesInvalid', (data) => {
+      const errors = Array.isArray(data?.errors) ? data.errors : [];
+      addNotification(`Invalid rules: ${errors.join('; ') || 'Unknown problem'}`, 'error');
+      setIsLoading(false);
+    });
+
     socket.on('error', (errorMessage) => {
       try {
         addNotification(`Error: ${errorMessage || 'Unknown error'}`, 'error');
@@ -838,7 +2998,7 @@ function AppContent() {
         socketRef.current.disconnect();
       }
     };
-  }, [isAuctioneerView, isTeamView, isObserverView, teamId, addNotification, backendUrl, socketOptions]);
+  }, [isAuctioneerView, isTeamView, isObserverView, teamId, roomCode, route.name, pinStorageKey, joinSeat, addNotification, backendUrl, socketOptions]);
 
   // Error screen
   if (state.error) {
@@ -855,7 +3015,7 @@ function AppContent() {
               Retry Connection
             </button>
             <button
-              onClick={() => window.location.href = '/'}
+              onClick={() => window.location.href = roomCode ? roomPath(roomCode) : '/'}
               className="btn-secondary"
             >
               Back to Home
@@ -866,6 +3026,46 @@ function AppContent() {
     );
   }
 
+  // PIN entry, shown before an auctioneer or team socket joins its seat
+  if (pinPrompt.open) {
+    return (
+      <div className="min-h-screen flex items-center justify-center p-4">
+        <div className="card bg-white p-8 max-w-md w-full text-center">
+          <div className="text-6xl mb-4">🔒</div>
+          <h2 className="text-2xl font-bold text-gray-800 mb-2">
+            {isAuctioneerView ? 'Auctioneer PIN' : `Team ${teamId} PIN`}
+          </h2>
+          <p className="text-gray-600 mb-4">
+            Enter the PIN for this seat in room <span className="room-code-chip">{roomCode}</span>.
+            The auctioneer can see every team's PIN.
+          </p>
+          <form onSubmit={submitPin} className="space-y-3">
+            <input
+              type="password"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              autoFocus
+              value={pinInput}
+              onChange={(e) => setPinInput(e.target.value.replace(/\D/g, ''))}
+              placeholder="PIN"
+              maxLength={6}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-lg font-mono text-center"
+            />
+            {pinPrompt.error && (
+              <p className="text-red-600 text-sm">{pinPrompt.error}</p>
+            )}
+            <button type="submit" disabled={!isConnected || !pinInput.trim()} className="w-full btn-primary">
+              Join Seat
+            </button>
+          </form>
+          <a href={roomPath(roomCode)} className="block mt-4 text-sm text-pink-600 underline hover:text-orange-500">
+            ← Back to Role Select
+          </a>
+        </div>
+      </div>
+    );
+  }
+
   // Loading screen with better conditions
   const needsInitialData = isConnected && (
     (isAuctioneerView && state.teams.length === 0) ||
@@ -924,7 +3124,7 @@ function AppContent() {
           )}
         </div>
         <div className="text-gray-600">
-          Teams Online: {state.connectedTeams.length}/8
+          Teams Online: {state.connectedTeams.length}/{state.teams.length}
           {state.connectedTeams.length > 0 && ` (${state.connectedTeams.join(', ')})`}
         </div>
       </div>
@@ -933,14 +3133,14 @@ function AppContent() {
 
   // Modern Auctioneer View Layout - Compact Single Page Version
   if (isAuctioneerView) {
-    const canSell = Boolean(state.currentBidTeam && state.currentBid > 0);
+    const canSell = Boolean(state.currentBidTeam && state.currentBid > 0 && !state.rtmOffer);
     const progress = state.totalPlayers > 0
       ? Math.round((state.currentPlayerIndex / state.totalPlayers) * 100)
       : '0';
     const nextUpAmount = state.currentPlayer
       ? (state.currentBid === 0
           ? state.currentPlayer.basePrice
-          : state.currentBid + (state.nextIncrement || computeNextIncrement(state.currentBid)))
+          : state.currentBid + (state.nextIncrement || computeNextIncrement(state.currentBid, state.rules?.increments)))
       : 0;
 
     return (
@@ -953,11 +3153,32 @@ function AppContent() {
                 CPL AUCTION
               </h1>
               <a
-                href="/"
+                href={roomPath(roomCode)}
                 className="text-white hover:text-orange-200 underline transition-colors text-sm"
               >
                 ← Home
               </a>
+              <span className="room-code-chip">Room {roomCode}</span>
+              {seatPins && (
+                <button
+                  onClick={() => setShowSeatPins(prev => !prev)}
+                  className="text-white hover:text-orange-200 underline transition-colors text-sm"
+                >
+                  🔑 {showSeatPins ? 'Hide' : 'Show'} Seat PINs
+                </button>
+              )}
+              <button
+                onClick={() => setShowAnalytics(prev => !prev)}
+                className="text-white hover:text-orange-200 underline transition-colors text-sm"
+              >
+                📊 {showAnalytics ? 'Hide' : 'Show'} Analytics
+              </button>
+              <button
+                onClick={() => setShowTeamEditor(prev => !prev)}
+                className="text-white hover:text-orange-200 underline transition-colors text-sm"
+              >
+                🎨 {showTeamEditor ? 'Hide' : 'Edit'} Teams
+              </button>
             </div>
             <div className="text-right">
               <div className="text-lg font-semibold">
@@ -965,6 +3186,7 @@ function AppContent() {
               </div>
               <div className="text-pink-200 text-sm">
                 {progress}% Complete
+                {state.currentSet && <span className="ml-2">• {state.currentSet.name} {state.currentSet.lot + 1}/{state.currentSet.lots}</span>}
                 {state.isReAuction && <span className="ml-2">• Re-Auction</span>}
               </div>
             </div>
@@ -978,7 +3200,71 @@ function AppContent() {
         </header>
 
         <main className="pb-24 p-4">
-          {state.currentPlayer ? (
+          {showSeatPins && seatPins && (
+            <div className="card bg-white p-4 mb-4 seat-pins-panel">
+              <div className="flex justify-between items-center mb-3">
+                <h3 className="font-bold text-lg text-gray-800">Seat PINs — Room {roomCode}</h3>
+                <span className="text-xs text-gray-500">Hand each team only its own PIN</span>
+              </div>
+              <div className="seat-pins-grid">
+                <div className="seat-pin">
+                  <div className="text-xs text-gray-500">Auctioneer</div>
+                  <div className="seat-pin__value">{seatPins.auctioneer}</div>
+                </div>
+                {Object.entries(seatPins.teams || {}).map(([id, pin]) => (
+                  <div key={id} className="seat-pin">
+                    <div className="text-xs text-gray-500">{state.teams[Number(id) - 1]?.name || `Team ${id}`}</div>
+                    <div className="seat-pin__value">{pin}</div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+          {showTeamEditor && (
+            <TeamIdentityEditor
+              teams={state.teams}
+              code={roomCode}
+              editingTeamId={editingTeamId}
+              disabled={!isConnected || isLoading}
+              onEdit={setEditingTeamId}
+              onSave={saveTeamIdentity}
+            />
+          )}
+          {showAnalytics && (
+            <div className="card bg-white p-4 mb-4">
+              <h3 className="font-bold text-lg text-gray-800 mb-3">Auction Analytics</h3>
+              <AnalyticsPanel
+                code={roomCode}
+                budget={state.rules?.budget || 0}
+                refreshKey={state.allPlayers.filter(p => p.status === 'sold').length}
+              />
+            </div>
+          )}
+          {state.sealedReveal && state.sealedReveal.seq !== dismissedRevealSeq && (
+            <SealedReveal reveal={state.sealedReveal} teams={state.teams} onDismiss={() => setDismissedRevealSeq(state.sealedReveal.seq)} />
+          )}
+          {state.phase === 'setup' && state.setup ? (
+            <PlayerPoolSetup
+              setup={state.setup}
+              rules={state.rules}
+              disabled={isLoading || !isConnected}
+              onUpload={uploadPlayerPool}
+              onSave={savePlayerPool}
+              onRestoreDefault={restoreDefaultPool}
+              onCommit={commitPlayerPool}
+            />
+          ) : state.phase === 'retention' && state.retention ? (
+            <RetentionBoard
+              retention={state.retention}
+              teams={state.teams}
+              isAuctioneer
+              disabled={isLoading || !isConnected}
+              onToggle={setRetention}
+              onLock={lockRetentions}
+            />
+          ) : state.setBreak ? (
+            <SetSummary summary={state.setBreak} onStartNext={startNextSet} disabled={isLoading || !isConnected} />
+          ) : state.currentPlayer ? (
             <div className="main-compact-grid">
               <div className="player-spotlight">
                 <div className="flex flex-col md:flex-row items-center md:items-start gap-4">
@@ -1041,7 +3327,7 @@ function AppContent() {
                             {fmtL(state.currentBid)}
                           </div>
                           <div className="text-xl font-semibold text-orange-500 mb-2">
-                            Team {state.currentBidTeam}
+                            {state.teams[state.currentBidTeam - 1]?.name || `Team ${state.currentBidTeam}`}
                           </div>
                           {nextUpAmount > 0 && (
                             <div className="text-slate-500 text-lg">
@@ -1051,6 +3337,31 @@ function AppContent() {
                         </div>
                       )}
                     </div>
+                    {state.sealed ? (
+                      <SealedBidPanel
+                        sealed={state.sealed}
+                        deadline={state.sealedDeadline}
+                        teams={state.teams}
+                        player={state.currentPlayer}
+                        disabled={isLoading || !isConnected}
+                        onReveal={revealSealedBids}
+                      />
+                    ) : (
+                      <BidTimer timer={state.timer} deadline={state.timerDeadline} hasBid={state.currentBid > 0} />
+                    )}
+                    {state.rtmOffer && (
+                      <RtmPanel
+                        offer={state.rtmOffer}
+                        deadline={state.rtmDeadline}
+                        duration={(state.rules?.rtm?.windowSeconds || 0) * 1000}
+                        teams={state.teams}
+                        playerName={state.currentPlayer.name}
+                        canRespond
+                        disabled={isLoading || !isConnected}
+                        onRespond={respondToRtm}
+                      />
+                    )}
+                    <BidFeed bids={state.bids} teams={state.teams} />
                   </div>
                 </div>
               </div>
@@ -1060,10 +3371,9 @@ function AppContent() {
                   {state.teams.map((team) => {
                     const nextBidAmount = state.currentBid === 0
                       ? state.currentPlayer?.basePrice || 0
-                      : state.currentBid + (state.nextIncrement || computeNextIncrement(state.currentBid));
+                      : state.currentBid + (state.nextIncrement || computeNextIncrement(state.currentBid, state.rules?.increments));
 
-                    const canTeamBid = team.remaining >= nextBidAmount &&
-                                       team.players.length < 8 &&
+                    const canTeamBid = validateBid(team.id, nextBidAmount).valid &&
                                        !isLoading &&
                                        isConnected;
 
@@ -1072,10 +3382,14 @@ function AppContent() {
                         key={team.id}
                         onClick={() => placeBidForTeam(team.id)}
                         disabled={!canTeamBid}
-                        className={`team-bid-card ${state.currentBidTeam === team.id ? 'current-highest' : ''}`}
+                        className={`team-bid-card team-accent ${state.currentBidTeam === team.id ? 'current-highest' : ''}`}
+                        style={{ borderTopColor: team.color }}
                       >
                         <div className="flex items-center justify-between w-full mb-3">
-                          <div className="team-name-large">{team.name}</div><br></br>
+                          <div className="flex items-center gap-2">
+                            <TeamBadge team={team} code={roomCode} size="sm" />
+                            <div className="team-name-large">{team.name}</div>
+                          </div>
                           {state.currentBidTeam === team.id && (
                             <span className="text-xs bg-orange-400  px-2 py-1 rounded-full font-bold">
                               Highest
@@ -1093,6 +3407,20 @@ function AppContent() {
                               {fmtL(nextBidAmount)}
                             </div>
                           </div>
+                          {playerValues.has(team.id) && (
+                            <div className="text-center" title={playerValues.get(team.id).pairs.map(p => `${p.key} with ${p.with} (${fmtDelta(p.points)})`).join('\n')}>
+                              <div className="text-xs text-slate-600 mb-1">Value</div>
+                              <div className={`font-bold text-lg ${playerValues.get(team.id).delta > state.currentPlayer.baseScore ? 'text-green-600' : playerValues.get(team.id).delta < state.currentPlayer.baseScore ? 'text-red-500' : 'text-slate-800'}`}>
+                                {fmtDelta(playerValues.get(team.id).delta)}
+                              </div>
+                            </div>
+                          )}
+                          {state.rules?.rtm && (
+                            <div className="text-center">
+                              <div className="text-xs text-slate-600 mb-1">RTM</div>
+                              <div className="font-bold text-lg text-slate-800">{team.rtmCards}</div>
+                            </div>
+                          )}
                         </div>
                       </button>
                     );
@@ -1114,6 +3442,44 @@ function AppContent() {
               </p>
             </div>
           )}
+          {state.finalStandings && (
+            <div className="card bg-white p-4 mt-4">
+              <div className="flex flex-wrap justify-between items-center gap-3 mb-2">
+                <h3 className="font-bold text-lg text-gray-800">
+                  🔁 Trade Window {state.phase === 'trading' && <span className="badge orange ml-2">Open</span>}
+                </h3>
+                {state.phase === 'trading' ? (
+                  <button className="btn-secondary" disabled={!isConnected || isLoading} onClick={closeTradeWindow}>Close Trade Window</button>
+                ) : (
+                  <button className="btn-primary" disabled={!isConnected || isLoading} onClick={openTradeWindow}>Open Trade Window</button>
+                )}
+              </div>
+              <p className="text-sm text-gray-500 mb-3">
+                Teams propose trades to each other; once the other team accepts, approve or decline them here. Undo is unavailable while the window is open.
+              </p>
+              <TradeList trades={state.trades} isAuctioneer disabled={!isConnected || isLoading || state.phase !== 'trading'} onAction={sendTradeAction} />
+            </div>
+          )}
+          {state.history?.entries?.length > 0 && (
+            <div className="card bg-white p-4 mt-4 history-panel">
+              <h3 className="font-bold text-lg text-gray-800 mb-2">History</h3>
+              <ul>
+                {state.history.entries.map((entry, index) => (
+                  <li key={entry.seq} className={`history-entry ${entry.type}`}>
+                    <span className="text-xs text-gray-500">{new Date(entry.at).toLocaleTimeString()}</span>
+                    <span className="history-entry__label">{entry.label}</span>
+                    <button
+                      onClick={() => jumpToEvent(entry)}
+                      disabled={isLoading || !isConnected}
+                      className="history-entry__jump"
+                    >
+                      {index === 0 ? 'Undo' : 'Jump back here'}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
         </main>
         
         {/* ==================== START OF CHANGES ==================== */}
@@ -1129,7 +3495,7 @@ function AppContent() {
             </button>
             <button
               onClick={skipPlayer}
-              disabled={isLoading || !isConnected || !state.currentPlayer}
+              disabled={isLoading || !isConnected || !state.currentPlayer || Boolean(state.rtmOffer)}
               className="control-button-modern btn-skip"
             >
               <span>⏭️</span>
@@ -1137,21 +3503,43 @@ function AppContent() {
             </button>
             <button
               onClick={resetBid}
-              disabled={isLoading || !isConnected || !state.currentPlayer}
+              disabled={isLoading || !isConnected || !state.currentPlayer || Boolean(state.rtmOffer)}
               className="control-button-modern btn-reset"
             >
               <span>🔄</span>
               {isLoading ? 'PROCESSING...' : 'RESET BID'}
             </button>
 
+            {state.timer?.enabled && (
+              <button
+                onClick={toggleTimer}
+                disabled={!isConnected || !state.currentPlayer}
+                className="control-button-modern btn-timer"
+              >
+                <span>{state.timer.paused ? '▶️' : '⏸️'}</span>
+                {state.timer.paused ? 'START CLOCK' : 'PAUSE CLOCK'}
+              </button>
+            )}
+
             {/* --- ADDED THIS BUTTON --- */}
             <button
               onClick={undoLastAction}
-              disabled={isLoading || !isConnected}
+              disabled={isLoading || !isConnected || !state.history?.canUndo}
+              title={state.history?.undoLabel || 'Nothing to undo'}
               className="control-button-modern btn-undo"
             >
               <span>↩️</span>
-              {isLoading ? 'PROCESSING...' : 'UNDO SELL'}
+              {isLoading ? 'PROCESSING...' : 'UNDO'}
+            </button>
+
+            <button
+              onClick={redoLastAction}
+              disabled={isLoading || !isConnected || !state.history?.canRedo}
+              title={state.history?.redoLabel || 'Nothing to redo'}
+              className="control-button-modern btn-undo"
+            >
+              <span>↪️</span>
+              {isLoading ? 'PROCESSING...' : 'REDO'}
             </button>
 
             {/* --- ALWAYS VISIBLE NOW --- */}
@@ -1182,11 +3570,23 @@ function AppContent() {
       synergy: 0
     };
     const myCurrentBid = state.currentBidTeam === teamId;
+    // Mirrors the server's canTeamEditIdentity
+    const canEditIdentity = state.phase === 'setup' || !myTeam.customised;
+    const myNextBid = state.currentPlayer
+      ? (state.currentBid === 0
+          ? state.currentPlayer.basePrice
+          : state.currentBid + (state.nextIncrement || computeNextIncrement(state.currentBid, state.rules?.increments)))
+      : 0;
+    const myBidValidation = validateBid(teamId, myNextBid);
+    const myPreview = state.currentPlayer && !state.finalStandings
+      ? previewPurchase(myTeam.players, state.currentPlayer, state.rules?.synergy)
+      : null;
+    const canPlaceBid = myBidValidation.valid && !myCurrentBid && !isLoading && isConnected;
 
     // Define the content for each tab
     const teamTabs = [
       {
-        label: <>My Team Roster ({myTeam.players.length}/8)</>,
+        label: <>My Team Roster ({myTeam.players.length}/{squadSize})</>,
         content: (
           <div>
             <div className="mb-4">
@@ -1240,6 +3640,7 @@ function AppContent() {
                           </td>
                           <td className="px-4 py-3 text-sm font-semibold text-green-600">
                             {fmtL(player.boughtPrice || 0)}
+                            {player.retained && <div className="text-xs text-gray-500">Retained</div>}
                           </td>
                           <td className="px-4 py-3 text-sm">
                              <span className={`font-semibold ${
@@ -1267,6 +3668,9 @@ function AppContent() {
                 </table>
               )}
             </div>
+            {myTeam.synergyBreakdown && myTeam.players.length > 1 && (
+              <SynergyMatrix roster={myTeam.players} breakdown={myTeam.synergyBreakdown} />
+            )}
           </div>
         )
       },
@@ -1295,7 +3699,7 @@ function AppContent() {
         <NotificationContainer />
 
         <div className="flex flex-wrap gap-2 mb-3">
-          <a href="/" className="text-sm text-pink-600 underline hover:text-orange-600">
+          <a href={roomPath(roomCode)} className="text-sm text-pink-600 underline hover:text-orange-600">
             ← Back to Role Select
           </a>
         </div>
@@ -1304,23 +3708,50 @@ function AppContent() {
           myCurrentBid 
         }`}>
           <div className="flex justify-between items-center">
-            <div>
-              <h1 className="text-3xl font-bold ">{myTeam.name}</h1>
-              {myCurrentBid && (
-                <div className="text-green-100 font-semibold">🌟 HIGHEST BIDDER!</div>
-              )}
+            <div className="flex items-center gap-4">
+              {state.myTeam && <TeamBadge team={myTeam} code={roomCode} size="lg" />}
+              <div>
+                <h1 className="text-3xl font-bold ">{myTeam.name}</h1>
+                {myTeam.captain && <div className="text-sm">Captain {myTeam.captain}</div>}
+                {myCurrentBid && (
+                  <div className="text-green-100 font-semibold">🌟 HIGHEST BIDDER!</div>
+                )}
+                {canEditIdentity && editingTeamId !== teamId && (
+                  <button onClick={() => setEditingTeamId(teamId)} className="text-white hover:text-orange-200 underline transition-colors text-sm">
+                    🎨 Edit team details
+                  </button>
+                )}
+              </div>
             </div>
             <div className="text-right">
               <div className={`font-semibold ${isConnected ? 'text-green-200' : 'text-red-200'}`}>
                 {isConnected ? 'Connected' : 'Disconnected'}
               </div>
-              <div className="text-sm">Team Device #{teamId}</div>
+              <div className="text-sm">Team Device #{teamId} · Room {roomCode}</div>
+              {state.rules?.rtm && <div className="text-sm">🃏 {myTeam.rtmCards ?? 0} RTM card{myTeam.rtmCards === 1 ? '' : 's'} left</div>}
             </div>
           </div>
         </header>
 
         <ConnectionStatus />
 
+        {state.myTeam && (editingTeamId === teamId || (canEditIdentity && !myTeam.customised && !identityPromptDismissed)) && (
+          <div className="card bg-white p-4 mb-6">
+            <h3 className="font-bold text-lg text-gray-800">Set up your team</h3>
+            <p className="text-sm text-gray-500 mb-3">
+              Your name, colour and logo are shown to everyone in the room. You can change them until the auction starts; after that, ask the auctioneer.
+            </p>
+            <TeamIdentityForm
+              team={myTeam}
+              code={roomCode}
+              disabled={!isConnected || isLoading}
+              onSave={saveTeamIdentity}
+              onCancel={() => { setEditingTeamId(null); setIdentityPromptDismissed(true); }}
+              cancelLabel={myTeam.customised ? 'Cancel' : 'Keep Default'}
+            />
+          </div>
+        )}
+
         {/* Team statistics grid */}
         <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
           <div className="card bg-white p-4 text-center">
@@ -1332,7 +3763,7 @@ function AppContent() {
             <div className="text-gray-600 text-sm">Money Spent</div>
           </div>
           <div className="card bg-white p-4 text-center">
-            <div className="text-2xl font-bold text-pink-600">{myTeam.players.length}/8</div>
+            <div className="text-2xl font-bold text-pink-600">{myTeam.players.length}/{squadSize}</div>
             <div className="text-gray-600 text-sm">Players Bought</div>
           </div>
           <div className="card bg-white p-4 text-center">
@@ -1343,6 +3774,82 @@ function AppContent() {
           </div>
         </div>
 
+        {state.finalStandings && (
+          <FinalResults standings={state.finalStandings} squadSize={squadSize} highlightTeamId={teamId} replayHref={replayPath(roomCode)} resultsHref={roomPath(roomCode, 'results')} />
+        )}
+        {state.phase === 'trading' ? (
+          <TradeDesk teams={state.teams} myTeamId={teamId} trades={state.trades} disabled={!isConnected || isLoading} onAction={sendTradeAction} />
+        ) : state.trades?.length > 0 && (
+          <div className="card bg-white p-4 mb-6">
+            <h3 className="font-bold text-lg text-gray-800 mb-2">🔁 Trades</h3>
+            <TradeList trades={state.trades} />
+          </div>
+        )}
+
+        {state.setBreak && <SetSummary summary={state.setBreak} highlightTeamId={teamId} />}
+
+        {myTeam.squad && !state.finalStandings && (
+          <div className="card bg-white p-4 mb-6">
+            <div className="flex justify-between items-center mb-3">
+              <h3 className="font-bold text-lg text-gray-800">Squad Requirements</h3>
+              <span className="text-sm text-gray-600">
+                {myTeam.squad.slotsLeft} slot{myTeam.squad.slotsLeft === 1 ? '' : 's'} left
+                {Number.isFinite(myTeam.squad.maxBid) && (
+                  <> · Max bid now: <span className="font-semibold text-orange-600">{fmtL(myTeam.squad.maxBid)}</span></>
+                )}
+              </span>
+            </div>
+            <div className="squad-requirements">
+              {myTeam.squad.requirements.map(req => {
+                const overCap = req.max !== null && req.count >= req.max;
+                return (
+                  <div
+                    key={req.label}
+                    className={`squad-requirement ${req.needed > 0 ? 'needed' : overCap ? 'capped' : 'met'}`}
+                  >
+                    <div className="font-semibold">{req.label}</div>
+                    <div className="text-sm">
+                      {req.count}
+                      {req.min > 0 && ` / min ${req.min}`}
+                      {req.max !== null && ` / max ${req.max}`}
+                    </div>
+                    <div className="text-xs">
+                      {req.needed > 0
+                        ? `Need ${req.needed} more`
+                        : overCap ? 'Limit reached' : 'Requirement met'}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+            {myTeam.squad.blockedReason && (
+              <p className="text-red-600 text-sm mt-3">Can't bid on this player: {myTeam.squad.blockedReason}</p>
+            )}
+          </div>
+        )}
+
+        {state.phase === 'setup' && (
+          <div className="card bg-white p-6 mb-6 text-center">
+            <div className="text-6xl mb-4">📋</div>
+            <h2 className="text-xl font-bold text-gray-700 mb-2">Getting Ready</h2>
+            <p className="text-gray-500">The auctioneer is setting up the player pool. Bidding opens as soon as it is committed.</p>
+          </div>
+        )}
+
+        {state.phase === 'retention' && state.retention && (
+          <RetentionBoard
+            retention={state.retention}
+            teams={state.teams}
+            myTeamId={teamId}
+            disabled={isLoading || !isConnected}
+            onToggle={setRetention}
+          />
+        )}
+
+        {state.sealedReveal && state.sealedReveal.seq !== dismissedRevealSeq && (
+          <SealedReveal reveal={state.sealedReveal} teams={state.teams} myTeamId={teamId} onDismiss={() => setDismissedRevealSeq(state.sealedReveal.seq)} />
+        )}
+
         {/* Current player section */}
         {state.currentPlayer && (
           <div className="card bg-white mb-6 overflow-hidden">
@@ -1402,21 +3909,87 @@ function AppContent() {
                         <span className="font-bold">{fmtL(state.currentBid)}</span>
                         {state.currentBidTeam && (
                           <span className={`ml-2 ${myCurrentBid ? 'text-green-600' : 'text-orange-600'}`}>
-                            by {myCurrentBid ? 'YOU' : `Team ${state.currentBidTeam}`}
+                            by {myCurrentBid ? 'YOU' : state.teams[state.currentBidTeam - 1]?.name || `Team ${state.currentBidTeam}`}
                           </span>
                         )}
                       </div>
                     )}
                     <div className="text-xs text-gray-500 mt-1">
-                      Next increment: {fmtL(state.nextIncrement || computeNextIncrement(state.currentBid || state.currentPlayer.basePrice))}
+                      Next increment: {fmtL(state.nextIncrement || computeNextIncrement(state.currentBid || state.currentPlayer.basePrice, state.rules?.increments))}
                     </div>
                   </div>
+                  {state.sealed ? (
+                    <SealedBidPanel
+                      key={state.currentPlayer.sNo}
+                      sealed={state.sealed}
+                      deadline={state.sealedDeadline}
+                      teams={state.teams}
+                      player={state.currentPlayer}
+                      myTeam={myTeam}
+                      disabled={isLoading || !isConnected}
+                      onSubmit={submitSealedBid}
+                    />
+                  ) : (
+                    <BidTimer timer={state.timer} deadline={state.timerDeadline} hasBid={state.currentBid > 0} />
+                  )}
+                  {state.rtmOffer && (
+                    <RtmPanel
+                      offer={state.rtmOffer}
+                      deadline={state.rtmDeadline}
+                      duration={(state.rules?.rtm?.windowSeconds || 0) * 1000}
+                      teams={state.teams}
+                      playerName={state.currentPlayer.name}
+                      myTeamId={teamId}
+                      canRespond={state.rtmOffer.teamId === teamId}
+                      disabled={isLoading || !isConnected}
+                      onRespond={respondToRtm}
+                    />
+                  )}
+                  <BidFeed bids={state.bids} teams={state.teams} myTeamId={teamId} />
                 </div>
               </div>
+              {myPreview && (
+                <div className="what-if mb-4">
+                  <div className="flex justify-between items-center">
+                    <span className="font-semibold text-gray-800">If you win {state.currentPlayer.name}</span>
+                    <span className={`what-if__delta ${myPreview.delta - state.currentPlayer.baseScore >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                      {fmtDelta(myPreview.delta)}
+                    </span>
+                  </div>
+                  <div className="text-sm text-gray-600">
+                    Team score {Math.round(myPreview.current)} → {Math.round(myPreview.projected)}
+                  </div>
+                  {myPreview.pairs.length > 0 ? (
+                    <ul className="what-if__pairs">
+                      {myPreview.pairs.map((pair, index) => (
+                        <li key={`${pair.key}-${index}`} className={pair.points > 0 ? 'text-green-700' : 'text-red-700'}>
+                          <span className="badge pink">{pair.key}</span> with {pair.with} <strong>{fmtDelta(pair.points)}</strong>
+                        </li>
+                      ))}
+                    </ul>
+                  ) : (
+                    <div className="text-xs text-gray-500 mt-1">No synergy pairs with your current roster</div>
+                  )}
+                </div>
+              )}
+              {!state.sealed && (
               <div className="text-center p-4 bg-orange-50 rounded-2xl">
-                <p className="text-orange-800 font-semibold">Auctioneer controls all bidding</p>
-                <p className="text-orange-600 text-sm">Watch for your team's bids and player assignments</p>
+                {myCurrentBid ? (
+                  <p className="text-green-700 font-semibold">You are leading — waiting for other teams</p>
+                ) : (
+                  <button
+                    onClick={placeBid}
+                    disabled={!canPlaceBid}
+                    className="w-full btn-primary"
+                  >
+                    {isLoading ? 'PLACING BID...' : `BID ${fmtL(myNextBid)}`}
+                  </button>
+                )}
+                {!myCurrentBid && !myBidValidation.valid && (
+                  <p className="text-red-600 text-sm mt-2">{myBidValidation.reason}</p>
+                )}
               </div>
+              )}
             </div>
           </div>
         )}
@@ -1430,171 +4003,141 @@ function AppContent() {
 
   // Observer View Layout
   if (isObserverView) {
-    const progress = state.totalPlayers > 0 
-      ? Math.round((state.currentPlayerIndex / state.totalPlayers) * 100)
-      : '0';
-
     return (
       <div className="min-h-screen p-4">
         <NotificationContainer />
         <div className="flex flex-wrap gap-2 mb-3">
-          <a href="/" className="text-sm text-pink-600 underline hover:text-orange-500">
+          <a href={roomPath(roomCode)} className="text-sm text-pink-600 underline hover:text-orange-500">
             ← Back to Role Select
           </a>
         </div>
-        <header className="header-gradient text-white p-4 rounded-2xl mb-4">
-          <h1 className="text-2xl font-bold text-center">CPL Auction — Observer</h1>
-          <div className="text-center mt-2">
-            Progress: {progress}% | {state.isReAuction ? 'Re-Auction Mode' : 'Main Auction'}
-          </div>
-          <div className="mt-2 progress-bar" style={{ backgroundColor: 'rgba(255, 255, 255, 0.2)' }}>
-            <div 
-              className="bg-white h-2 transition-all rounded-full" 
-              style={{ width: `${Math.min(100, Math.max(0, Number(progress)))}%` }}
-            ></div>
-          </div>
-        </header>
-        <ConnectionStatus />
-        <div className="grid grid-cols-2 gap-4 mb-6">
-          {state.teams.map(team => (
-            <div key={team.id} className="card bg-white p-4 transition-all hover:transform hover:-translate-y-1">
-              <div className="flex justify-between items-center mb-4">
-                <h3 className="font-bold text-xl">{team.name}</h3>
-                <span className={`text-sm font-semibold ${
-                  state.connectedTeams.includes(team.id) ? 'text-green-600' : 'text-red-600'
-                }`}>
-                  {state.connectedTeams.includes(team.id) ? '● Online' : '● Offline'}
-                </span>
-              </div>
-              <div className="observer-stats-grid">
-                <div className="observer-stat-item">
-                  <div className="stat-label">Budget Left</div>
-                  <div className="stat-value text-green-600">{fmtCr(team.remaining)}</div>
-                </div>
-                <div className="observer-stat-item">
-                  <div className="stat-label">Players</div>
-                  <div className="stat-value text-pink-600">{team.players.length}/8</div>
-                </div>
-                <div className="observer-stat-item">
-                  <div className="stat-label">Money Spent</div>
-                  <div className="stat-value text-red-600">{fmtCr(team.spent)}</div>
-                </div>
-                <div className="observer-stat-item">
-                  <div className="stat-label">Synergy</div>
-                  <div className="stat-value text-orange-600">
-                    {Number.isFinite(team.synergy) ? Math.round(team.synergy) : '0'}
-                  </div>
-                </div>
-              </div>
-
-              {state.currentBidTeam === team.id && (
-                <div className="mt-4 text-center badge orange">
-                  🏆 Highest Bidder
-                </div>
-              )}
-            </div>
-          ))}
-        </div>
-        {state.currentPlayer && (
-          <div className="card bg-white p-6 mb-6">
-            <div className="flex items-start gap-4 mb-4">
-              <img
-                src={`/photos/${state.currentPlayer.sNo}.png`}
-                alt={state.currentPlayer.name}
-                className="w-24 h-24 object-cover rounded-2xl flex-shrink-0"
-                onError={(e) => {
-                  e.target.src = '/default.jpg';
-                  e.target.onerror = null;
-                }}
-              />
-              <div className="flex-1 min-w-0">
-                <h2 className="text-2xl font-bold mb-2 truncate">{state.currentPlayer.name}</h2>
-                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm text-gray-700">
-                  <div>Role: <span className="font-semibold">{state.currentPlayer.role}</span></div>
-                  <div>Archetype: <span className="font-semibold">{state.currentPlayer.archetype}</span></div>
-                  <div>Score: <span className="font-semibold">{state.currentPlayer.baseScore}</span></div>
-                  <div>Base Price: <span className="font-semibold">{fmtL(state.currentPlayer.basePrice)}</span></div>
-                </div>
-              </div>
-            </div>
-            <div className="bg-gray-50 p-4 rounded-2xl border border-gray-200">
-              {state.currentBid === 0 ? (
-                <div className="text-lg text-gray-700">
-                  Starting at base price: <span className="font-bold text-orange-600">{fmtL(state.currentPlayer.basePrice)}</span>
-                </div>
-              ) : (
-                <div className="text-lg text-gray-700">
-                  Current bid: <span className="font-bold text-green-600">{fmtL(state.currentBid)}</span> by Team {state.currentBidTeam}
-                </div>
-              )}
-              <div className="text-sm text-gray-500 mt-1">
-                Next increment: {fmtL(state.nextIncrement || computeNextIncrement(state.currentBid || state.currentPlayer.basePrice))}
-              </div>
-            </div>
-          </div>
-        )}
-        {state.allPlayers.length > 0 && (
-          <div className="card bg-white mb-6">
-            <div className="bg-gray-50 p-4 border-b rounded-t-2xl">
-              <h2 className="text-xl font-bold text-gray-800">All Players Overview</h2>
-              <p className="text-sm text-gray-600 mt-1">Complete auction status tracker</p>
-            </div>
-            <div className="p-6">
-              <AllPlayersTable 
-                allPlayers={state.allPlayers} 
-                currentPlayer={state.currentPlayer}
-                teams={state.teams}
-              />
-            </div>
-          </div>
-        )}
-        {!state.currentPlayer && (
-          <div className="card bg-white p-6 text-center">
-            <div className="text-6xl mb-4">🏏</div>
-            <h2 className="text-xl font-bold text-gray-700 mb-2">No Current Player</h2>
-            <p className="text-gray-500">
-              {state.isReAuction 
-                ? 'Re-auction phase - waiting for next player' 
-                : 'Main auction - waiting for next player'
-              }
-            </p>
-          </div>
-        )}
+        <ObserverBoard
+          state={state}
+          title="CPL Auction — Observer"
+          subtitle={`Room ${roomCode}`}
+          showPresence
+          replayHref={replayPath(roomCode)}
+          resultsHref={roomPath(roomCode, 'results')}
+          analyticsCode={roomCode}
+        >
+          <ConnectionStatus />
+        </ObserverBoard>
       </div>
     );
   }
 
-  // Landing Page (Role Selection)
+  // Landing Page (Create/Join, then Role Selection once a room code is known)
   return (
     <div className="min-h-screen flex items-center justify-center p-4">
+      <NotificationContainer />
       <div className="card bg-white p-8 max-w-md w-full text-center">
         <div className="text-6xl mb-4">🏏</div>
         <h1 className="text-3xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-pink-500 to-orange-400 mb-2">CPL Auction</h1>
-        <p className="text-gray-600 mb-6">Select your role to join the auction</p>
+        {roomCode ? (
+          <p className="text-gray-600 mb-6">
+            Room <span className="room-code-chip">{roomCode}</span> — select your role to join the auction
+          </p>
+        ) : (
+          <p className="text-gray-600 mb-6">Create a new auction or join one with its room code</p>
+        )}
         <div className="space-y-3">
-          <button
-            onClick={() => (window.location.href = '/auctioneer')}
-            className="w-full btn-primary"
-          >
-            Join as Auctioneer
-          </button>
-          <div className="grid grid-cols-2 gap-2">
-            {[1, 2, 3, 4, 5, 6, 7, 8].map(teamNum => (
+          {roomCode ? (
+            <>
               <button
-                key={teamNum}
-                onClick={() => (window.location.href = `/team/${teamNum}`)}
-                className="w-full btn-success"
+                onClick={() => (window.location.href = roomPath(roomCode, 'auctioneer'))}
+                className="w-full btn-primary"
               >
-                Team {teamNum}
+                Join as Auctioneer
               </button>
-            ))}
-          </div>
-          <button
-            onClick={() => (window.location.href = '/observer')}
-            className="w-full btn-secondary"
-          >
-            Join as Observer
-          </button>
+              {roomInfo && !roomInfo.exists && (
+                <p className="text-red-600 text-sm">This room code does not match any auction.</p>
+              )}
+              <div className="grid grid-cols-2 gap-2">
+                {Array.from({ length: roomInfo?.teamCount || 0 }, (_, i) => i + 1).map(teamNum => (
+                  <button
+                    key={teamNum}
+                    onClick={() => (window.location.href = roomPath(roomCode, `team/${teamNum}`))}
+                    className="w-full btn-success"
+                  >
+                    Team {teamNum}
+                  </button>
+                ))}
+              </div>
+              <button
+                onClick={() => (window.location.href = roomPath(roomCode, 'observer'))}
+                className="w-full btn-secondary"
+              >
+                Join as Observer
+              </button>
+              <a href="/" className="block text-sm text-pink-600 underline hover:text-orange-500">
+                Use a different room code
+              </a>
+            </>
+          ) : (
+            <>
+              <button
+                onClick={createAuction}
+                disabled={!isConnected || isLoading}
+                className="w-full btn-primary"
+              >
+                {isLoading ? 'Creating…' : 'Create New Auction'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowRuleOptions(prev => !prev)}
+                className="text-sm text-pink-600 underline hover:text-orange-500"
+              >
+                {showRuleOptions ? 'Hide rule options' : 'Customise rules'}
+              </button>
+              {showRuleOptions && (
+                <div className="rules-form text-left">
+                  <p className="text-xs text-gray-500">Leave a field blank to use the server default.</p>
+                  <div className="grid grid-cols-2 gap-2">
+                    {[
+                      ['teamCount', 'Teams'],
+                      ['budgetCr', 'Budget per team (₹ Cr)'],
+                      ['squadSize', 'Squad size'],
+                      ['setCount', 'Number of sets'],
+                    ].map(([field, label]) => (
+                      <label key={field} className="text-xs text-gray-600">
+                        {label}
+                        <input
+                          type="number"
+                          min="1"
+                          value={ruleForm[field]}
+                          onChange={(e) => setRuleForm(prev => ({ ...prev, [field]: e.target.value }))}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                        />
+                      </label>
+                    ))}
+                  </div>
+                  <label className="text-xs text-gray-600">
+                    Advanced rules (JSON: increments, synergy, tiers, sets, seed)
+                    <textarea
+                      rows={4}
+                      value={ruleForm.advanced}
+                      onChange={(e) => setRuleForm(prev => ({ ...prev, advanced: e.target.value }))}
+                      placeholder={'{ "increments": [{ "below": 5000000, "step": 500000 }, { "below": null, "step": 1000000 }] }'}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg text-xs font-mono"
+                    />
+                  </label>
+                </div>
+              )}
+              <form onSubmit={joinAuction} className="flex gap-2">
+                <input
+                  type="text"
+                  value={joinCode}
+                  onChange={(e) => setJoinCode(e.target.value.toUpperCase())}
+                  placeholder="Room code"
+                  maxLength={6}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono"
+                />
+                <button type="submit" disabled={!isConnected || !joinCode.trim()} className="btn-secondary">
+                  Join
+                </button>
+              </form>
+            </>
+          )}
           <div className="text-xs text-gray-500 mt-6 p-2 bg-gray-50 rounded-lg">
            <div>Backend :
               <a 